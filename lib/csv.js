@@ -0,0 +1,148 @@
+// lib/csv.js — RFC 4180 CSV parsing for published venue sheets
+//
+// Quoted cells can hold commas, doubled quotes and line breaks (multi-line
+// descriptions, line-ups), so rows can't be split on newlines first. The
+// parser is a small state machine fed in chunks: write() returns the records
+// completed so far and end() flushes the last one.
+
+/** Malformed input; row/column are 1-based (row 1 is the header). */
+export class CsvError extends Error {
+  constructor(message, { row, column, line }) {
+    super(`${message} at row ${row}, column ${column} (line ${line})`);
+    this.name = "CsvError";
+    this.row = row;
+    this.column = column;
+    this.line = line;
+  }
+}
+
+/**
+ * Streaming parser. Malformed input is repaired the way spreadsheets read it
+ * (a stray quote is kept as text) and recorded in `errors`; with
+ * `strict: true` the first problem throws a CsvError instead.
+ */
+export function createCsvParser({ strict = false } = {}) {
+  const errors = [];
+  let record = [];
+  let field = "";
+  let state = "field"; // field | unquoted | quoted | closing
+  let row = 1;
+  let line = 1;
+  let skipLF = false; // the "\n" of a "\r\n" split across chunks
+  let started = false;
+
+  const problem = (message) => {
+    const err = new CsvError(message, {
+      row,
+      column: record.length + 1,
+      line,
+    });
+    if (strict) throw err;
+    errors.push(err);
+  };
+  const endField = () => {
+    record.push(field);
+    field = "";
+    state = "field";
+  };
+  const endRecord = (out) => {
+    endField();
+    out.push(record);
+    record = [];
+    row++;
+  };
+
+  return {
+    errors,
+
+    write(chunk) {
+      let text = String(chunk);
+      if (!started && text) {
+        started = true;
+        if (text.charCodeAt(0) === 0xfeff) text = text.slice(1); // BOM
+      }
+      const out = [];
+      for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (skipLF) {
+          skipLF = false;
+          if (c === "\n") continue;
+        }
+        const newline = c === "\r" || c === "\n";
+        if (newline) {
+          line++;
+          skipLF = c === "\r";
+        }
+
+        if (state === "quoted") {
+          if (c === '"') state = "closing";
+          else field += newline ? "\n" : c;
+        } else if (state === "closing") {
+          if (c === '"') {
+            field += '"'; // escaped ""
+            state = "quoted";
+          } else if (c === ",") endField();
+          else if (newline) endRecord(out);
+          else {
+            problem("unexpected text after a closing quote");
+            field += c;
+            state = "unquoted";
+          }
+        } else if (c === ",") endField();
+        else if (newline) endRecord(out);
+        else if (c === '"' && state === "field") state = "quoted";
+        else {
+          if (c === '"') problem("quote inside an unquoted cell");
+          field += c;
+          state = "unquoted";
+        }
+      }
+      return out;
+    },
+
+    end() {
+      const out = [];
+      if (state === "quoted") problem("unterminated quoted cell");
+      if (state !== "field" || field || record.length) endRecord(out);
+      return out;
+    },
+  };
+}
+
+/** Parse a whole text into { records: [[cell]], errors }. */
+export function parseCsv(text, options) {
+  const parser = createCsvParser(options);
+  const records = [...parser.write(text), ...parser.end()];
+  return { records, errors: parser.errors };
+}
+
+/**
+ * Header + data records → { headers, labels, rows: [{ header: cell }] }.
+ * Trailing unnamed columns are dropped, repeated headers become "date",
+ * "date_2"…, and blank rows (",,,," in sheet exports) are skipped. `key` maps
+ * a raw header to its key; `labels` keeps the header text as written. Each
+ * row carries its sheet row number as `_row`.
+ */
+export function csvTable(records, { key = (h) => h.trim() } = {}) {
+  if (!records.length) return { headers: [], labels: [], rows: [] };
+
+  const raw = records[0].map((h) => key(String(h)));
+  while (raw.length && !raw[raw.length - 1]) raw.pop();
+  const seen = new Map();
+  const headers = raw.map((h) => {
+    const n = (seen.get(h) || 0) + 1;
+    seen.set(h, n);
+    return n === 1 ? h : `${h}_${n}`;
+  });
+
+  const rows = [];
+  records.slice(1).forEach((cells, i) => {
+    if (cells.every((c) => !c.trim())) return;
+    const obj = {};
+    headers.forEach((h, idx) => (obj[h] = cells[idx] ?? ""));
+    Object.defineProperty(obj, "_row", { value: i + 2 }); // not a column
+    rows.push(obj);
+  });
+  const labels = headers.map((_, i) => String(records[0][i]).trim());
+  return { headers, labels, rows };
+}
@@ -0,0 +1,246 @@
+// lib/dedupe.js — merge one event listed by several sources
+//
+// The same gig turns up from a venue's site and Skiddle, or a sheet and a
+// recurring rule, with slightly different titles ("SULCUT Part 2" vs "Sulcut
+// pt.2 - Polar Bear"). Events at the same venue (the caller's `venueKey`) are
+// scored on title similarity and how close their starts are; a match joins
+// the cluster led by the most trusted source (the caller's `trust`) and the
+// cluster is merged field by field.
+
+const MATCH_SCORE = 0.75; // weighted title + time score needed to merge
+const TITLE_WEIGHT = 0.6;
+const TIME_WEIGHT = 0.4;
+const MAX_GAP_HOURS = 12; // starts further apart are never the same event
+
+const NOISE = new Set(
+  "sold out postponed cancelled canceled rescheduled free entry live presents present the a an and at with in hull".split(
+    " ",
+  ),
+);
+const ABBREVIATIONS = {
+  pt: "part",
+  vol: "volume",
+  ft: "feat",
+  featuring: "feat",
+};
+
+/** Significant title words: lower-cased, unaccented, no noise or venue filler. */
+export function titleTokens(title = "") {
+  const words = String(title)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f'’]/g, "")
+    .replace(/([a-z])(\d)/g, "$1 $2") // "pt2" → "pt 2"
+    .split(/[^a-z0-9]+/)
+    .map((w) => ABBREVIATIONS[w] || w)
+    .filter((w) => w && !NOISE.has(w));
+  return [...new Set(words)];
+}
+
+function bigramDice(a, b) {
+  const grams = (s) => {
+    const m = new Map();
+    for (let i = 0; i < s.length - 1; i++) {
+      const g = s.slice(i, i + 2);
+      m.set(g, (m.get(g) || 0) + 1);
+    }
+    return m;
+  };
+  const ga = grams(a);
+  const gb = grams(b);
+  let shared = 0;
+  for (const [g, n] of ga) shared += Math.min(n, gb.get(g) || 0);
+  const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+  return total ? (2 * shared) / total : a === b ? 1 : 0;
+}
+
+/**
+ * 0..1: character similarity of the significant words, or most of it when
+ * one title's words (two or more) all appear in the other ("Sunday Lunch" vs
+ * "Sunday Lunch (Walk-ins Only)").
+ */
+export function titleSimilarity(a, b) {
+  const ta = titleTokens(a);
+  const tb = titleTokens(b);
+  if (!ta.length || !tb.length) return 0;
+  const dice = bigramDice(ta.join(" "), tb.join(" "));
+  const shorter = ta.length <= tb.length ? ta : tb;
+  const longer = shorter === ta ? tb : ta;
+  const contained =
+    shorter.length >= 2 && shorter.every((w) => longer.includes(w));
+  return Math.max(dice, contained ? 0.9 : 0);
+}
+
+/** 0..1 match score for two events at the same venue. */
+export function matchScore(a, b) {
+  if (!a.start || !b.start) {
+    // Undated listings only match their exact twin
+    return !a.start &&
+      !b.start &&
+      titleTokens(a.title).join(" ") === titleTokens(b.title).join(" ")
+      ? 1
+      : 0;
+  }
+  const hours = Math.abs(Date.parse(a.start) - Date.parse(b.start)) / 36e5;
+  if (!(hours <= MAX_GAP_HOURS)) return 0;
+  return (
+    TITLE_WEIGHT * titleSimilarity(a.title, b.title) +
+    TIME_WEIGHT * (1 - hours / MAX_GAP_HOURS)
+  );
+}
+
+const present = (v) =>
+  v != null && v !== "" && !(Array.isArray(v) && !v.length);
+
+/**
+ * One event from a cluster, most trusted first. Every field comes from the
+ * most trusted member that has it, except: tickets are the union; the time
+ * comes from the most trusted member with one (a 00:00 start is a
+ * placeholder); price and sale details from the most trusted member with a
+ * price; the description is the longest; soldOut if any member says so.
+ */
+function mergeCluster(members) {
+  const [lead] = members;
+  const merged = {};
+  for (const ev of [...members].reverse()) {
+    for (const [k, v] of Object.entries(ev)) if (present(v)) merged[k] = v;
+  }
+
+  const timed =
+    members.find((ev) => ev.start && ev.displayTime24 !== "00:00") || lead;
+  for (const k of [
+    "start",
+    "end",
+    "dateText",
+    "timeText",
+    "displayTime24",
+    "displayDateTime24",
+  ]) {
+    merged[k] = timed[k];
+  }
+  if (!(Date.parse(merged.end) > Date.parse(merged.start))) {
+    merged.end =
+      members
+        .map((ev) => ev.end)
+        .find((end) => Date.parse(end) > Date.parse(merged.start)) ?? timed.end;
+  }
+
+  const priced = members.find((ev) => ev.priceText || ev.priceTiers?.length);
+  if (priced) {
+    for (const k of ["priceText", "priceTiers", "saleStatus", "freeEntry"]) {
+      if (priced[k] === undefined) delete merged[k];
+      else merged[k] = priced[k];
+    }
+  } else {
+    merged.freeEntry = members.some((ev) => ev.freeEntry);
+  }
+
+  const descriptions = members.map((ev) => ev.description).filter(present);
+  if (descriptions.length) {
+    merged.description = descriptions.reduce((a, b) =>
+      b.length > a.length ? b : a,
+    );
+  }
+
+  const seen = new Set();
+  merged.tickets = members
+    .flatMap((ev) => ev.tickets || [])
+    .filter((t) => t?.url && !seen.has(t.url) && seen.add(t.url));
+  merged.soldOut = members.some((ev) => ev.soldOut);
+  return merged;
+}
+
+/**
+ * Merge events that describe the same occurrence. `venueKey(ev)` says which
+ * events share a venue, `trust(ev)` ranks sources (higher wins) and
+ * `sourceOf(ev)` names one: a cluster takes one event per source, apart from
+ * exact repeats (same title words and start) and a copy kept from an earlier
+ * run (`isCached(ev)`), which the source's fresh listing replaces outright.
+ * Returns { events, merges } where merges lists { kept, merged, score } for
+ * the audit.
+ */
+export function mergeDuplicateEvents(
+  events,
+  {
+    venueKey,
+    trust = () => 0,
+    sourceOf = (ev) => ev.source,
+    isCached = () => false,
+  },
+) {
+  const order = events
+    .map((ev, index) => ({ ev, index, rank: trust(ev) }))
+    .sort((a, b) => b.rank - a.rank || a.index - b.index);
+
+  const byVenue = new Map();
+  const clusters = [];
+  for (const item of order) {
+    const key = venueKey(item.ev);
+    if (!byVenue.has(key)) byVenue.set(key, []);
+    const candidates = byVenue.get(key);
+
+    let best = null;
+    for (const cluster of candidates) {
+      const lead = cluster.members[0].ev;
+      const score = matchScore(lead, item.ev);
+      if (score < MATCH_SCORE || (best && score <= best.score)) continue;
+      const twin = cluster.members.find(
+        (m) => sourceOf(m.ev) === sourceOf(item.ev),
+      );
+      const repeat =
+        twin &&
+        twin.ev.start === item.ev.start &&
+        titleTokens(twin.ev.title).join(" ") ===
+          titleTokens(item.ev.title).join(" ");
+      const refreshed = twin && isCached(twin.ev) !== isCached(item.ev);
+      if (twin && !repeat && !refreshed) continue;
+      best = { cluster, score };
+    }
+
+    if (best) {
+      best.cluster.members.push({ ...item, score: best.score });
+    } else {
+      const cluster = { members: [item] };
+      candidates.push(cluster);
+      clusters.push(cluster);
+    }
+  }
+
+  const brief = (ev) => ({
+    title: ev.title,
+    start: ev.start || null,
+    source: sourceOf(ev),
+  });
+  const merges = [];
+  const out = clusters
+    .map((c) => {
+      // A source's fresh listing replaces its cached copy, field for field
+      const fresh = new Set(
+        c.members.filter((m) => !isCached(m.ev)).map((m) => sourceOf(m.ev)),
+      );
+      const members = c.members.filter(
+        (m) => !isCached(m.ev) || !fresh.has(sourceOf(m.ev)),
+      );
+      const [lead, ...rest] = members;
+      for (const m of c.members.filter((m) => m !== lead)) {
+        // A replaced lead scored nothing itself: use its fresh twin's score
+        const score =
+          m.score ??
+          members.find((x) => sourceOf(x.ev) === sourceOf(m.ev))?.score ??
+          1;
+        merges.push({
+          kept: brief(lead.ev),
+          merged: brief(m.ev),
+          score: Math.round(score * 100) / 100,
+        });
+      }
+      return {
+        index: Math.min(...c.members.map((m) => m.index)),
+        ev: rest.length ? mergeCluster(members.map((m) => m.ev)) : lead.ev,
+      };
+    })
+    .sort((a, b) => a.index - b.index)
+    .map((c) => c.ev);
+
+  return { events: out, merges };
+}
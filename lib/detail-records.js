@@ -0,0 +1,94 @@
+// lib/detail-records.js — what each event detail page yielded last time
+//
+// Lets detail crawls skip pages that are unlikely to have changed. A page is
+// fetched again when it is new, when its event is close (late changes: sold
+// out, times, cancellations), or when its record is older than `refreshMs`.
+// Everything else reuses the fields extracted on the last fetch.
+//
+// File: { version, pages: { <url>: { fetchedAt, seenAt, starts, data } } }
+import fs from "node:fs";
+import path from "node:path";
+
+const VERSION = 1;
+
+const startsOf = (data) =>
+  (Array.isArray(data) ? data : [data]).map((e) => e?.start).filter(Boolean);
+
+/**
+ * @param {object} opts
+ * @param {number} opts.refreshMs  refetch records older than this
+ * @param {number} opts.nearMs     refetch when an event starts within this
+ * @param {() => number} [opts.now]
+ */
+export function createDetailRecords({ refreshMs, nearMs, now = Date.now }) {
+  let pages = {};
+  const stats = { reused: 0, crawled: 0 };
+
+  /** Why `url` must be fetched ("new" | "near" | "stale"), or null to reuse. */
+  function crawlReason(url) {
+    const rec = pages[url];
+    if (!rec) return "new";
+    const t = now();
+    if (t - Date.parse(rec.fetchedAt) >= refreshMs) return "stale";
+    const near = rec.starts.some((s) => {
+      const start = Date.parse(s);
+      return start - t < nearMs; // includes started/past: let the scraper drop it
+    });
+    return near ? "near" : null;
+  }
+
+  return {
+    stats,
+    crawlReason,
+
+    load(file) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        pages = saved?.version === VERSION ? saved.pages || {} : {};
+      } catch {
+        pages = {};
+      }
+      return Object.keys(pages).length;
+    },
+
+    /** Write records seen within `keepMs`; returns how many were kept. */
+    save(file, keepMs) {
+      const t = now();
+      const kept = Object.fromEntries(
+        Object.entries(pages).filter(
+          ([, rec]) => t - Date.parse(rec.seenAt) < keepMs,
+        ),
+      );
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ version: VERSION, pages: kept }));
+      return Object.keys(kept).length;
+    },
+
+    /**
+     * Wrap a per-URL detail parser: `(url) => data`. Results that are null
+     * (fetch error, past, private…) are not recorded, so they are retried.
+     */
+    wrap(parse) {
+      return async (url, ...rest) => {
+        const at = new Date(now()).toISOString();
+        const rec = pages[url];
+        if (rec && !crawlReason(url)) {
+          rec.seenAt = at;
+          stats.reused++;
+          return structuredClone(rec.data);
+        }
+        stats.crawled++;
+        const data = await parse(url, ...rest);
+        if (data) {
+          pages[url] = {
+            fetchedAt: at,
+            seenAt: at,
+            starts: startsOf(data),
+            data: structuredClone(data),
+          };
+        }
+        return data;
+      };
+    },
+  };
+}
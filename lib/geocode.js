@@ -0,0 +1,201 @@
+// lib/geocode.js — offline coordinates for addresses and HU postcodes
+//
+// No lookups leave the machine. Coordinates come from, in order:
+//   overrides   [{ address, lat, lon, source } | { address, postcode }] for
+//               awkward addresses; `address` matches as whole words, longest
+//               first, and a pinned point must say where it came from
+//   dataset     public/hu-postcodes.json: ONS Postcode Directory centroids for
+//               live HU postcodes ("HU5 3AF"), plus sector ("HU5 3") and
+//               district ("HU5") means built from them by the importer
+// An address resolves to its postcode, or that postcode's sector when the
+// unit isn't listed (new or terminated); a bare district is too coarse to
+// place an event. Results are cached per address; a saved cache is dropped
+// when the dataset or overrides change.
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+import { venueKey } from "./venues.js";
+
+const VERSION = 1;
+const UNIT_RE = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/i;
+
+export const ONSPD_LICENCE =
+  "Open Government Licence v3.0 (https://www.nationalarchives.gov.uk/doc/open-government-licence/version/3/)";
+
+/** "hu52rg", "HU5  2RG" → "HU5 2RG"; null when it isn't a full postcode. */
+export function normalisePostcode(text = "") {
+  const m = String(text || "").match(UNIT_RE);
+  return m ? `${m[1]} ${m[2]}`.toUpperCase() : null;
+}
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+const isPoint = (p) =>
+  Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]);
+
+/**
+ * The bundled dataset from ONSPD rows (objects keyed by the file's header):
+ * live postcodes in `area` with a grid reference, and the mean of each
+ * sector's and district's units. `release` names the ONSPD edition
+ * ("ONSPD_NOV_2025_UK"), whose year goes into the attribution.
+ */
+export function postcodesFromOnspd(rows, { release, area = "HU" }) {
+  const year = String(release || "").match(/(?:19|20)\d{2}/)?.[0];
+  if (!year) throw new Error(`ONSPD release "${release}" names no year`);
+  const postcodes = {};
+  for (const row of rows) {
+    const unit = normalisePostcode(row.pcds || row.pcd);
+    const lat = Number(row.lat);
+    const lon = Number(row.long);
+    if (!unit?.startsWith(area) || !/^\d/.test(unit.slice(area.length))) {
+      continue;
+    }
+    if (row.doterm || !lat || lat > 90) continue; // terminated, or no grid ref (99.999999)
+    postcodes[unit] = [round(lat), round(lon)];
+  }
+
+  const mean = (key) => {
+    const groups = new Map();
+    for (const [unit, at] of Object.entries(postcodes)) {
+      const k = key(unit);
+      if (!groups.has(k)) groups.set(k, []);
+      groups.get(k).push(at);
+    }
+    return Object.fromEntries(
+      [...groups]
+        .sort()
+        .map(([k, pts]) => [
+          k,
+          [0, 1].map((i) =>
+            round(pts.reduce((s, p) => s + p[i], 0) / pts.length),
+          ),
+        ]),
+    );
+  };
+
+  return {
+    source: "ONS Postcode Directory",
+    release,
+    licence: ONSPD_LICENCE,
+    attribution: [
+      `Contains OS data © Crown copyright and database right ${year}`,
+      `Contains Royal Mail data © Royal Mail copyright and database right ${year}`,
+      "Source: Office for National Statistics licensed under the Open Government Licence v.3.0",
+    ],
+    postcodes: Object.fromEntries(Object.entries(postcodes).sort()),
+    sectors: mean((u) => u.slice(0, -2)),
+    districts: mean((u) => u.split(" ")[0]),
+  };
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.dataset    { postcodes, sectors, districts } → [lat, lon]
+ * @param {object[]} [opts.overrides]
+ */
+export function createGeocoder({ dataset = {}, overrides = [] }) {
+  const tables = {};
+  for (const level of ["postcodes", "sectors", "districts"]) {
+    tables[level] = new Map();
+    for (const [code, at] of Object.entries(dataset[level] || {})) {
+      if (!isPoint(at)) throw new Error(`${code}: expected [lat, lon]`);
+      tables[level].set(code.toUpperCase(), { lat: at[0], lon: at[1] });
+    }
+  }
+  const fixes = overrides
+    .map((o) => {
+      if (!o?.address) throw new Error("override missing address");
+      const pinned = Number.isFinite(o.lat) && Number.isFinite(o.lon);
+      if (pinned && !o.source) {
+        throw new Error(
+          `override "${o.address}": say where lat/lon came from (source)`,
+        );
+      }
+      if (!pinned && !normalisePostcode(o.postcode)) {
+        throw new Error(`override "${o.address}" needs lat/lon or a postcode`);
+      }
+      return { ...o, key: venueKey(o.address) };
+    })
+    .sort((a, b) => b.key.length - a.key.length);
+  const fingerprint = crypto
+    .createHash("sha1")
+    .update(JSON.stringify([dataset.release, dataset.postcodes, overrides]))
+    .digest("hex")
+    .slice(0, 12);
+  let cache = {};
+
+  /**
+   * Centroid for a full postcode, a sector ("HU5 3") or a district ("HU5"):
+   * { lat, lon, postcode, via: postcode | sector | district } or null. A full
+   * postcode the dataset lacks falls back to its sector.
+   */
+  function lookupPostcode(text) {
+    const code = String(text || "")
+      .trim()
+      .toUpperCase()
+      .replace(/\s+/g, " ");
+    const unit = normalisePostcode(code);
+    const sector = unit
+      ? unit.slice(0, -2)
+      : /^[A-Z]{1,2}\d[A-Z\d]? \d$/.test(code) && code;
+    const district =
+      !unit && !sector && /^[A-Z]{1,2}\d[A-Z\d]?$/.test(code) && code;
+    for (const [level, key, via] of [
+      ["postcodes", unit, "postcode"],
+      ["sectors", sector, "sector"],
+      ["districts", district, "district"],
+    ]) {
+      if (key && tables[level].has(key)) {
+        return { ...tables[level].get(key), postcode: key, via };
+      }
+    }
+    return null;
+  }
+
+  function resolve(address, postcode) {
+    const key = venueKey(address);
+    const fix = key && fixes.find((o) => ` ${key} `.includes(` ${o.key} `));
+    if (fix?.lat != null) {
+      return { lat: fix.lat, lon: fix.lon, postcode: null, via: "override" };
+    }
+    const unit =
+      normalisePostcode(fix?.postcode) ||
+      normalisePostcode(address) ||
+      normalisePostcode(postcode);
+    return unit ? lookupPostcode(unit) : null;
+  }
+
+  return {
+    lookupPostcode,
+
+    /**
+     * { lat, lon, postcode, via } for an address (and the venue's postcode,
+     * when known), or null. `via`: override | postcode | sector.
+     */
+    locate(address, postcode) {
+      const id = `${venueKey(address)}|${normalisePostcode(postcode) || ""}`;
+      if (!(id in cache)) cache[id] = resolve(address, postcode);
+      return cache[id] && { ...cache[id] };
+    },
+
+    load(file) {
+      try {
+        const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+        const usable =
+          saved?.version === VERSION && saved.fingerprint === fingerprint;
+        cache = usable ? saved.addresses || {} : {};
+      } catch {
+        cache = {};
+      }
+      return Object.keys(cache).length;
+    },
+
+    save(file) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(
+        file,
+        JSON.stringify({ version: VERSION, fingerprint, addresses: cache }),
+      );
+    },
+  };
+}
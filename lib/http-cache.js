@@ -0,0 +1,124 @@
+// lib/http-cache.js — on-disk HTTP cache with conditional revalidation
+//
+// Layout: <dir>/<host>/<slug>-<hash>.json  (url, validators, body; same keys
+// as the fixtures store). Entries outlive the process so the next run can send
+// If-None-Match / If-Modified-Since, or skip the request while still fresh.
+import fs from "node:fs";
+import path from "node:path";
+
+import { fixtureKey, toResponse } from "./http-fixtures.js";
+
+const KEEP_HEADERS = ["content-type", "etag", "last-modified"];
+
+/**
+ * Cache for GET responses. `now` is injectable for tests.
+ *   lookup(url)                   saved entry or null
+ *   isFresh(entry, maxAgeMs)      checked within maxAgeMs (0 = always revalidate)
+ *   conditionalHeaders(entry)     validators for a refetch
+ *   store(url, res)               save a 200; returns an unread Response
+ *   toResponse(entry)             the saved body as a Response
+ *   revalidated(url, entry, res)  304 seen: bump checkedAt, serve the saved body
+ *   prune(maxAgeMs)               drop entries not checked within maxAgeMs
+ */
+export function createHttpCache(dir, { now = Date.now } = {}) {
+  const root = path.resolve(dir);
+  const fileFor = (url) => path.join(root, `${fixtureKey(url)}.json`);
+
+  function lookup(url) {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(url), "utf8"));
+    } catch {
+      return null; // missing, or half-written by a killed run
+    }
+  }
+
+  function save(entry) {
+    const file = fileFor(entry.url);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(tmp, JSON.stringify(entry), "utf8");
+      fs.renameSync(tmp, file);
+    } catch {
+      fs.rmSync(tmp, { force: true }); // a cache write must never fail a scrape
+    }
+  }
+
+  const asResponse = (entry) =>
+    toResponse({ status: 200, headers: entry.headers }, entry.body, entry.url);
+
+  return {
+    dir: root,
+    lookup,
+    toResponse: asResponse,
+
+    isFresh(entry, maxAgeMs) {
+      if (!entry || !(maxAgeMs > 0)) return false;
+      return now() - Date.parse(entry.checkedAt) < maxAgeMs;
+    },
+
+    conditionalHeaders(entry) {
+      const out = {};
+      if (entry?.headers?.etag) out["if-none-match"] = entry.headers.etag;
+      if (entry?.headers?.["last-modified"]) {
+        out["if-modified-since"] = entry.headers["last-modified"];
+      }
+      return out;
+    },
+
+    async store(url, res) {
+      const body = await res.text();
+      const headers = {};
+      for (const k of KEEP_HEADERS) {
+        if (res.headers.has(k)) headers[k] = res.headers.get(k);
+      }
+      const at = new Date(now()).toISOString();
+      const entry = { url, headers, fetchedAt: at, checkedAt: at, body };
+      save(entry);
+      return asResponse(entry);
+    },
+
+    revalidated(url, entry, res) {
+      // A 304 may carry fresher validators
+      const headers = { ...entry.headers };
+      for (const k of ["etag", "last-modified"]) {
+        if (res?.headers?.has(k)) headers[k] = res.headers.get(k);
+      }
+      const next = {
+        ...entry,
+        url,
+        headers,
+        checkedAt: new Date(now()).toISOString(),
+      };
+      save(next);
+      return asResponse(next);
+    },
+
+    prune(maxAgeMs) {
+      if (!fs.existsSync(root)) return 0;
+      let removed = 0;
+      for (const host of fs.readdirSync(root, { withFileTypes: true })) {
+        if (!host.isDirectory()) continue;
+        const hostDir = path.join(root, host.name);
+        for (const name of fs.readdirSync(hostDir)) {
+          const file = path.join(hostDir, name);
+          let checkedAt = NaN;
+          if (name.endsWith(".json")) {
+            try {
+              checkedAt = Date.parse(
+                JSON.parse(fs.readFileSync(file, "utf8")).checkedAt,
+              );
+            } catch {
+              // unreadable: remove below
+            }
+          }
+          if (!(now() - checkedAt < maxAgeMs)) {
+            fs.rmSync(file, { force: true });
+            removed++;
+          }
+        }
+      }
+      return removed;
+    },
+  };
+}
@@ -0,0 +1,138 @@
+// lib/http-fixtures.js — record/replay HTTP responses on disk, keyed by URL
+//
+// Layout: <dir>/<host>/<slug>-<hash>.json  (url, status, headers, body file)
+//         <dir>/<host>/<slug>-<hash>.html  (raw body; extension from content-type)
+// Recording stamps the metadata with `recordedAt`. Hand-written fixtures in
+// the same layout say `"synthetic": true` instead; replay treats both alike.
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+// Statuses that must not carry a body when rebuilt as a Response
+const NULL_BODY_STATUS = new Set([101, 204, 205, 304]);
+
+// Never persist cookies (fixtures may end up committed); bodies are stored
+// decoded, so transfer/encoding headers would no longer describe them
+const DROP_HEADERS = new Set([
+  "set-cookie",
+  "set-cookie2",
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+]);
+
+const BODY_EXT = [
+  [/html/i, ".html"],
+  [/json/i, ".body.json"], // plain .json is the metadata file
+  [/csv/i, ".csv"],
+  [/calendar/i, ".ics"],
+  [/xml/i, ".xml"],
+];
+
+/** Stable relative path (no extension) for a request. */
+export function fixtureKey(url, method = "GET") {
+  const u = new URL(url);
+  const verb = String(method || "GET").toUpperCase();
+  const hash = crypto
+    .createHash("sha1")
+    .update(`${verb} ${u.toString()}`)
+    .digest("hex")
+    .slice(0, 10);
+  const slug =
+    `${u.pathname}${u.search}`
+      .replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "index";
+  const prefix = verb === "GET" ? "" : `${verb.toLowerCase()}-`;
+  return path.join(u.hostname.toLowerCase(), `${prefix}${slug}-${hash}`);
+}
+
+const bodyExtFor = (contentType = "") =>
+  BODY_EXT.find(([re]) => re.test(contentType))?.[1] || ".txt";
+
+/**
+ * Fixture store for one run.
+ *   mode "record": pass-through fetch, saving every response
+ *   mode "replay": serve saved responses, never touch the network
+ */
+export function createFixtureStore(dir, mode) {
+  if (mode !== "record" && mode !== "replay") {
+    throw new Error(`unknown fixture mode "${mode}"`);
+  }
+  const root = path.resolve(dir);
+
+  const metaPath = (url, method) =>
+    path.join(root, `${fixtureKey(url, method)}.json`);
+
+  async function record(url, method, res) {
+    const body = await res.text();
+    const headers = Object.fromEntries(
+      [...res.headers].filter(([k]) => !DROP_HEADERS.has(k.toLowerCase())),
+    );
+    const meta = metaPath(url, method);
+    const bodyFile =
+      path.basename(meta, ".json") + bodyExtFor(headers["content-type"]);
+
+    fs.mkdirSync(path.dirname(meta), { recursive: true });
+    fs.writeFileSync(path.join(path.dirname(meta), bodyFile), body, "utf8");
+    fs.writeFileSync(
+      meta,
+      JSON.stringify(
+        {
+          url,
+          method: String(method || "GET").toUpperCase(),
+          status: res.status,
+          statusText: res.statusText,
+          headers,
+          bodyFile,
+          recordedAt: new Date().toISOString(),
+        },
+        null,
+        2,
+      ),
+      "utf8",
+    );
+    return toResponse(
+      { status: res.status, statusText: res.statusText, headers },
+      body,
+      url,
+    );
+  }
+
+  function replay(url, method) {
+    const meta = metaPath(url, method);
+    if (!fs.existsSync(meta)) {
+      throw new Error(`no fixture for ${url} (looked in ${meta})`);
+    }
+    const saved = JSON.parse(fs.readFileSync(meta, "utf8"));
+    const body = fs.readFileSync(
+      path.join(path.dirname(meta), saved.bodyFile),
+      "utf8",
+    );
+    return toResponse(saved, body, url);
+  }
+
+  return {
+    mode,
+    dir: root,
+    record,
+    replay,
+    has: (url, method) => fs.existsSync(metaPath(url, method)),
+  };
+}
+
+/** Rebuild a fetch Response from saved status/headers/body. */
+export function toResponse(
+  { status = 200, statusText = "", headers = {} },
+  body,
+  url,
+) {
+  const res = new Response(NULL_BODY_STATUS.has(status) ? null : body, {
+    status,
+    statusText,
+    headers,
+  });
+  // Response.url is read-only and empty for constructed responses; callers use it for redirects
+  Object.defineProperty(res, "url", { value: url });
+  return res;
+}
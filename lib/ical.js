@@ -0,0 +1,322 @@
+// lib/ical.js — read VEVENTs from an iCalendar (RFC 5545) feed, write lines
+//
+// parseICS(text) gives the raw VEVENTs; icsOccurrences() turns them into
+// concrete occurrences inside a time window: RRULE/EXDATE expansion, moved or
+// cancelled instances (RECURRENCE-ID), TZID / UTC / floating times.
+// contentLine() / escapeText() write the other way, for events.ics.
+import dayjs from "dayjs";
+import timezone from "dayjs/plugin/timezone.js";
+import utc from "dayjs/plugin/utc.js";
+
+import { expandRRuleDates, parseRRule } from "./rrule.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Outlook/Exchange feeds use Windows zone names
+const WINDOWS_ZONES = {
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  UTC: "UTC",
+};
+
+/** Split "NAME;P=1;Q="a:b":value" into { name, params, value }. */
+function parseLine(line) {
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line
+    .slice(0, colon)
+    .split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) {
+      params[p.slice(0, eq).toUpperCase()] = p
+        .slice(eq + 1)
+        .replace(/^"|"$/g, "");
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+const unescapeText = (v = "") =>
+  v.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+/** DATE or DATE-TIME → { date, time, tz, allDay }; tz "UTC", a TZID or null. */
+function parseDateValue(value, params = {}) {
+  const m = String(value)
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  const date = `${m[1]}-${m[2]}-${m[3]}`;
+  if (!m[4]) return { date, time: null, tz: null, allDay: true };
+  return {
+    date,
+    time: `${m[4]}:${m[5]}:${m[6]}`,
+    tz: m[7] ? "UTC" : params.TZID || null,
+    allDay: false,
+  };
+}
+
+/** "PT2H30M" / "P1D" → ms (null when unparseable). */
+function parseDuration(value = "") {
+  const m = String(value).match(
+    /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/,
+  );
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, min = 0, s = 0] = m;
+  const ms = ((((+w * 7 + +d) * 24 + +h) * 60 + +min) * 60 + +s) * 1000;
+  return sign === "-" ? -ms : ms;
+}
+
+/** A usable IANA zone for a TZID, or null. */
+function resolveZone(tzid) {
+  if (!tzid) return null;
+  const name =
+    WINDOWS_ZONES[tzid] ||
+    tzid.match(/[A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?$/)?.[0] ||
+    tzid;
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: name });
+    return name;
+  } catch {
+    return null;
+  }
+}
+
+/** Parse a feed into { timezone (X-WR-TIMEZONE), events: [VEVENT] }. */
+export function parseICS(text) {
+  const lines = String(text)
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "") // unfold
+    .split("\n");
+
+  const events = [];
+  let calendarTz = null;
+  let cur = null;
+  let nested = 0; // VALARM etc. inside a VEVENT
+
+  for (const raw of lines) {
+    const line = parseLine(raw);
+    if (!line) continue;
+    const { name, params, value } = line;
+
+    if (name === "BEGIN") {
+      if (value.toUpperCase() === "VEVENT" && !cur) {
+        cur = { exdates: [] };
+      } else if (cur) nested++;
+      continue;
+    }
+    if (name === "END") {
+      if (cur && nested) nested--;
+      else if (cur && value.toUpperCase() === "VEVENT") {
+        if (cur.dtstart) events.push(cur);
+        cur = null;
+      }
+      continue;
+    }
+    if (!cur) {
+      if (name === "X-WR-TIMEZONE") calendarTz = value.trim();
+      continue;
+    }
+    if (nested) continue;
+
+    switch (name) {
+      case "UID":
+        cur.uid = value.trim();
+        break;
+      case "SUMMARY":
+      case "DESCRIPTION":
+      case "LOCATION":
+        cur[name.toLowerCase()] = unescapeText(value);
+        break;
+      case "URL":
+        cur.url = value.trim();
+        break;
+      case "STATUS":
+        cur.status = value.trim().toUpperCase();
+        break;
+      case "DTSTART":
+      case "DTEND":
+      case "RECURRENCE-ID":
+        cur[name === "RECURRENCE-ID" ? "recurrenceId" : name.toLowerCase()] =
+          parseDateValue(value, params);
+        break;
+      case "DURATION":
+        cur.duration = parseDuration(value.trim());
+        break;
+      case "RRULE":
+        cur.rrule = value.trim();
+        break;
+      case "EXDATE":
+        for (const v of value.split(",")) {
+          const d = parseDateValue(v, params);
+          if (d) cur.exdates.push(d);
+        }
+        break;
+    }
+  }
+  return { timezone: calendarTz, events };
+}
+
+/** Instant (dayjs) for a parsed date value; all-day values are local midnight. */
+function instant(d, zone) {
+  if (d.tz === "UTC") return dayjs.utc(`${d.date}T${d.time}`);
+  return dayjs.tz(
+    `${d.date}T${d.time || "00:00:00"}`,
+    resolveZone(d.tz) || zone,
+  );
+}
+
+/** Length of a VEVENT in ms (DTEND, DURATION or one day if all-day), or null. */
+function duration(ev, zone) {
+  if (ev.dtend) return instant(ev.dtend, zone) - instant(ev.dtstart, zone);
+  return ev.duration ?? (ev.dtstart.allDay ? 86_400_000 : null);
+}
+
+/**
+ * Concrete occurrences overlapping [from, to] (Dates or ISO strings), sorted
+ * by start. Each is { uid, summary, description, location, url, cancelled,
+ * allDay, date (local YYYY-MM-DD), start, end (ISO or null), recurring,
+ * rrule (the series' RRULE text, or null) }.
+ * `tz` is the zone for floating times when the feed names none.
+ */
+export function icsOccurrences(calendar, { from, to, tz = "UTC" }) {
+  const fromMs = +new Date(from);
+  const toMs = +new Date(to);
+  const fallbackZone = resolveZone(calendar.timezone) || tz;
+
+  // Moved / cancelled single instances, keyed by series + original start
+  const overrides = new Map();
+  for (const ev of calendar.events) {
+    if (ev.recurrenceId)
+      overrides.set(
+        `${ev.uid}|${+instant(ev.recurrenceId, resolveZone(ev.dtstart.tz) || fallbackZone)}`,
+        ev,
+      );
+  }
+  const used = new Set();
+
+  const occurrence = (ev, master, startDate, recurring) => {
+    const zone = resolveZone(ev.dtstart.tz) || fallbackZone;
+    const start = instant(startDate, zone);
+    const durationMs = duration(ev, zone) ?? (master && duration(master, zone));
+    const end = durationMs == null ? null : start.add(durationMs, "ms");
+    const pick = (k) => ev[k] ?? master?.[k];
+    return {
+      uid: ev.uid || master?.uid || null,
+      summary: pick("summary") || "",
+      description: pick("description") || "",
+      location: pick("location") || "",
+      url: pick("url") || "",
+      cancelled: (ev.status || master?.status) === "CANCELLED",
+      allDay: !!ev.dtstart.allDay,
+      date: start.tz(zone).format("YYYY-MM-DD"),
+      start: start.toISOString(),
+      end: end && end.toISOString(),
+      recurring,
+      rrule: (recurring && (master?.rrule || ev.rrule)) || null,
+    };
+  };
+
+  const out = [];
+  for (const ev of calendar.events) {
+    if (ev.recurrenceId) continue;
+    const zone = resolveZone(ev.dtstart.tz) || fallbackZone;
+
+    if (!ev.rrule) {
+      out.push(occurrence(ev, null, ev.dtstart, false));
+      continue;
+    }
+
+    let rule;
+    try {
+      rule = parseRRule(ev.rrule);
+    } catch {
+      out.push(occurrence(ev, null, ev.dtstart, false)); // keep the first date
+      continue;
+    }
+    const until = rule.until && parseDateValue(rule.until);
+    const untilMs = until
+      ? +instant(until.allDay ? { ...until, time: "23:59:59" } : until, zone)
+      : Infinity;
+    const excluded = new Set(
+      ev.exdates.map((d) =>
+        d.allDay ? d.date : +instant(d, resolveZone(d.tz) || zone),
+      ),
+    );
+
+    const dates = expandRRuleDates(rule, ev.dtstart.date, {
+      untilDate: until && dayjs(untilMs).tz(zone).format("YYYY-MM-DD"),
+      toDate: dayjs(toMs).tz(zone).format("YYYY-MM-DD"),
+    });
+    for (const date of dates) {
+      const startVal = { ...ev.dtstart, date };
+      const ms = +instant(startVal, zone);
+      if (ms > untilMs) break;
+      if (excluded.has(ev.dtstart.allDay ? date : ms)) continue;
+      const key = `${ev.uid}|${ms}`;
+      const moved = overrides.get(key);
+      if (moved) used.add(key);
+      out.push(
+        moved
+          ? occurrence(moved, ev, moved.dtstart, true)
+          : occurrence(ev, null, startVal, true),
+      );
+    }
+  }
+  // Overrides whose series we never generated (e.g. master outside the feed)
+  for (const [key, ev] of overrides) {
+    if (!used.has(key)) out.push(occurrence(ev, null, ev.dtstart, true));
+  }
+
+  return out
+    .filter((o) => {
+      const startMs = Date.parse(o.start);
+      const endMs = o.end ? Date.parse(o.end) : startMs;
+      return endMs >= fromMs && startMs <= toMs;
+    })
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/* ---------------------- Writing -------------------- */
+
+/** TEXT value escaping (RFC 5545 3.3.11). */
+export const escapeText = (v = "") =>
+  String(v)
+    .replace(/[\\;,]/g, "\\$&")
+    .replace(/\r?\n/g, "\\n");
+
+/**
+ * One content line, "NAME;P=v:value", folded at 75 octets without splitting
+ * a character. `value` is written as given: escape TEXT values first.
+ */
+export function contentLine(name, value, params = {}) {
+  const head = Object.entries(params)
+    .filter(([, v]) => v != null)
+    .map(([k, v]) => `;${k}=${/[:;,]/.test(v) ? `"${v}"` : v}`)
+    .join("");
+  const parts = [];
+  let cur = "";
+  let octets = 0;
+  for (const ch of `${name}${head}:${value}`) {
+    const size = Buffer.byteLength(ch);
+    if (octets + size > 75) {
+      parts.push(cur);
+      cur = " ";
+      octets = 1;
+    }
+    cur += ch;
+    octets += size;
+  }
+  return [...parts, cur].join("\r\n");
+}
@@ -0,0 +1,162 @@
+// lib/polite-fetch.js — per-host request pacing and robots.txt rules
+//
+// Both are scoped to one scraper run: limits are tracked per host, and each
+// host's robots.txt is fetched at most once.
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * Per-host limiter: at most `concurrency` requests in flight per host, and
+ * request starts spaced at least `intervalMs` apart.
+ */
+export function createHostLimiter({ intervalMs = 1000, concurrency = 2 } = {}) {
+  const hosts = new Map();
+
+  const stateFor = (host) => {
+    if (!hosts.has(host))
+      hosts.set(host, { active: 0, waiting: [], lastStart: 0, gate: null });
+    return hosts.get(host);
+  };
+
+  return {
+    /** Run `fn` under `url`'s host limits; `minIntervalMs` can only slow it down. */
+    async run(url, fn, { minIntervalMs = 0 } = {}) {
+      const h = stateFor(new URL(url).host.toLowerCase());
+      if (h.active < concurrency) h.active++;
+      else await new Promise((r) => h.waiting.push(r)); // slot is handed over
+
+      // Starts pass one at a time and are spaced from the previous *actual*
+      // start, so a late timer can't bunch two requests together
+      const gap = Math.max(intervalMs, minIntervalMs);
+      h.gate = Promise.resolve(h.gate).then(async () => {
+        const wait = h.lastStart + gap - Date.now();
+        if (wait > 0) await sleep(wait);
+        h.lastStart = Date.now();
+      });
+      await h.gate;
+
+      try {
+        return await fn();
+      } finally {
+        const next = h.waiting.shift();
+        if (next) next();
+        else h.active--;
+      }
+    },
+  };
+}
+
+/* ----------------------------- robots.txt ----------------------------- */
+// RFC 9309: pick the group naming our product token (matched whole, any
+// case; else "*"), longest matching rule wins, Allow wins a tie; `*` and `$`
+// are supported.
+
+function ruleRegex(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/** Parse robots.txt into { allows(pathAndQuery), crawlDelayMs } for `agent`. */
+export function parseRobots(text = "", agent = "*") {
+  const token = String(agent).toLowerCase();
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text).split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const m = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === "user-agent") {
+      if (!lastWasAgent) groups.push((current = { agents: [], rules: [] }));
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if ((key === "allow" || key === "disallow") && value) {
+      current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay" && Number.isFinite(Number(value))) {
+      current.crawlDelayMs = Number(value) * 1000;
+    }
+  }
+
+  const named = groups.filter((g) => g.agents.includes(token));
+  const chosen = named.length
+    ? named
+    : groups.filter((g) => g.agents.includes("*"));
+  const rules = chosen
+    .flatMap((g) => g.rules)
+    .map((r) => ({ ...r, re: ruleRegex(r.path) }));
+
+  return {
+    crawlDelayMs: Math.max(0, ...chosen.map((g) => g.crawlDelayMs || 0)),
+    allows(pathAndQuery) {
+      let best = null;
+      for (const r of rules) {
+        if (!r.re.test(pathAndQuery)) continue;
+        if (
+          !best ||
+          r.path.length > best.path.length ||
+          (r.path.length === best.path.length && r.allow)
+        ) {
+          best = r;
+        }
+      }
+      return best ? best.allow : true;
+    },
+  };
+}
+
+const ALLOW_ALL = parseRobots("");
+const DISALLOW_ALL = parseRobots("User-agent: *\nDisallow: /");
+
+/**
+ * robots.txt lookups cached per origin. `fetchRobots(url)` returns a Response.
+ * Per RFC 9309: 4xx means no rules. A 5xx or unreachable file is retried
+ * `retries` times; if it still fails the rules disallow everything and carry
+ * `unavailable` (the reason), so the caller can skip the host for this run
+ * only and say why. `onUnavailable(origin, reason)` is told once per origin.
+ */
+export function createRobotsCache({
+  fetchRobots,
+  agent,
+  retries = 1,
+  retryDelayMs = 5000,
+  onUnavailable = () => {},
+}) {
+  const byOrigin = new Map();
+
+  async function load(origin) {
+    let reason;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt) await sleep(retryDelayMs * attempt);
+      try {
+        const res = await fetchRobots(`${origin}/robots.txt`);
+        if (res.ok) return parseRobots(await res.text(), agent);
+        if (res.status >= 400 && res.status < 500) return ALLOW_ALL;
+        reason = `HTTP ${res.status}`;
+      } catch (e) {
+        reason = e?.message || String(e);
+      }
+    }
+    onUnavailable(origin, reason);
+    return { ...DISALLOW_ALL, unavailable: reason };
+  }
+
+  return {
+    /** Rules for `url`'s origin (fetched once per run). */
+    rulesFor(url) {
+      const { origin } = new URL(url);
+      if (!byOrigin.has(origin)) byOrigin.set(origin, load(origin));
+      return byOrigin.get(origin);
+    },
+  };
+}
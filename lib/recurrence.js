@@ -0,0 +1,199 @@
+// lib/recurrence.js — recurring events declared in config or venue sheets
+//
+// A recurrence is plain data, e.g. in venues.json:
+//   { "title": "Open Mic", "every": "last thursday of the month",
+//     "time": "20:00", "pause": [{ "from": "07-20", "to": "08-31" }] }
+// `every` is a phrase ("sundays", "every other friday", "first and third
+// monday of the month", "monthly") or an RRULE. Dates are expanded with
+// lib/rrule.js on local wall-clock dates; turning them into events is the
+// scraper's job (buildEvent).
+import { expandRRuleDates, formatRRule, parseRRule } from "./rrule.js";
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_RE =
+  /\b(sun(?:day)?|mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?)s?\b/g;
+const ORDINALS = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  fifth: 5,
+  "5th": 5,
+  last: -1,
+};
+const ordinalRe = () =>
+  new RegExp(`\\b(${Object.keys(ORDINALS).join("|")})\\b`, "g");
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const UPCOMING_YEARS = 5; // how far `upcoming` may look for its dates
+
+/** Config that can't be expanded (unknown phrase, bad date…). */
+export class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RecurrenceError";
+  }
+}
+
+const dayCodes = (s) => [
+  ...new Set(
+    [...s.matchAll(DAY_RE)].map((m) => m[1].slice(0, 2).toUpperCase()),
+  ),
+];
+
+/**
+ * Phrase or RRULE → a lib/rrule.js rule. `startDate` (YYYY-MM-DD) is the
+ * series' first date; "weekly", "fortnightly" and "monthly" take their
+ * weekday from it ("monthly" keeps its position: a 2nd Thursday repeats on
+ * 2nd Thursdays, a 5th-week date means the last). Throws RecurrenceError.
+ */
+export function recurrenceRule(text, startDate) {
+  const s = String(text || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!s) throw new RecurrenceError("empty recurrence");
+  if (/^(?:rrule:)?freq=/.test(s)) {
+    try {
+      return parseRRule(s.toUpperCase());
+    } catch (e) {
+      throw new RecurrenceError(e.message);
+    }
+  }
+
+  const start = startDate && new Date(`${startDate}T00:00:00Z`);
+  const needStart = () => {
+    if (!start || Number.isNaN(+start)) {
+      throw new RecurrenceError(`"${text}" needs a start date`);
+    }
+    return start;
+  };
+
+  if (/^(?:daily|every day)$/.test(s)) return parseRRule("FREQ=DAILY");
+  if (/^(?:weekly|every week)$/.test(s)) {
+    return parseRRule(`FREQ=WEEKLY;BYDAY=${WEEKDAYS[needStart().getUTCDay()]}`);
+  }
+  if (/^(?:fortnightly|every (?:2|two|other) weeks?)$/.test(s)) {
+    return parseRRule(
+      `FREQ=WEEKLY;INTERVAL=2;BYDAY=${WEEKDAYS[needStart().getUTCDay()]}`,
+    );
+  }
+  if (/^(?:monthly|every month)$/.test(s)) {
+    const d = needStart();
+    const nth = Math.ceil(d.getUTCDate() / 7);
+    return parseRRule(
+      `FREQ=MONTHLY;BYDAY=${nth === 5 ? -1 : nth}${WEEKDAYS[d.getUTCDay()]}`,
+    );
+  }
+
+  const days = dayCodes(s);
+  if (!days.length) throw new RecurrenceError(`unknown recurrence "${text}"`);
+
+  // "last thursday of the month", "first and third monday monthly"
+  if (/\bmonth(?:ly)?\b/.test(s)) {
+    const nths = [...s.matchAll(ordinalRe())].map((m) => ORDINALS[m[1]]);
+    if (!nths.length) {
+      throw new RecurrenceError(`"${text}": which week of the month?`);
+    }
+    const byDay = nths.flatMap((n) => days.map((d) => `${n}${d}`));
+    return parseRRule(`FREQ=MONTHLY;BYDAY=${byDay.join(",")}`);
+  }
+  // "sundays", "every tuesday and thursday", "every other friday"
+  if (ordinalRe().test(s.replace(/\b(?:second|2nd)\b/, ""))) {
+    throw new RecurrenceError(`"${text}": say "of the month" for monthly`);
+  }
+  const fortnightly = /\b(?:other|alternate|second|2nd)\b/.test(s);
+  return parseRRule(
+    `FREQ=WEEKLY;${fortnightly ? "INTERVAL=2;" : ""}BYDAY=${days.join(",")}`,
+  );
+}
+
+const checkDate = (value, what) => {
+  if (value != null && !DATE_RE.test(String(value))) {
+    throw new RecurrenceError(`${what} must be YYYY-MM-DD, got "${value}"`);
+  }
+  return value ?? null;
+};
+
+/** "MM-DD" or "YYYY-MM-DD" pause bounds; MM-DD pauses repeat every year. */
+function parsePause(p) {
+  const ok = (v) => /^(?:\d{4}-)?\d{2}-\d{2}$/.test(String(v || ""));
+  if (!ok(p?.from) || !ok(p?.to) || p.from.length !== p.to.length) {
+    throw new RecurrenceError(
+      `pause needs "from" and "to" as MM-DD or YYYY-MM-DD`,
+    );
+  }
+  return { from: p.from, to: p.to, yearly: p.from.length === 5 };
+}
+
+function isPaused(date, pauses) {
+  const md = date.slice(5);
+  return pauses.some(({ from, to, yearly }) => {
+    if (!yearly) return date >= from && date <= to;
+    return from <= to ? md >= from && md <= to : md >= from || md <= to; // wraps New Year
+  });
+}
+
+/**
+ * Validate a config recurrence. Returns it with `rule` (lib/rrule.js),
+ * `rrule` (text), and `from` / `until` / `except` / `pauses` normalised.
+ * Interval and "monthly" rules need `from`, or the weeks they land on would
+ * drift with the run date. Throws RecurrenceError.
+ */
+export function parseRecurrence(spec) {
+  if (!spec?.every) throw new RecurrenceError(`recurrence needs "every"`);
+  const from = checkDate(spec.from, "from");
+  const rule = recurrenceRule(spec.every, from);
+  const drifts =
+    rule.interval > 1 ||
+    rule.count ||
+    (rule.freq !== "DAILY" && !rule.byDay.length && !rule.byMonthDay.length);
+  if (!from && drifts) {
+    throw new RecurrenceError(`"${spec.every}" needs "from" (its first date)`);
+  }
+  const ruleUntil = rule.until?.match(/^(\d{4})(\d{2})(\d{2})/);
+  const time = spec.time ?? "20:00";
+  if (!/^\d{1,2}:\d{2}$/.test(time)) {
+    throw new RecurrenceError(`time must be HH:mm, got "${time}"`);
+  }
+  if (
+    spec.upcoming != null &&
+    !(Number.isInteger(spec.upcoming) && spec.upcoming > 0)
+  ) {
+    throw new RecurrenceError(`upcoming must be a positive whole number`);
+  }
+
+  return {
+    ...spec,
+    rule,
+    rrule: formatRRule(rule),
+    time,
+    from,
+    until:
+      checkDate(spec.until, "until") ??
+      (ruleUntil ? `${ruleUntil[1]}-${ruleUntil[2]}-${ruleUntil[3]}` : null),
+    except: [].concat(spec.except || []).map((d) => checkDate(d, "except")),
+    pauses: [].concat(spec.pause || []).map(parsePause),
+  };
+}
+
+/**
+ * Dates ("YYYY-MM-DD") of a parsed recurrence between `from` and `to`
+ * (inclusive), minus exceptions and pauses. With `upcoming: n` the next n
+ * dates from `from` are returned instead, however far away `to` is.
+ */
+export function recurrenceDates(rec, { from, to }) {
+  const last = rec.upcoming
+    ? `${Number(from.slice(0, 4)) + UPCOMING_YEARS}${from.slice(4)}`
+    : to;
+  const dates = expandRRuleDates(rec.rule, rec.from || from, {
+    untilDate: rec.until,
+    toDate: last,
+  }).filter(
+    (d) => d >= from && !rec.except.includes(d) && !isPaused(d, rec.pauses),
+  );
+  return rec.upcoming ? dates.slice(0, rec.upcoming) : dates;
+}
@@ -0,0 +1,208 @@
+// lib/rrule.js — RFC 5545 recurrence rules (the subset venues actually use)
+//
+// Supports FREQ=DAILY|WEEKLY|MONTHLY|YEARLY with INTERVAL, COUNT, UNTIL,
+// BYDAY (with ordinals for monthly/yearly: 1FR, -1SA), BYMONTHDAY, BYMONTH
+// and BYSETPOS. Expansion works on local wall-clock dates, so a 19:30 weekly
+// event stays at 19:30 across a DST change.
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+
+dayjs.extend(utc);
+
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const FREQS = new Set(["DAILY", "WEEKLY", "MONTHLY", "YEARLY"]);
+const MAX_PERIODS = 5000; // runaway guard for sparse rules (e.g. 29 Feb)
+
+const intList = (v) =>
+  String(v)
+    .split(",")
+    .map((x) => parseInt(x, 10))
+    .filter((n) => Number.isInteger(n) && n !== 0);
+
+/**
+ * Parse "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10" (an optional "RRULE:" prefix is
+ * ignored). UNTIL is returned as written ("20260401" or "20260401T230000Z");
+ * callers resolve it in the event's time zone. Throws on an unusable rule.
+ */
+export function parseRRule(text) {
+  const rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [] };
+  for (const part of String(text)
+    .replace(/^RRULE:/i, "")
+    .split(";")) {
+    const [rawKey, value = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    if (key === "FREQ") rule.freq = value.toUpperCase();
+    else if (key === "INTERVAL") rule.interval = parseInt(value, 10) || 1;
+    else if (key === "COUNT") rule.count = parseInt(value, 10);
+    else if (key === "UNTIL") rule.until = value.trim();
+    else if (key === "BYMONTHDAY") rule.byMonthDay = intList(value);
+    else if (key === "BYMONTH") rule.byMonth = intList(value);
+    else if (key === "BYSETPOS") rule.bySetPos = intList(value);
+    else if (key === "BYDAY") {
+      for (const d of value.toUpperCase().split(",")) {
+        const m = d.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (m)
+          rule.byDay.push({
+            n: m[1] ? parseInt(m[1], 10) : 0,
+            day: WEEKDAYS.indexOf(m[2]),
+          });
+      }
+    }
+  }
+  if (!FREQS.has(rule.freq))
+    throw new Error(`unsupported RRULE FREQ in "${text}"`);
+  return rule;
+}
+
+/** Format a rule back to RRULE text (UNTIL as given). */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay?.length) {
+    parts.push(
+      `BYDAY=${rule.byDay.map((d) => `${d.n || ""}${WEEKDAYS[d.day]}`).join(",")}`,
+    );
+  }
+  if (rule.byMonthDay?.length)
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byMonth?.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.bySetPos?.length) parts.push(`BYSETPOS=${rule.bySetPos.join(",")}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until}`);
+  return parts.join(";");
+}
+
+/* Calendar maths on UTC midnights: no DST, no local offsets. */
+const day = (y, m, d) => dayjs.utc(Date.UTC(y, m, d));
+
+function daysInMonth(y, m) {
+  return day(y, m + 1, 0).date();
+}
+
+/** Dates in month (y, m) picked by BYDAY/BYMONTHDAY, or [fallbackDate]. */
+function monthCandidates(rule, y, m, fallbackDate) {
+  const last = daysInMonth(y, m);
+  if (!rule.byMonthDay.length && !rule.byDay.length) {
+    return fallbackDate <= last ? [day(y, m, fallbackDate)] : [];
+  }
+  const monthDays = rule.byMonthDay
+    .map((md) => (md > 0 ? md : last + md + 1))
+    .filter((d) => d >= 1 && d <= last);
+  const weekDays = rule.byDay.flatMap(({ n, day: wd }) => {
+    const all = [];
+    for (let d = 1; d <= last; d++) if (day(y, m, d).day() === wd) all.push(d);
+    if (!n) return all;
+    const pick = n > 0 ? all[n - 1] : all[all.length + n];
+    return pick ? [pick] : [];
+  });
+  // Both given: days matching both (e.g. Friday the 13th)
+  const dates =
+    monthDays.length && weekDays.length
+      ? monthDays.filter((d) => weekDays.includes(d))
+      : [...monthDays, ...weekDays];
+  return [...new Set(dates)].map((d) => day(y, m, d));
+}
+
+/** Candidate dates for the period starting at `p` (UTC midnight). */
+function periodCandidates(rule, p, start) {
+  const dayOk = (d) =>
+    (!rule.byMonth.length || rule.byMonth.includes(d.month() + 1)) &&
+    (!rule.byDay.length || rule.byDay.some((b) => b.day === d.day())) &&
+    (!rule.byMonthDay.length ||
+      rule.byMonthDay.some(
+        (md) =>
+          md === d.date() ||
+          md === d.date() - daysInMonth(d.year(), d.month()) - 1,
+      ));
+
+  switch (rule.freq) {
+    case "DAILY":
+      return dayOk(p) ? [p] : [];
+    case "WEEKLY": {
+      // Week starts Monday (WKST=MO)
+      const monday = p.subtract((p.day() + 6) % 7, "day");
+      const days = rule.byDay.length
+        ? rule.byDay.map((b) => b.day)
+        : [start.day()];
+      return [...new Set(days)]
+        .map((wd) => monday.add((wd + 6) % 7, "day"))
+        .filter(
+          (d) => !rule.byMonth.length || rule.byMonth.includes(d.month() + 1),
+        );
+    }
+    case "MONTHLY":
+      if (rule.byMonth.length && !rule.byMonth.includes(p.month() + 1))
+        return [];
+      return monthCandidates(rule, p.year(), p.month(), start.date());
+    case "YEARLY": {
+      const months = rule.byMonth.length
+        ? rule.byMonth.map((m) => m - 1)
+        : [start.month()];
+      if (
+        !rule.byMonth.length &&
+        !rule.byDay.length &&
+        !rule.byMonthDay.length
+      ) {
+        return monthCandidates(rule, p.year(), start.month(), start.date());
+      }
+      return months.flatMap((m) =>
+        monthCandidates(rule, p.year(), m, start.date()),
+      );
+    }
+    default:
+      return [];
+  }
+}
+
+function applySetPos(list, setPos) {
+  if (!setPos?.length) return list;
+  return setPos
+    .map((n) => (n > 0 ? list[n - 1] : list[list.length + n]))
+    .filter(Boolean);
+}
+
+/**
+ * Occurrence dates ("YYYY-MM-DD", in order) of `rule` for a series whose
+ * first date is `startDate`. `untilDate` (inclusive, local) and `rule.count`
+ * bound the series; `toDate` (inclusive) bounds the expansion.
+ */
+export function expandRRuleDates(rule, startDate, { untilDate, toDate }) {
+  const start = dayjs.utc(startDate);
+  const stop = [untilDate, toDate].filter(Boolean).sort()[0];
+  const unit = {
+    DAILY: "day",
+    WEEKLY: "week",
+    MONTHLY: "month",
+    YEARLY: "year",
+  }[rule.freq];
+  // Anchor periods at the start of the week/month/year containing dtstart
+  const anchor =
+    unit === "week"
+      ? start.subtract((start.day() + 6) % 7, "day")
+      : unit === "month"
+        ? start.startOf("month")
+        : unit === "year"
+          ? start.startOf("year")
+          : start;
+
+  const out = [];
+  let produced = 0;
+  for (let i = 0; i < MAX_PERIODS; i++) {
+    const p = anchor.add(i * rule.interval, unit);
+    if (stop && p.format("YYYY-MM-DD") > stop) break;
+    const dates = applySetPos(
+      periodCandidates(rule, p, start).sort((a, b) => a - b),
+      rule.bySetPos,
+    );
+    for (const d of dates) {
+      const iso = d.format("YYYY-MM-DD");
+      if (iso < startDate) continue;
+      if (stop && iso > stop) return out;
+      if (rule.count && produced >= rule.count) return out;
+      produced++;
+      out.push(iso);
+    }
+    if (rule.count && produced >= rule.count) break;
+  }
+  return out;
+}
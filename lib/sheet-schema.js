@@ -0,0 +1,120 @@
+// lib/sheet-schema.js — the columns a venue's events sheet can use
+//
+// Venue staff name their own headers, so each column lists the spellings we
+// accept. Headers arrive as scraper keys ("Start Time (HH:MM)" →
+// "start_time_hh_mm_"); edge underscores and a trailing date/time format hint
+// are ignored when matching. `loose` columns also claim any leftover header
+// containing one of their names ("Optional (tickets/link)" → tickets).
+
+export const SHEET_COLUMNS = [
+  {
+    key: "title",
+    required: true,
+    headers: ["title", "event", "name", "event_name", "event_title"],
+  },
+  {
+    key: "date",
+    required: true,
+    headers: ["date", "event_date", "when"],
+  },
+  // Alternative to "date" for sheets that split it up
+  { key: "day", headers: ["day"] },
+  { key: "month", headers: ["month"] },
+  { key: "year", headers: ["year", "yyyy"] },
+  {
+    key: "time",
+    headers: ["time", "start_time", "doors", "starts", "event_time"],
+  },
+  // Full date + time (ISO), for sheets exported from other tools
+  {
+    key: "start",
+    headers: ["start", "start_iso", "starttime", "datetime", "date_time"],
+  },
+  {
+    key: "end",
+    headers: [
+      "end",
+      "end_iso",
+      "endtime",
+      "end_time",
+      "ends",
+      "finish",
+      "finish_time",
+    ],
+  },
+  {
+    key: "url",
+    headers: [
+      "url",
+      "link",
+      "event_link",
+      "page",
+      "website",
+      "facebook_event",
+      "tickets_url",
+    ],
+  },
+  {
+    key: "tickets",
+    loose: true,
+    headers: ["tickets", "ticket_url", "booking", "book"],
+  },
+  {
+    key: "price",
+    loose: true,
+    headers: ["price", "cost", "admission", "entry", "ticket_price"],
+  },
+  {
+    key: "description",
+    headers: ["description", "details", "info", "notes", "about", "line_up"],
+  },
+  {
+    key: "age",
+    headers: ["age", "ages", "age_limit", "age_restriction", "min_age"],
+  },
+  {
+    key: "type",
+    headers: ["type", "event_type", "category", "categories", "genre"],
+  },
+  {
+    key: "repeat",
+    headers: ["repeat", "repeats", "recurrence", "recurring", "frequency"],
+  },
+];
+
+const FORMAT_HINT = /_(?:dd_mm_yyyy|d_m_yyyy|dd_mm_yy|dd_mm|hh_mm_ss|hh_mm)$/;
+
+const bare = (header) =>
+  String(header || "")
+    .replace(/^_+|_+$/g, "")
+    .replace(FORMAT_HINT, "");
+
+/**
+ * Match sheet header keys to SHEET_COLUMNS. Returns
+ * { columns: { key: [header] }, byHeader: [key | null], missing: [key] };
+ * a column can be fed by several headers (first non-empty cell wins).
+ */
+export function matchSheetColumns(headers) {
+  const byHeader = headers.map((h) => {
+    const name = bare(h);
+    return SHEET_COLUMNS.find((c) => c.headers.includes(name))?.key ?? null;
+  });
+  headers.forEach((h, i) => {
+    if (byHeader[i] || !bare(h)) return;
+    byHeader[i] =
+      SHEET_COLUMNS.find(
+        (c) => c.loose && c.headers.some((name) => bare(h).includes(name)),
+      )?.key ?? null;
+  });
+
+  const columns = {};
+  headers.forEach((h, i) => {
+    if (byHeader[i]) (columns[byHeader[i]] ||= []).push(h);
+  });
+  const hasDate =
+    columns.date || columns.start || (columns.day && columns.month);
+  const missing = SHEET_COLUMNS.filter(
+    (c) => c.required && !columns[c.key] && !(c.key === "date" && hasDate),
+  ).map((c) => c.key);
+  return { columns, byHeader, missing };
+}
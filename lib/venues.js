@@ -0,0 +1,60 @@
+// lib/venues.js — the venue dataset (public/venue-data.json)
+//
+// One entry per place: id, display name, aliases, address, postcode,
+// coordinates, website, listings page and whether entry is free unless a
+// listing says otherwise. The scraper uses it for addresses, distances,
+// `venueId` and title clean-up; the page loads the same file for labels and
+// links. Sources in venues.json point at an entry with `venue`.
+
+/** Matching form of a name: "Späti", "Mr Moody’s Tavern" → "spati", "mr moodys tavern". */
+export function venueKey(name = "") {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f'’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Validate the dataset and index it. `find(...names)` returns the venue a
+ * venue or source name refers to: an exact name or alias first, then one
+ * contained in it as whole words ("The Adelphi Club in Hull"), longest
+ * first; null when nothing matches. Throws on a malformed entry or a name
+ * two venues share.
+ */
+export function indexVenues(list) {
+  if (!Array.isArray(list)) throw new Error("expected an array");
+  const byId = new Map();
+  const byKey = new Map();
+  for (const v of list) {
+    if (!v?.id || !v?.name) throw new Error("venue missing id/name");
+    if (byId.has(v.id)) throw new Error(`duplicate venue id "${v.id}"`);
+    byId.set(v.id, v);
+    for (const coord of ["lat", "lon"]) {
+      if (v[coord] != null && !Number.isFinite(v[coord])) {
+        throw new Error(`${v.id}: ${coord} must be a number`);
+      }
+    }
+    for (const name of [v.name, ...(v.aliases || [])]) {
+      const key = venueKey(name);
+      const other = byKey.get(key);
+      if (other && other !== v) {
+        throw new Error(`"${name}" names both ${other.id} and ${v.id}`);
+      }
+      byKey.set(key, v);
+    }
+  }
+  const keys = [...byKey.keys()].sort((a, b) => b.length - a.length);
+
+  const find = (...names) => {
+    const wanted = names.map(venueKey).filter(Boolean);
+    for (const k of wanted) if (byKey.has(k)) return byKey.get(k);
+    for (const k of wanted) {
+      const hit = keys.find((key) => ` ${k} `.includes(` ${key} `));
+      if (hit) return byKey.get(hit);
+    }
+    return null;
+  };
+  return { venues: list, byId, find };
+}
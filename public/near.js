@@ -0,0 +1,65 @@
+// public/near.js — walking times for the page's "Near" filter
+//
+// A plain script so the page can load it before its own script; it has no
+// imports or exports, so test/near.test.js can import it too. Sets
+// globalThis.HU5Near. Straight-line distance, stretched for streets.
+(() => {
+    const WALK_KMH = 4.8;
+    const ROUTE_FACTOR = 1.3;
+
+    function distanceKm(a, b) {
+        const rad = (d) => (d * Math.PI) / 180;
+        const h =
+            Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+            Math.cos(rad(a.lat)) *
+                Math.cos(rad(b.lat)) *
+                Math.sin(rad(b.lon - a.lon) / 2) ** 2;
+        return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+    }
+
+    // Minutes on foot from origin to at, or null when either is unknown
+    function walkMinutes(origin, at) {
+        if (!origin || !at) return null;
+        const km = distanceKm(origin, at) * ROUTE_FACTOR;
+        return Math.max(1, Math.round((km / WALK_KMH) * 60));
+    }
+
+    // "HU5 3AF", a sector ("HU5 3") or a district ("HU5") in the bundled
+    // public/hu-postcodes.json; a postcode it doesn't list falls back to its
+    // sector, then its district. { lat, lon } or null.
+    function lookupPostcode(dataset, text) {
+        const pc = String(text || "")
+            .toUpperCase()
+            .trim()
+            .replace(/\s+/g, " ");
+        const m =
+            pc.match(/^(HU\d{1,2}) ?(\d)([A-Z]{2})$/) ||
+            pc.match(/^(HU\d{1,2}) (\d)()$/) ||
+            pc.match(/^(HU\d{1,2})()()$/);
+        if (!m) throw new Error("Enter a Hull postcode, e.g. HU5 3AF or HU5");
+        const [, district, sector, unit] = m;
+        const at =
+            (unit && dataset?.postcodes?.[`${district} ${sector}${unit}`]) ||
+            (sector && dataset?.sectors?.[`${district} ${sector}`]) ||
+            dataset?.districts?.[district];
+        return at ? { lat: at[0], lon: at[1] } : null;
+    }
+
+    // Sets each event's _walkMin from origin; with a limit, keeps the events
+    // within it (unknown places fail a limit)
+    function withinWalk(events, origin, maxWalk, coordsOf) {
+        events.forEach((e) => (e._walkMin = walkMinutes(origin, coordsOf(e))));
+        if (!origin || !maxWalk) return events;
+        return events.filter((e) => e._walkMin != null && e._walkMin <= maxWalk);
+    }
+
+    // Nearest first, then soonest; unknown places and undated events last
+    function byWalk(a, b) {
+        return (
+            (a._walkMin ?? 9e15) - (b._walkMin ?? 9e15) ||
+            (+a._startEff || 9e15) - (+b._startEff || 9e15)
+        );
+    }
+
+    globalThis.HU5Near = { distanceKm, walkMinutes, lookupPostcode, withinWalk, byWalk };
+})();
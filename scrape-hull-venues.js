@@ -20,10 +20,37 @@ import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
 import customParseFormat from "dayjs/plugin/customParseFormat.js";
+import { AsyncLocalStorage } from "node:async_hooks";
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { createEvents } from "ics";
+import { parseArgs } from "node:util";
+import { createFixtureStore } from "./lib/http-fixtures.js";
+import { createHttpCache } from "./lib/http-cache.js";
+import { createDetailRecords } from "./lib/detail-records.js";
+import { createHostLimiter, createRobotsCache } from "./lib/polite-fetch.js";
+import {
+  contentLine,
+  escapeText,
+  icsOccurrences,
+  parseICS,
+} from "./lib/ical.js";
+import { createCsvParser, csvTable, parseCsv } from "./lib/csv.js";
+import {
+  parseRecurrence,
+  recurrenceDates,
+  recurrenceRule,
+} from "./lib/recurrence.js";
+import { expandRRuleDates, formatRRule, parseRRule } from "./lib/rrule.js";
+import { mergeDuplicateEvents } from "./lib/dedupe.js";
+import { indexVenues } from "./lib/venues.js";
+import {
+  createGeocoder,
+  normalisePostcode,
+  postcodesFromOnspd,
+} from "./lib/geocode.js";
+import { matchSheetColumns } from "./lib/sheet-schema.js";
 
 /* Enable Day.js plugins once */
 dayjs.extend(utc);
@@ -32,86 +59,283 @@ dayjs.extend(customParseFormat);
 
 /* ----------------------------- Config ------------------------------ */
 const TZ = "Europe/London";
+// Say who we are and how to reach us; SCRAPER_USER_AGENT overrides (keep a contact in it)
 const UA =
-  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36";
+  process.env.SCRAPER_USER_AGENT ||
+  "hu5-events/1.0 (+https://www.findhu5.events; hu5eventsfinder@gmail.com)";
+const UA_TOKEN = UA.split(/[/\s]/)[0]; // product token matched against robots.txt
 const ACCEPT_LANG = "en-GB,en;q=0.9";
 const CSV_DEBUG = process.env.CSV_DEBUG === "1";
 
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+/* Per-host politeness: gap between request starts, requests in flight, and
+   the most of a robots.txt Crawl-delay we honour (runs have a time budget). */
+const CRAWL_INTERVAL_MS = envNumber("CRAWL_INTERVAL_MS", 1000);
+const CRAWL_CONCURRENCY = Math.max(1, envNumber("CRAWL_CONCURRENCY", 2));
+const CRAWL_MAX_DELAY_MS = 10_000;
+/* Overall time budget for a run's network requests (0 = none). Once it's
+   spent no new request starts, so a cold, paced run still finishes with what
+   it has; the server sets it below its own execFile timeout. */
+const RUN_BUDGET_MS = envNumber("SCRAPE_BUDGET_MS", 0);
+const RUN_STARTED_AT = Date.now();
+
+/* On-disk HTTP cache: detail/ticket pages checked within the TTL are served
+   without a request; everything else is revalidated with ETag/Last-Modified. */
+const DETAIL_CACHE_TTL_MS = envNumber("HTTP_CACHE_TTL_HOURS", 12) * 3_600_000;
+const HTTP_CACHE_KEEP_MS = 30 * 86_400_000; // drop pages unused for 30 days
+
+/* Incremental detail crawls: a known event page is refetched when its record
+   is older than DETAIL_REFRESH_DAYS or the event is within DETAIL_NEAR_DAYS. */
+const DETAIL_REFRESH_MS = envNumber("DETAIL_REFRESH_DAYS", 3) * 86_400_000;
+const DETAIL_NEAR_MS = envNumber("DETAIL_NEAR_DAYS", 2) * 86_400_000;
+
+/* Scrape clock. SCRAPE_NOW pins "now" (fixture replays, golden tests). */
+const NOW_OVERRIDE = process.env.SCRAPE_NOW
+  ? dayjs(process.env.SCRAPE_NOW)
+  : null;
+if (NOW_OVERRIDE && !NOW_OVERRIDE.isValid()) {
+  throw new Error(`SCRAPE_NOW is not a valid date: ${process.env.SCRAPE_NOW}`);
+}
+const now = () => (NOW_OVERRIDE ? NOW_OVERRIDE.clone() : dayjs());
+
 /* Start-of-today cutoff in London. We keep today+future, allow undated. */
-const CUTOFF = dayjs.tz(dayjs(), TZ).startOf("day");
+const CUTOFF = dayjs.tz(now(), TZ).startOf("day");
 
 /* ---------------------- Calendar generation -------------------- */
-function generateCalendarFile(events) {
-  // Filter to only dated events for calendar export
-  const datedEvents = events.filter((e) => e.start);
+// Repeating events are written as one VEVENT with an RRULE rather than one
+// per date: events stamped with a `series` rule (recurring adapter, sheet
+// repeats, feeds) and weekly runs spotted here (same venue, title and
+// weekday). Dates the rule skips become EXDATEs; a date with another time or
+// length, or cancelled, becomes a RECURRENCE-ID instance. Every time is
+// London wall-clock time (DTSTART;TZID=Europe/London, with the VTIMEZONE in
+// the file) so a series keeps its time across DST; UNTIL is UTC as RFC 5545
+// requires alongside a TZID.
+
+const SERIES_MIN_DATES = 3; // undeclared weekly dates needed to call it a series
+const DEFAULT_EVENT_MS = 2 * 60 * 60 * 1000; // 2 hours when there's no end
+
+// Europe/London since 1996 (EU summer time rules)
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TZ}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0000",
+  "TZOFFSETTO:+0100",
+  "TZNAME:BST",
+  "DTSTART:19810329T010000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0000",
+  "TZNAME:GMT",
+  "DTSTART:19961027T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+const CALENDAR_HEADER = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "PRODID:-//Find HU5 Events//EN",
+  "CALSCALE:GREGORIAN",
+  "METHOD:PUBLISH",
+  "X-WR-CALNAME:HU5 Events",
+  "X-PUBLISHED-TTL:PT1H",
+];
+
+const icsLocal = (d) => d.tz(TZ).format("YYYYMMDD[T]HHmmss");
+const icsUtc = (d) => d.utc().format("YYYYMMDD[T]HHmmss[Z]");
+
+// Some sources leave `end` unset as 1970; only trust an end after the start
+function eventLengthMs(evt) {
+  const ms = evt.end ? Date.parse(evt.end) - Date.parse(evt.start) : NaN;
+  return ms > 0 ? ms : DEFAULT_EVENT_MS;
+}
+
+const icsDetails = (evt) => ({
+  title: evt.title || "Event",
+  description: evt.description || "",
+  location: evt.venue + (evt.address ? ", " + evt.address : "") || "Hull, UK",
+  url: evt.url && evt.url.startsWith("http") ? evt.url : undefined,
+});
+
+/** Content lines of one VEVENT; times are dayjs, written as London time. */
+function veventLines(e) {
+  const zoned = { TZID: TZ };
+  return [
+    "BEGIN:VEVENT",
+    contentLine("UID", e.uid),
+    contentLine("SUMMARY", escapeText(e.title)),
+    contentLine("DTSTAMP", icsUtc(now())),
+    contentLine("DTSTART", icsLocal(e.start), zoned),
+    contentLine("DTEND", icsLocal(e.end), zoned),
+    e.recurrenceId &&
+      contentLine("RECURRENCE-ID", icsLocal(e.recurrenceId), zoned),
+    e.rrule && contentLine("RRULE", e.rrule),
+    e.exdates?.length &&
+      contentLine("EXDATE", e.exdates.map(icsLocal).join(","), zoned),
+    e.description && contentLine("DESCRIPTION", escapeText(e.description)),
+    e.url && contentLine("URL", e.url),
+    contentLine("LOCATION", escapeText(e.location)),
+    contentLine("STATUS", e.status),
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+/** Weekly (or fortnightly) rule for sorted YYYY-MM-DD dates, if they form one. */
+function weeklyRun(dates) {
+  if (dates.length < SERIES_MIN_DATES) return null;
+  if (new Set(dates).size !== dates.length) return null;
+  const weeks = dates
+    .slice(1)
+    .map((d, i) => dayjs.utc(d).diff(dayjs.utc(dates[i]), "day") / 7);
+  if (!weeks.every(Number.isInteger)) return null;
+  const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+  const interval = weeks.reduce(gcd);
+  const missing =
+    weeks.reduce((a, b) => a + b, 0) / interval + 1 - dates.length;
+  // More than one gap per two dates reads as coincidence, not a residency
+  if (interval > 2 || missing * 2 > dates.length) return null;
+  const day = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"][
+    dayjs.utc(dates[0]).day()
+  ];
+  return parseRRule(
+    `FREQ=WEEKLY;${interval > 1 ? `INTERVAL=${interval};` : ""}BYDAY=${day}`,
+  );
+}
 
-  if (datedEvents.length === 0) {
-    // Return minimal valid calendar
-    return [
-      "BEGIN:VCALENDAR",
-      "VERSION:2.0",
-      "PRODID:-//Find HU5 Events//EN",
-      "CALSCALE:GREGORIAN",
-      "METHOD:PUBLISH",
-      "X-WR-CALNAME:HU5 Events",
-      "X-WR-TIMEZONE:Europe/London",
-      "END:VCALENDAR",
-    ].join("\r\n");
+/**
+ * Split dated events into one-offs and series ({ rule, dates: [{ evt, start,
+ * date }] }, sorted). Dates off the series' rule stay one-offs.
+ */
+function calendarSeries(events) {
+  const groups = new Map();
+  for (const evt of events) {
+    const start = dayjs(evt.start).tz(TZ);
+    if (!start.isValid()) continue;
+    const who = `${slugify(evt.venue || evt.source)}|${titleFingerprint(evt.title)}`;
+    const key = evt.series ? `${who}|${evt.series}` : `${who}|${start.day()}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ evt, start, date: start.format("YYYY-MM-DD") });
   }
 
-  // Convert events to ics format
-  const icsEvents = datedEvents
-    .map((evt) => {
-      const start = dayjs(evt.start).tz(TZ);
-      if (!start.isValid()) return null;
+  const singles = [];
+  const series = [];
+  for (const occs of groups.values()) {
+    occs.sort((a, b) => a.start - b.start);
+    let rule = null;
+    try {
+      rule = occs[0].evt.series
+        ? parseRRule(occs[0].evt.series)
+        : weeklyRun(occs.map((o) => o.date));
+    } catch {} // unreadable rule: list the dates one by one
+    if (!rule) {
+      singles.push(...occs.map((o) => o.evt));
+      continue;
+    }
+    // The listed dates bound the series, whatever the source's COUNT/UNTIL
+    rule = { ...rule, count: undefined, until: undefined };
+    const ruleDates = new Set(
+      expandRRuleDates(rule, occs[0].date, { toDate: occs.at(-1).date }),
+    );
+    const dates = [];
+    for (const o of occs) {
+      if (ruleDates.has(o.date) && o.date !== dates.at(-1)?.date) dates.push(o);
+      else singles.push(o.evt);
+    }
+    if (dates.length > 1) series.push({ rule, dates });
+    else singles.push(...dates.map((o) => o.evt));
+  }
+  return { singles, series };
+}
+
+/** A series' VEVENTs: the master, then RECURRENCE-ID instances. */
+function icsSeries({ rule, dates }) {
+  const usual = (values) => {
+    const counts = new Map();
+    for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+    return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+  };
+  const time = usual(dates.map((o) => o.start.format("HH:mm")));
+  const lengthMs = usual(dates.map((o) => eventLengthMs(o.evt)));
+  const at = (date) => dayjs.tz(`${date} ${time}`, "YYYY-MM-DD HH:mm", TZ);
+
+  const first = dates[0];
+  const last = dates.at(-1);
+  const listed = new Set(dates.map((o) => o.date));
+  const skipped = expandRRuleDates(rule, first.date, {
+    toDate: last.date,
+  }).filter((d) => !listed.has(d));
+  // Stable while the series runs: not tied to whichever date is first
+  const uid = `${slugify(first.evt.venue || first.evt.source)}-series-${shortHash(
+    `${titleFingerprint(first.evt.title)}|${formatRRule(rule)}`,
+  )}@findhu5.events`;
+
+  const master = {
+    ...icsDetails(first.evt),
+    uid,
+    start: at(first.date),
+    end: at(first.date).add(lengthMs, "ms"),
+    rrule: formatRRule({ ...rule, until: icsUtc(at(last.date)) }),
+    exdates: skipped.map(at),
+    status: "CONFIRMED",
+  };
+  const changed = dates
+    .filter(
+      (o) =>
+        o.start.format("HH:mm") !== time ||
+        eventLengthMs(o.evt) !== lengthMs ||
+        o.evt.status === "cancelled",
+    )
+    .map((o) => ({
+      ...icsDetails(o.evt),
+      uid,
+      recurrenceId: at(o.date),
+      start: o.start,
+      end: o.start.add(eventLengthMs(o.evt), "ms"),
+      status: o.evt.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+    }));
+  return [master, ...changed];
+}
 
-      // Default 2-hour duration if no end time
-      const end = evt.end ? dayjs(evt.end).tz(TZ) : start.add(2, "hour");
+function generateCalendarFile(events) {
+  // Filter to only dated events for calendar export
+  const datedEvents = events.filter((e) => e.start);
 
+  const { singles, series } = calendarSeries(datedEvents);
+  const vevents = [
+    ...singles.map((evt) => {
+      const start = dayjs(evt.start).tz(TZ);
       return {
-        start: [
-          start.year(),
-          start.month() + 1,
-          start.date(),
-          start.hour(),
-          start.minute(),
-        ],
-        end: [end.year(), end.month() + 1, end.date(), end.hour(), end.minute()],
-        title: evt.title || "Event",
-        description: evt.description || "",
-        location:
-          evt.venue + (evt.address ? ", " + evt.address : "") || "Hull, UK",
-        url: evt.url && evt.url.startsWith("http") ? evt.url : undefined,
-        uid: evt._id || `${evt.title}-${start.unix()}`,
+        ...icsDetails(evt),
+        start,
+        end: start.add(eventLengthMs(evt), "ms"),
+        // Same UID the frontend's per-event .ics uses, so subscribers don't see duplicates
+        uid: `${evt.id || `${evt.title}-${start.unix()}`}@findhu5.events`,
         status: "CONFIRMED",
       };
-    })
-    .filter(Boolean);
-
-  // Use ics library to generate calendar
-  const { error, value } = createEvents(icsEvents);
-
-  if (error) {
-    console.error("[err] Calendar generation failed:", error);
-    // Return minimal valid calendar on error
-    return [
-      "BEGIN:VCALENDAR",
-      "VERSION:2.0",
-      "PRODID:-//Find HU5 Events//EN",
-      "CALSCALE:GREGORIAN",
-      "METHOD:PUBLISH",
-      "X-WR-CALNAME:HU5 Events",
-      "X-WR-TIMEZONE:Europe/London",
-      "END:VCALENDAR",
-    ].join("\r\n");
-  }
+    }),
+    ...series.flatMap(icsSeries),
+  ];
 
-  return value;
+  return [
+    ...CALENDAR_HEADER,
+    ...(vevents.length ? VTIMEZONE : []),
+    ...vevents.flatMap(veventLines),
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
 }
 
 /* ---------------------- Small general utilities -------------------- */
 // Enhanced logging with timestamps and better formatting
 const log = (...args) => {
+  if (process.env.SCRAPE_QUIET === "1") return;
   const timestamp = dayjs().tz(TZ).format("HH:mm:ss");
   const levelMatch = args[0]?.match?.(
     /\[(start|cfg|boot|err|warn|ok|info|polar|adelphi|tpr|welly|vox|umu|dive|csv|pave)\]/i,
@@ -241,30 +465,125 @@ function detectEventType(title = "", description = "") {
   return types.length > 0 ? types : null;
 }
 
-// Deduplicate events by title, date, and venue (keeps first occurrence)
-function deduplicateEvents(events) {
-  const seen = new Map();
-  const kept = [];
+/**
+ * Merge events that different sources (or one source twice) list for the same
+ * occurrence; see lib/dedupe.js. `registry` supplies source trust, and the
+ * merged pairs are appended to `merges` for the run report.
+ */
+function deduplicateEvents(
+  events,
+  { registry = [], merges, cached = new Set() } = {},
+) {
+  const byId = new Map(registry.map((v) => [v.id, v]));
+  const result = mergeDuplicateEvents(events, {
+    venueKey: (ev) => ev.venueId || titleFingerprint(ev.venue || ev.source),
+    trust: (ev) => {
+      const v = byId.get(ev.sourceId);
+      return v ? (v.trust ?? ADAPTER_TRUST[v.adapter] ?? 0) : 0;
+    },
+    sourceOf: (ev) => ev.sourceId || ev.source,
+    isCached: (ev) => cached.has(ev),
+  });
+  merges?.push(...result.merges);
+  return result.events;
+}
 
-  for (const ev of events) {
-    // Create a dedup key from normalized title, start date, and venue
-    const normalizedTitle = (ev.title || "").toLowerCase().trim();
-    // Use ISO date string part directly to avoid timezone-related issues with toDateString()
-    const dateKey = ev.start ? dayjs(ev.start).format("YYYY-MM-DD") : "undated";
-    const venueKey = (ev.venue || "").toLowerCase().trim();
-    const key = `${normalizedTitle}|${dateKey}|${venueKey}`;
-
-    if (!seen.has(key)) {
-      seen.set(key, ev);
-      kept.push(ev);
-    }
-  }
+/* --------------------------- Event identity --------------------------- */
+// id = <venue>-<local YYYYMMDD>-<hash>, hashed from the event's own page URL
+// when it has one, else from its title's significant words. Stable across
+// re-scrapes, reordering and small title edits ("SOLD OUT", case, punctuation).
+const TITLE_NOISE =
+  /\b(sold\s*out|postponed|cancell?ed|rescheduled|free\s+entry|live|presents?|the|a|an|and|at|with)\b/g;
+
+const slugify = (s = "") =>
+  normalizeWhitespace(s)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f'’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+function titleFingerprint(title = "") {
+  const words = slugify(title).replace(/-/g, " ").replace(TITLE_NOISE, " ");
+  return [...new Set(words.split(/\s+/).filter(Boolean))].sort().join(" ");
+}
 
-  return kept;
+const shortHash = (s) =>
+  crypto.createHash("sha1").update(s).digest("hex").slice(0, 8);
+
+const pageKey = (url) => url.replace(/[?#].*$/, "").replace(/\/+$/, "");
+
+// A URL identifies an event only if it is a page of its own: not a site root
+// (every Pave Bar event links the homepage) and not its venue's homepage or
+// listings page. Decided per event, so the id never depends on the batch.
+function eventPageUrl(ev) {
+  if (!/^https?:/i.test(ev.url || "")) return null;
+  const url = new URL(ev.url);
+  if (url.pathname === "/") return null;
+  const known = ev.venueId
+    ? VENUES.byId.get(ev.venueId)
+    : VENUES.find(ev.venue, ev.source);
+  const venuePages = [known?.website, known?.listingsUrl].filter(Boolean);
+  const key = pageKey(ev.url);
+  return venuePages.some((u) => pageKey(u) === key) ? null : key;
+}
+
+/** Give every event without one a stable `id` (existing ids are kept). */
+function assignEventIds(events) {
+  const taken = new Set(events.map((ev) => ev.id).filter(Boolean));
+
+  return events.map((ev) => {
+    if (ev.id) return ev;
+    const start = ev.start ? dayjs(ev.start) : null;
+    const day = start?.isValid() ? start.tz(TZ).format("YYYYMMDD") : "undated";
+    // The date is already part of the id
+    const basis =
+      eventPageUrl(ev) || titleFingerprint(ev.title) || ev.title || "";
+    const base = `${slugify(ev.venue || ev.source) || "event"}-${day}-${shortHash(basis)}`;
+
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    taken.add(id);
+    return { ...ev, id };
+  });
+}
+
+/** Ids used by more than one event (published lists must have none). */
+function duplicateIds(events) {
+  const seen = new Set();
+  const dupes = new Set();
+  for (const ev of events) (seen.has(ev.id) ? dupes : seen).add(ev.id);
+  return [...dupes];
+}
+
+/**
+ * Add back previously published events this run didn't re-scrape. A cached
+ * event gives way to a fresh one with the same URL, the same id, or the same
+ * source and title, so a re-timed sheet or recurring listing (no URL) isn't
+ * published twice. Returns { events, kept }.
+ */
+function mergeCachedEvents(events, cached, { registry } = {}) {
+  const sameEvent = (ev) => `${ev.source}|${titleFingerprint(ev.title)}`;
+  const urls = new Set(events.map((ev) => ev.url).filter(Boolean));
+  const ids = new Set(events.map((ev) => ev.id).filter(Boolean));
+  const titles = new Set(events.map(sameEvent));
+  const kept = (cached || []).filter(
+    (ev) => !urls.has(ev.url) && !ids.has(ev.id) && !titles.has(sameEvent(ev)),
+  );
+  if (!kept.length) return { events, kept: 0 };
+  return {
+    events: deduplicateEvents([...events, ...kept], {
+      registry,
+      cached: new Set(kept),
+    }),
+    kept: kept.length,
+  };
 }
 /* Dayjs→ISO wrapper that won’t throw */
-// Dayjs to ISO (and general) safe converter that never throws
+// Dayjs to ISO (and general) safe converter that never throws; null for a
+// missing value (new Date(null) is the epoch)
 function toISO(d) {
+  if (d == null || d === "") return null;
   try {
     if (d && typeof d === "object" && typeof d.isValid === "function") {
       if (!d.isValid()) return null;
@@ -300,6 +619,132 @@ function extractPriceText(text = "") {
   return match ? match[0] : null;
 }
 
+/* Network entry point for every scraper request. Live by default; with
+   --record/--replay (or HTTP_RECORD_DIR/HTTP_REPLAY_DIR) responses are saved
+   to / served from a fixtures directory keyed by URL. */
+let httpFixtures = null;
+
+/* Which venue is fetching: scrapers run concurrently, so HTTP status codes are
+   attributed through async context rather than passed down every call. */
+const venueRunContext = new AsyncLocalStorage();
+
+function noteHttpStatus(code) {
+  const http = venueRunContext.getStore()?.http;
+  if (http) http[code] = (http[code] || 0) + 1;
+}
+
+/* Persistent cache for live runs (off under --record/--replay and when
+   imported, so recordings hold what the site sent and goldens never see
+   cached pages). */
+let httpCache = null;
+
+function configureHttpCache(dir) {
+  httpCache = dir ? createHttpCache(dir) : null;
+  if (httpCache) log(`[cfg] HTTP cache: ${httpCache.dir}`);
+}
+
+/* Per-URL record of what each detail page yielded (same lifetime rules as the
+   HTTP cache: live runs only). */
+let detailRecords = null;
+let detailRecordsFile = null;
+
+function configureDetailRecords(file) {
+  detailRecordsFile = file || null;
+  detailRecords = file
+    ? createDetailRecords({
+        refreshMs: DETAIL_REFRESH_MS,
+        nearMs: DETAIL_NEAR_MS,
+        now: () => now().valueOf(),
+      })
+    : null;
+  if (detailRecords) {
+    const n = detailRecords.load(file);
+    log(`[cfg] Detail records: ${file} (${n} pages)`);
+  }
+}
+
+/* Map a batch of detail URLs through a scraper's `(url) => event` parser;
+   unchanged pages reuse their last result instead of being fetched. */
+function crawlDetails(urls, parse) {
+  return urls.map(detailRecords ? detailRecords.wrap(parse) : parse);
+}
+
+/* Saved geocoder results (live runs only, like the HTTP cache). */
+let geocodeCacheFile = null;
+
+function configureGeocodeCache(file) {
+  geocodeCacheFile = file || null;
+  if (geocodeCacheFile) {
+    const n = GEOCODER.load(geocodeCacheFile);
+    log(`[cfg] Geocode cache: ${geocodeCacheFile} (${n} addresses)`);
+  }
+}
+
+function configureHttpFixtures({ record, replay } = {}) {
+  if (record && replay) throw new Error("use either --record or --replay");
+  httpFixtures = record
+    ? createFixtureStore(record, "record")
+    : replay
+      ? createFixtureStore(replay, "replay")
+      : null;
+  if (httpFixtures) log(`[cfg] HTTP ${httpFixtures.mode}: ${httpFixtures.dir}`);
+}
+
+async function httpFetch(url, init = {}) {
+  let res;
+  try {
+    if (httpFixtures?.mode === "replay") {
+      res = httpFixtures.replay(url, init.method);
+    } else {
+      res = await fetch(url, init);
+      if (httpFixtures?.mode === "record") {
+        res = await httpFixtures.record(url, init.method, res);
+      }
+    }
+  } catch (e) {
+    noteHttpStatus(e?.name === "AbortError" ? "timeout" : "error");
+    throw e;
+  }
+  noteHttpStatus(res.status);
+  return res;
+}
+
+/* Live (and --record) requests queue per host and respect robots.txt, fetched
+   once per host per run. Replays never touch the network, so skip both. */
+const hostLimiter = createHostLimiter({
+  intervalMs: CRAWL_INTERVAL_MS,
+  concurrency: CRAWL_CONCURRENCY,
+});
+/** ms left in the run budget (Infinity without one). */
+const budgetLeftMs = () =>
+  RUN_BUDGET_MS ? RUN_STARTED_AT + RUN_BUDGET_MS - Date.now() : Infinity;
+
+let budgetWarned = false;
+function checkRunBudget(url) {
+  if (budgetLeftMs() > 0) return;
+  if (!budgetWarned) {
+    budgetWarned = true;
+    log(`[warn] run budget of ${RUN_BUDGET_MS}ms spent, no further requests`);
+  }
+  noteHttpStatus("budget");
+  throw new Error(`run budget spent, skipping ${url}`);
+}
+
+const robotsRules = createRobotsCache({
+  agent: UA_TOKEN,
+  onUnavailable: (origin, reason) =>
+    log(
+      `[warn] robots.txt unavailable for ${origin} (${reason}), skipping it this run`,
+    ),
+  fetchRobots: (url) =>
+    hostLimiter.run(url, () =>
+      httpFetch(url, {
+        headers: { "user-agent": UA },
+        signal: AbortSignal.timeout(10000),
+      }),
+    ),
+});
+
 async function fetchWithTimeout(
   url,
   {
@@ -308,24 +753,81 @@ async function fetchWithTimeout(
     timeoutMs = 15000, // 15s per request
     retries = 1, // retry once on network/timeouts
     retryDelayMs = 500, // backoff baseline
+    robots = true, // false only for feeds a venue handed us (not crawling)
+    maxAgeMs = 0, // serve from the HTTP cache without a request if this fresh
   } = {},
 ) {
-  let lastErr;
-  for (let attempt = 0; attempt <= retries; attempt++) {
+  const live = httpFixtures?.mode !== "replay";
+  const cache = !httpFixtures && method === "GET" ? httpCache : null;
+  const cached = cache?.lookup(url);
+  if (cache?.isFresh(cached, maxAgeMs)) {
+    noteHttpStatus("cache");
+    return cache.toResponse(cached);
+  }
+
+  if (live) checkRunBudget(url);
+
+  let crawlDelayMs = 0;
+  if (live && robots) {
+    const rules = await robotsRules.rulesFor(url);
+    const { host, pathname, search } = new URL(url);
+    if (rules.unavailable) {
+      noteHttpStatus("robots-unavailable");
+      throw new Error(
+        `robots.txt unavailable (${rules.unavailable}), skipping ${host} this run`,
+      );
+    }
+    if (!rules.allows(pathname + search)) {
+      noteHttpStatus("robots");
+      throw new Error(`robots.txt disallows ${url}`);
+    }
+    crawlDelayMs = Math.min(rules.crawlDelayMs, CRAWL_MAX_DELAY_MS);
+  }
+
+  // Timeout starts once the host limiter lets the request go, and never
+  // runs past the run budget
+  const attemptFetch = async () => {
+    if (live) checkRunBudget(url);
     const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    const t = setTimeout(
+      () => ctrl.abort(),
+      live ? Math.min(timeoutMs, budgetLeftMs()) : timeoutMs,
+    );
     try {
-      const res = await fetch(url, { method, headers, signal: ctrl.signal });
+      return await httpFetch(url, {
+        method,
+        headers: {
+          "user-agent": UA,
+          ...headers,
+          ...cache?.conditionalHeaders(cached),
+        },
+        signal: ctrl.signal,
+      });
+    } finally {
       clearTimeout(t);
+    }
+  };
+
+  let lastErr;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const res = live
+        ? await hostLimiter.run(url, attemptFetch, {
+            minIntervalMs: crawlDelayMs,
+          })
+        : await attemptFetch();
+      if (cached && res.status === 304) {
+        return cache.revalidated(url, cached, res);
+      }
       // Treat 4xx/5xx as failures worth retrying (except 404)
       if (!res.ok && res.status !== 404) {
         throw new Error(`HTTP ${res.status}`);
       }
+      if (cache && res.status === 200) return await cache.store(url, res);
       return res; // ok (or 404 we still return to let caller decide)
     } catch (e) {
-      clearTimeout(t);
       lastErr = e;
-      if (attempt < retries) {
+      if (attempt < retries && budgetLeftMs() > 0) {
         await new Promise((r) => setTimeout(r, retryDelayMs * (attempt + 1)));
         continue;
       }
@@ -347,6 +849,7 @@ async function fetchPriceFromTicketUrl(url, { timeoutMs = 10000 } = {}) {
       headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
       timeoutMs,
       retries: 1,
+      maxAgeMs: DETAIL_CACHE_TTL_MS,
     });
     const html = await res.text();
     const price = extractPriceText(html);
@@ -368,7 +871,10 @@ function collectSkiddleEventLinks(
 
   const add = (u) => {
     try {
-      const full = new URL(u, base).toString();
+      const x = new URL(u, base);
+      x.search = ""; // tracking params (?sktag=…) hide the id suffix
+      x.hash = "";
+      const full = x.toString();
       if (/^https?:\/\/(www\.)?skiddle\.com\//i.test(full)) {
         // Event detail URL patterns we accept:
         if (
@@ -376,10 +882,7 @@ function collectSkiddleEventLinks(
           /-\d{4,}\/?$/i.test(full) || // slug ending -12345678
           /\/events?\/\d+/i.test(full) // /event/123456 or /events/123456
         ) {
-          const x = new URL(full);
-          x.search = "";
-          x.hash = "";
-          links.add(x.toString());
+          links.add(full);
         }
       }
     } catch {
@@ -400,40 +903,7 @@ function collectSkiddleEventLinks(
   });
 
   // 3) JSON-LD blocks (ItemList or Event)
-  $("script[type='application/ld+json']").each((_, s) => {
-    let raw = $(s).contents().text();
-    try {
-      const json = JSON.parse(raw);
-      const nodes = Array.isArray(json) ? json : [json];
-
-      for (const node of nodes) {
-        const graphs = Array.isArray(node?.["@graph"])
-          ? node["@graph"]
-          : [node];
-
-        for (const g of graphs) {
-          if (!g || typeof g !== "object") continue;
-
-          const types = Array.isArray(g["@type"]) ? g["@type"] : [g["@type"]];
-          const tset = new Set(types.filter(Boolean).map(String));
-
-          // Direct Event
-          if (tset.has("Event") && g.url) add(g.url);
-
-          // ItemList with itemListElement containing events or urls
-          if (tset.has("ItemList") && Array.isArray(g.itemListElement)) {
-            for (const it of g.itemListElement) {
-              const item = it?.item || it?.url || it?.["@id"] || it;
-              if (typeof item === "string") add(item);
-              else if (item?.url) add(item.url);
-            }
-          }
-        }
-      }
-    } catch {
-      /* ignore malformed json */
-    }
-  });
+  for (const url of jsonLdEventLinks($)) add(url);
 
   return [...links];
 }
@@ -670,64 +1140,81 @@ function tryParseDateFromText(text) {
 }
 
 /* --------------------- JSON-LD Event extractor --------------------- */
-function extractEventFromJSONLD($$, pageUrl) {
-  try {
-    const blocks = $$("script[type='application/ld+json']")
-      .map((_, s) => $$(s).contents().text())
-      .get();
-
-    for (const raw of blocks) {
-      try {
-        const json = JSON.parse(raw);
-        const items = Array.isArray(json) ? json : [json];
-        for (const item of items) {
-          const graphs = Array.isArray(item?.["@graph"])
-            ? item["@graph"]
-            : [item];
-          for (const g of graphs) {
-            if (!g || typeof g !== "object") continue;
-            const types = Array.isArray(g["@type"]) ? g["@type"] : [g["@type"]];
-            if (types.includes("Event")) {
-              const title = normalizeWhitespace(g.name || g.headline || "");
-              const startISO = g.startDate || null;
-              const endISO = g.endDate || null;
-              const address = normalizeWhitespace(
-                g.location?.name ||
-                  g.location?.address?.streetAddress ||
-                  g.location?.address?.addressLocality ||
-                  "",
-              );
+/** Every top-level / @graph node from a page's JSON-LD blocks, in page order. */
+function jsonLdNodes($$) {
+  const nodes = [];
+  $$("script[type='application/ld+json']").each((_, s) => {
+    try {
+      const json = JSON.parse($$(s).contents().text());
+      for (const item of Array.isArray(json) ? json : [json]) {
+        const graphs = Array.isArray(item?.["@graph"])
+          ? item["@graph"]
+          : [item];
+        for (const g of graphs) if (g && typeof g === "object") nodes.push(g);
+      }
+    } catch {
+      /* ignore malformed json */
+    }
+  });
+  return nodes;
+}
 
-              const offersRaw = Array.isArray(g.offers)
-                ? g.offers
-                : g.offers
-                  ? [g.offers]
-                  : [];
-
-              const tickets = offersRaw
-                .map((o) => ({
-                  label: normalizeWhitespace(o.name || "Tickets"),
-                  url: safeNewURL(o.url || "", pageUrl),
-                }))
-                .filter((t) => t?.url);
-
-              // keep raw offers so we can inspect availability later
-              return {
-                title,
-                startISO,
-                endISO,
-                address,
-                tickets,
-                offers: offersRaw,
-              };
-            }
-          }
-        }
-      } catch {
-        /* continue */
+const jsonLdTypes = (node) => [].concat(node?.["@type"] || []).map(String);
+
+/** Raw URLs of Event nodes and ItemList entries (unresolved, unfiltered). */
+function jsonLdEventLinks($$, isEvent = (types) => types.includes("Event")) {
+  const urls = [];
+  for (const g of jsonLdNodes($$)) {
+    const types = jsonLdTypes(g);
+    if (isEvent(types) && g.url) urls.push(g.url);
+    // ItemList with itemListElement containing events or urls
+    if (types.includes("ItemList") && Array.isArray(g.itemListElement)) {
+      for (const it of g.itemListElement) {
+        const item = it?.item || it?.url || it?.["@id"] || it;
+        if (typeof item === "string") urls.push(item);
+        else if (item?.url) urls.push(item.url);
       }
     }
-  } catch {}
+  }
+  return urls;
+}
+
+function extractEventFromJSONLD($$, pageUrl) {
+  for (const g of jsonLdNodes($$)) {
+    if (!jsonLdTypes(g).includes("Event")) continue;
+    const title = normalizeWhitespace(g.name || g.headline || "");
+    const startISO = g.startDate || null;
+    const endISO = g.endDate || null;
+    const address = normalizeWhitespace(
+      g.location?.name ||
+        g.location?.address?.streetAddress ||
+        g.location?.address?.addressLocality ||
+        "",
+    );
+
+    const offersRaw = Array.isArray(g.offers)
+      ? g.offers
+      : g.offers
+        ? [g.offers]
+        : [];
+
+    const tickets = offersRaw
+      .map((o) => ({
+        label: normalizeWhitespace(o?.name || "Tickets"),
+        url: safeNewURL(o?.url || "", pageUrl),
+      }))
+      .filter((t) => t?.url);
+
+    // keep raw offers so we can inspect availability later
+    return {
+      title,
+      startISO,
+      endISO,
+      address,
+      tickets,
+      offers: offersRaw,
+    };
+  }
   return null;
 }
 
@@ -741,7 +1228,7 @@ function inferYearAndTime(dateText = "", timeText = "", tz = TZ) {
   // already has a year?
   if (/\b\d{4}\b/.test(clean)) return { dateText: clean, timeText };
 
-  const today = dayjs.tz(dayjs(), tz);
+  const today = dayjs.tz(now(), tz);
 
   // (A) numeric D/M or D-M or D.M
   let m = clean.match(/\b(\d{1,2})[\/\-.](\d{1,2})\b/);
@@ -810,65 +1297,75 @@ function inferYearAndTime(dateText = "", timeText = "", tz = TZ) {
   return { dateText: clean, timeText };
 }
 
-/* ----------------------- Address fallbacks + resolver ---------------------- */
-// Expanded aliases so we catch different spellings
-const VENUE_ADDR = {
-  // Canonical names
-  "polar bear music club": "229 Spring Bank, Hull, HU3 1LR",
-  "the welly club": "105-107 Beverley Rd, Hull, HU3 1TS",
-  "the new adelphi club": "89 De Grey Street, Hull, HU5 2RU",
-  "vox box": "64-70 Newland Ave, Hull, HU5 3AB",
-  "union mash up": "22-24 Princes Ave, Hull, HU5 3QA",
-  "dive hu5": "Unit 1, 78 Princes Ave, Hull HU5 3QJ",
-  "the people's republic": "112 Newland Avenue, Hull, HU5 3AA",
-  "mr moodys tavern": "6 Newland Ave, Hull HU5 3AF",
-  "commun'ull": "178 Chanterlands Avenue, Hull HU5 3TR",
-  "commun’ull": "178 Chanterlands Avenue, Hull HU5 3TR",
-  underdog: "12a Princes Ave, Hull HU5 3QA",
-  "pave bar": "16-20 Princes Ave, Hull HU5 3QA",
-  "gardeners arms": "The Gardeners Arms, Hull HU5",
-  "gardeners arm": "The Gardeners Arms, Hull HU5",
-  "queens hotel": "Queens Hotel, Queens Road, Hull HU5 2RG",
-  "st john's": "Queens Rd, Hull HU5 2PY",
-  "st johns": "Queens Rd, Hull HU5 2PY",
-
-  // Common aliases / signage
-  "polar bear": "229 Spring Bank, Hull, HU3 1LR",
-  adelphi: "89 De Grey Street, Hull, HU5 2RU",
-  "vox box bar": "64-70 Newland Ave, Hull, HU5 3AB",
-  umu: "22-24 Princes Ave, Hull, HU5 3QA",
-  "union mashup": "22-24 Princes Ave, Hull, HU5 3QA",
-  "dive bar": "Unit 1, 78 Princes Ave, Hull HU5 3QJ",
-  "mr moody's tavern": "6 Newland Ave, Hull HU5 3AF",
-  "the gardeners arms": "The Gardeners Arms, Hull HU5",
-  "the queens hotel": "Queens Hotel, Queens Road, Hull HU5 2RG",
-};
+/* ----------------------- Venue dataset + address resolver ---------------------- */
+// public/venue-data.json (see lib/venues.js), also loaded by the page
+const VENUE_DATA_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "public",
+  "venue-data.json",
+);
+
+function loadVenueData(file = VENUE_DATA_PATH) {
+  try {
+    return indexVenues(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    throw new Error(`${file}: ${e.message}`);
+  }
+}
+const VENUES = loadVenueData();
+
+/* Offline geocoding (lib/geocode.js): bundled ONSPD HU postcode centroids
+   plus overrides, for events and venues without coordinates. */
+const GEOCODE_DATA_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "public",
+  "hu-postcodes.json",
+);
+const GEOCODE_OVERRIDES_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "geocode-overrides.json",
+);
+
+function loadGeocoder() {
+  const read = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`${file}: ${e.message}`);
+    }
+  };
+  return createGeocoder({
+    dataset: read(GEOCODE_DATA_PATH),
+    overrides: read(GEOCODE_OVERRIDES_PATH),
+  });
+}
+const GEOCODER = loadGeocoder();
+
+/** Where an event is: its venue's coordinates unless its address is elsewhere. */
+function eventCoords(ev, known) {
+  const own = normalisePostcode(ev.address);
+  if (
+    known?.lat != null &&
+    (!own || own === normalisePostcode(known.postcode))
+  ) {
+    return { lat: known.lat, lon: known.lon };
+  }
+  return GEOCODER.locate(
+    ev.address || known?.address || ev.venue,
+    own ? null : known?.postcode,
+  );
+}
 
 /** Resolve a postal address using:
  *  1) rawAddress if it already contains a Hull postcode or looks complete
- *  2) fuzzy match of venue/source against known aliases
+ *  2) the venue dataset entry the venue/source name refers to
  */
 function resolveAddress(rawAddress = "", venue = "", source = "") {
   const clean = normalizeWhitespace(rawAddress);
   if (/\bHU\d+\s*\d?[A-Z]{2}\b/i.test(clean) || /Hull/i.test(clean)) {
     return clean;
   }
-  const v = normalizeWhitespace(venue).toLowerCase();
-  const s = normalizeWhitespace(source).toLowerCase();
-
-  // direct hit
-  if (VENUE_ADDR[v]) return VENUE_ADDR[v];
-  if (VENUE_ADDR[s]) return VENUE_ADDR[s];
-
-  const allKeys = Object.keys(VENUE_ADDR);
-
-  // substring / keyword hits
-  const hit =
-    allKeys.find((k) => v.includes(k)) ||
-    allKeys.find((k) => s.includes(k)) ||
-    null;
-
-  return hit ? VENUE_ADDR[hit] : clean; // return clean (possibly empty) if no match
+  return VENUES.find(venue, source)?.address || clean; // clean (possibly empty) if unknown
 }
 
 function escapeRegexForPattern(text = "") {
@@ -880,13 +1377,14 @@ function stripVenueFromTitle(title = "", venue = "", source = "") {
   if (!original) return original;
 
   let cleaned = original;
+  // One-word aliases ("Pave", "Welly") are too likely to be part of the title
+  const known = VENUES.find(venue, source);
   const names = unique([
     normalizeWhitespace(venue),
     normalizeWhitespace(source),
-    "The Adelphi Club",
-    "The New Adelphi Club",
-    "Polar Bear",
-    "Polar Bear Music Club",
+    ...(known
+      ? [known.name, ...(known.aliases || []).filter((a) => a.includes(" "))]
+      : []),
   ]).filter(Boolean);
 
   for (const name of names) {
@@ -920,7 +1418,7 @@ function stripVenueFromTitle(title = "", venue = "", source = "") {
 
 /* ------------------------ Canonical event builder ------------------- */
 // - Decodes / normalizes all text
-// - Ensures an address using VENUE_ADDR when missing
+// - Ensures an address from the venue dataset when missing
 function buildEvent({
   source,
   venue,
@@ -936,6 +1434,16 @@ function buildEvent({
   soldOut = false,
   freeEntry,
   priceText, // optional: raw price text from page
+  description, // optional: plain-text blurb
+  image, // optional: absolute image URL
+  performers, // optional: [name]
+  organisers, // optional: [name]
+  categories, // optional: [name]
+  status, // optional: "cancelled" | "postponed" | "rescheduled"
+  priceTiers, // optional: [{name, price, status}]
+  ageRestriction, // optional: "18+"
+  saleStatus, // optional: "on-sale" | "not-yet-on-sale" | "sold-out"
+  series, // optional: RRULE of the run this date belongs to (events.ics)
 }) {
   // ---------- Clean / normalise text ----------
   const src = normalizeWhitespace(source || "");
@@ -1025,10 +1533,20 @@ function buildEvent({
     timeText: tTxt,
     address: resolvedAddress, // ← always filled when recognised
     tickets: cleanTickets,
-    scrapedAt: new Date().toISOString(),
+    scrapedAt: now().toISOString(),
     soldOut,
     ...(priceText && { priceText: normalizeWhitespace(priceText) }),
     freeEntry: !!freeEntry,
+    ...(description && { description }),
+    ...(image && { image }),
+    ...(performers?.length && { performers }),
+    ...(organisers?.length && { organisers }),
+    ...(categories?.length && { categories }),
+    ...(status && { status }),
+    ...(priceTiers?.length && { priceTiers }),
+    ...(ageRestriction && { ageRestriction }),
+    ...(saleStatus && { saleStatus }),
+    ...(series && { series }),
   };
 
   // Non-breaking display extras your UI can use if present
@@ -1039,88 +1557,34 @@ function buildEvent({
 }
 
 /* -------------------------- CSV utilities -------------------------- */
-// Split a CSV line into fields (handles quotes and escaped quotes)
-function splitCSVLine(line) {
-  const out = [];
-  let cur = "";
-  let inQ = false;
-  for (let i = 0; i < line.length; i++) {
-    const c = line[i];
-    if (inQ) {
-      if (c === '"') {
-        if (line[i + 1] === '"') {
-          cur += '"';
-          i++;
-        } // escaped quote ""
-        else inQ = false;
-      } else {
-        cur += c;
-      }
-    } else {
-      if (c === '"') inQ = true;
-      else if (c === ",") {
-        out.push(cur);
-        cur = "";
-      } else cur += c;
-    }
-  }
-  out.push(cur);
-  return out;
-}
+// Sheet headers → keys: "Date (DD/MM/YYYY)" → "date_dd_mm_yyyy_"
+const csvKey = (h) =>
+  String(h || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "_");
+
+/** CSV text → { headers, rows, errors } (see lib/csv.js). */
 function parseCSV(text) {
-  const lines = String(text)
-    .replace(/\r\n/g, "\n")
-    .replace(/\r/g, "\n")
-    .split("\n")
-    .filter((l) => l.trim().length);
-  if (!lines.length) return { headers: [], rows: [] };
-  const rawHeaders = splitCSVLine(lines[0]);
-  const headers = rawHeaders.map((h) =>
-    String(h || "")
-      .toLowerCase()
-      .trim()
-      .replace(/[^a-z0-9]+/g, "_"),
-  );
-  const rows = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = splitCSVLine(lines[i]);
-    const obj = {};
-    headers.forEach((h, idx) => (obj[h] = cols[idx] ?? ""));
-    rows.push(obj);
-  }
-  return { headers, rows };
+  const { records, errors } = parseCsv(text);
+  return { ...csvTable(records, { key: csvKey }), errors };
 }
-function pick(obj, keys) {
-  for (const k of keys) {
-    const kk = k.toLowerCase().replace(/[^a-z0-9]+/g, "_");
-    if (obj[kk] != null && String(obj[kk]).trim() !== "")
-      return String(obj[kk]);
+
+/** Stream a CSV response body through the parser. */
+async function readCSV(res) {
+  const parser = createCsvParser();
+  const records = [];
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) {
+    records.push(...parser.write(decoder.decode(chunk, { stream: true })));
   }
-  return "";
+  records.push(...parser.write(decoder.decode()), ...parser.end());
+  return { ...csvTable(records, { key: csvKey }), errors: parser.errors };
 }
 log("[boot] inferYearAndTime available =", typeof inferYearAndTime);
 
 /* ============================= SCRAPERS ============================ */
 
-// Venue coordinates (lat, lon) for distance calculation from city center
-const VENUE_COORDS = {
-  "Polar Bear Music Club": { lat: 53.7656, lon: -0.3364 },
-  "The New Adelphi Club": { lat: 53.7762, lon: -0.3406 },
-  "The Welly Club": { lat: 53.7709, lon: -0.3413 },
-  "Molly Mangan's": { lat: 53.7673, lon: -0.3391 },
-  "Union Mash Up": { lat: 53.7697, lon: -0.3375 },
-  "DIVE HU5": { lat: 53.7701, lon: -0.337 },
-  "The People's Republic": { lat: 53.7677, lon: -0.3404 },
-  "Mr Moody's Tavern": { lat: 53.7671, lon: -0.3407 },
-  "Commun'ull": { lat: 53.7648, lon: -0.3375 },
-  "Späti Bar": { lat: 53.7683, lon: -0.3403 },
-  Hoi: { lat: 53.7697, lon: -0.3375 },
-  "Newland Tap": { lat: 53.769, lon: -0.34 },
-  Underdog: { lat: 53.7686, lon: -0.3375 },
-  "Pave Bar": { lat: 53.7686, lon: -0.3375 },
-  "St John's": { lat: 53.7678, lon: -0.3398 },
-};
-
 // Calculate distance between two lat/lon points (in km)
 function getDistance(coord1, coord2) {
   if (!coord1 || !coord2) return null;
@@ -1140,193 +1604,796 @@ function getDistance(coord1, coord2) {
 // Hull city center coordinates
 const HULL_CENTER = { lat: 53.7431, lon: -0.337 };
 // ------- Reusable CSV scraper for a single venue -------
-/* -------- CSV-driven single-venue scraper (patched) -------- */
-async function scrapeCsvVenue({ name, csvUrl, address, tz = TZ }) {
-  const TAG = `[csv:${name}]`;
-  const rowLog = (...args) => {
-    if (CSV_DEBUG) log(...args);
-  };
-  log(`${TAG} start: ${csvUrl}`);
+/* ------------- Generic JSON-LD adapter (adapter "jsonld") ------------- */
+// For venue sites that publish schema.org Event markup. venues.json:
+//   url                  list page (its own Event / ItemList blocks count too)
+//   options.linkPattern  regexp for detail pages to open; omit to read the list only
+//   options.defaults     { time, priceText, freeEntry } where the markup is silent
+//   options.maxPages     detail pages per run (default 60)
+const JSONLD_MAX_PAGES = 60;
+const DESCRIPTION_MAX = 500;
+
+// Event and its subtypes (MusicEvent, ComedyEvent, Festival…)
+const isJsonLdEvent = (types) =>
+  types.some((t) => /(?:^|\/)(?:\w*Event|Festival)$/.test(t));
+
+const JSONLD_EVENT_STATUS = {
+  EventCancelled: "cancelled",
+  EventPostponed: "postponed",
+  EventRescheduled: "rescheduled",
+};
 
-  // --- fetch CSV ---
-  let res;
+/** schema.org date → ISO. Date-only values get `time`; no offset means local. */
+function jsonLdDate(value, time, tz = TZ) {
+  const v = typeof value === "string" ? value.trim() : "";
+  if (!v) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) {
+    return toISO(dayjs.tz(`${v} ${time}`, "YYYY-MM-DD HH:mm", tz));
+  }
+  if (/(?:Z|[+-]\d{2}:?\d{2})$/i.test(v)) return toISO(v);
+  return toISO(dayjs.tz(v.replace(" ", "T"), tz));
+}
+
+/** First usable URL from a string / ImageObject / array of either. */
+function jsonLdUrl(value, base) {
+  for (const v of [].concat(value || [])) {
+    const u = safeNewURL(
+      typeof v === "string" ? v : v?.url || v?.contentUrl || "",
+      base,
+    );
+    if (u) return u;
+  }
+  return null;
+}
+
+function jsonLdAddress(location) {
+  const place = [].concat(location || [])[0];
+  const a = place?.address;
+  if (typeof a === "string") return normalizeWhitespace(a);
+  return normalizeWhitespace(
+    [a?.streetAddress, a?.addressLocality, a?.postalCode]
+      .filter(Boolean)
+      .join(", "),
+  );
+}
+
+/** Descriptions are often HTML; keep a plain-text blurb (JSON-LD, tribe API). */
+function descriptionText(value) {
+  const html = String(value || "").replace(
+    /<\/?(?:p|br|li|div|h\d)\b[^>]*>/gi,
+    " ",
+  );
+  const text = normalizeWhitespace(cheerio.load(html, null, false).text());
+  if (text.length <= DESCRIPTION_MAX) return text;
+  return text.slice(0, DESCRIPTION_MAX).replace(/\s+\S*$/, "") + "…";
+}
+
+/** "£8 / £10" from GBP amounts; free when every listed price is 0. */
+function gbpPrice(amounts) {
+  const prices = amounts
+    .filter((a) => a !== "" && a != null)
+    .map(Number)
+    .filter(Number.isFinite);
+  if (!prices.length) return { text: null, free: false };
+  if (prices.every((n) => n === 0)) return { text: null, free: true };
+  const text = unique(
+    prices
+      .filter((n) => n > 0)
+      .sort((x, y) => x - y)
+      .map((n) => `£${Number.isInteger(n) ? n : n.toFixed(2)}`),
+  ).join(" / ");
+  return { text, free: false };
+}
+
+const jsonLdPrice = (offers) =>
+  gbpPrice(
+    offers
+      .filter((o) => String(o.priceCurrency || "GBP").toUpperCase() === "GBP")
+      .map((o) => o.price ?? o.lowPrice),
+  );
+
+/** Map one schema.org Event node onto buildEvent for `venue` (plus `extra`). */
+function eventFromJsonLd(node, pageUrl, venue, extra = {}) {
+  const title = normalizeWhitespace(node.name || node.headline || "");
+  if (!title) return null;
+  const defaults = venue.options?.defaults || {};
+  const offers = []
+    .concat(node.offers || [])
+    .filter((o) => o && typeof o === "object");
+  const price = jsonLdPrice(offers);
+  const description = descriptionText(node.description);
+
+  return buildEvent({
+    source: venue.name,
+    venue: venue.name,
+    url: safeNewURL(node.url || "", pageUrl) || pageUrl,
+    title,
+    startISO: jsonLdDate(node.startDate, defaults.time || "20:00"),
+    endISO: jsonLdDate(node.endDate, "23:59"),
+    address: venue.address || jsonLdAddress(node.location),
+    tickets: offers
+      .map((o) => ({
+        label: normalizeWhitespace(o.name || "Tickets"),
+        url: o.url ? safeNewURL(o.url, pageUrl) : null,
+      }))
+      .filter((t) => t.url),
+    soldOut: offersIndicateSoldOut(offers),
+    freeEntry:
+      price.free ||
+      !!defaults.freeEntry ||
+      isFreeEntry(`${title} ${description}`),
+    priceText: price.text || defaults.priceText,
+    description,
+    image: jsonLdUrl(node.image, pageUrl),
+    performers: unique(
+      []
+        .concat(node.performer || [])
+        .map((p) =>
+          normalizeWhitespace(typeof p === "string" ? p : p?.name || ""),
+        ),
+    ),
+    status:
+      JSONLD_EVENT_STATUS[
+        String(node.eventStatus || "")
+          .split("/")
+          .pop()
+      ],
+    ...extra,
+  });
+}
+
+const jsonLdEventsOn = ($$, pageUrl, venue) =>
+  jsonLdNodes($$)
+    .filter((node) => isJsonLdEvent(jsonLdTypes(node)))
+    .map((node) => eventFromJsonLd(node, pageUrl, venue))
+    .filter(Boolean);
+
+async function scrapeJsonLdVenue(venue) {
+  const TAG = `[jsonld:${venue.id}]`;
+  const { linkPattern, maxPages = JSONLD_MAX_PAGES } = venue.options || {};
+  const headers = { "user-agent": UA, "accept-language": ACCEPT_LANG };
+
+  let $;
   try {
-    res = await fetchWithTimeout(csvUrl, {
-      headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
+    const res = await fetchWithTimeout(venue.url, {
+      headers,
       timeoutMs: 15000,
       retries: 1,
     });
+    if (!res.ok) {
+      log(`${TAG} list HTTP ${res.status}`);
+      return [];
+    }
+    $ = cheerio.load(await res.text());
   } catch (e) {
-    log(`${TAG} fetch failed: ${e.message}`);
+    log(`${TAG} list fetch failed: ${e.message}`);
     return [];
   }
 
-  log(`${TAG} HTTP ${res.status}`);
-  if (!res.ok) return [];
-
-  let csv;
-  try {
-    csv = await res.text();
-  } catch (e) {
-    log(`${TAG} read body failed: ${e.message}`);
-    return [];
-  }
+  // Keyed by page + start so a detail page replaces its list-page summary
+  const found = new Map();
+  const keep = (events) => {
+    for (const ev of events) {
+      found.set(`${ev.url.replace(/\/$/, "")}|${ev.start}`, ev);
+    }
+  };
+  keep(jsonLdEventsOn($, venue.url, venue));
+  log(`${TAG} list page events: ${found.size}`);
+
+  if (linkPattern) {
+    const re = new RegExp(linkPattern, "i");
+    const links = unique(
+      [
+        ...$("a[href]")
+          .map((_, a) => $(a).attr("href"))
+          .get(),
+        ...jsonLdEventLinks($, isJsonLdEvent),
+      ].map((href) => {
+        const u = safeNewURL(href, venue.url);
+        return u && u.replace(/#.*$/, "");
+      }),
+    )
+      .filter((u) => re.test(u))
+      .slice(0, maxPages);
+    log(`${TAG} detail links: ${links.length}`);
 
-  const { headers, rows } = parseCSV(csv);
-  if (!rows.length) {
-    log(`${TAG} no rows`);
-    return [];
+    const BATCH = 6;
+    for (let i = 0; i < links.length; i += BATCH) {
+      const settled = await Promise.allSettled(
+        crawlDetails(links.slice(i, i + BATCH), async (url) => {
+          const r2 = await fetchWithTimeout(url, {
+            headers: { ...headers, referer: venue.url },
+            timeoutMs: 15000,
+            retries: 1,
+            maxAgeMs: DETAIL_CACHE_TTL_MS,
+          });
+          if (!r2.ok) return null;
+          const events = jsonLdEventsOn(
+            cheerio.load(await r2.text()),
+            url,
+            venue,
+          );
+          return events.length ? events : null;
+        }),
+      );
+      settled.forEach((r, k) => {
+        if (r.status === "fulfilled" && r.value) keep(r.value);
+        else if (r.status === "rejected") {
+          log(`${TAG} detail error:`, r.reason?.message, links[i + k]);
+        }
+      });
+    }
   }
-  log(`${TAG} headers: ${headers.slice(0, 12).join(", ")}`);
 
-  // --- helpers (minimal) ---
-  const norm = (s) =>
-    String(s || "")
-      .toLowerCase()
-      .replace(/\u00a0/g, " ")
-      .replace(/[()]/g, "")
-      .replace(/[/_,.-]+/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
-
-  const findCol = (names) => {
-    const hs = headers.map(norm);
-    for (const n of names) {
-      const i = hs.indexOf(norm(n));
-      if (i !== -1) return i;
+  const out = [...found.values()];
+  log(`${TAG} done, events: ${out.length}`);
+  return out;
+}
+
+/* ------ The Events Calendar REST adapter (adapter "tribe") ------ */
+// WordPress sites running The Events Calendar expose
+// /wp-json/tribe/events/v1/events. venues.json:
+//   url               the venue's what's-on page (the API lives on its origin)
+//   options.api       API URL, when it isn't at the default path
+//   options.fallback  adapter to run when the API is off ("custom" = the
+//                     venue's HTML scraper, or "jsonld")
+//   options.defaults  { time } for all-day events
+//   options.maxPages  API pages per run (default 10, 50 events each)
+const TRIBE_API_PATH = "/wp-json/tribe/events/v1/events";
+const TRIBE_PER_PAGE = 50;
+const TRIBE_MAX_PAGES = 10;
+
+const tribeNames = (list, key) =>
+  unique([].concat(list || []).map((x) => normalizeWhitespace(x?.[key] || "")));
+
+/** "2026-03-05 19:30:00" → ISO; prefers the API's UTC copy of the time. */
+function tribeDate(ev, which) {
+  const utc = ev[`utc_${which}_date`];
+  if (utc) return toISO(dayjs.utc(utc, "YYYY-MM-DD HH:mm:ss"));
+  const local = ev[`${which}_date`];
+  if (!local) return null;
+  return toISO(dayjs.tz(local, "YYYY-MM-DD HH:mm:ss", ev.timezone || TZ));
+}
+
+function tribePrice(ev) {
+  const values = ev.cost_details?.values || [];
+  const symbol = ev.cost_details?.currency_symbol;
+  if (values.length && (!symbol || symbol === "£")) return gbpPrice(values);
+  const cost = normalizeWhitespace(ev.cost || "");
+  return {
+    text: extractPriceText(cost),
+    free: /^free\b/i.test(cost) || isFreeEntry(cost),
+  };
+}
+
+/** Map one API event onto buildEvent for `venue`. */
+function eventFromTribe(ev, venue) {
+  const title = normalizeWhitespace(ev.title || "");
+  if (!title) return null;
+  const defaults = venue.options?.defaults || {};
+  const place = Array.isArray(ev.venue) ? null : ev.venue; // [] when unset
+  const price = tribePrice(ev);
+  const description = descriptionText(ev.description || ev.excerpt);
+  const date = ev.start_date?.slice(0, 10);
+
+  return buildEvent({
+    source: venue.name,
+    venue: venue.name,
+    url: safeNewURL(ev.url || "", venue.url) || venue.url,
+    title,
+    startISO: ev.all_day
+      ? date &&
+        toISO(
+          dayjs.tz(
+            `${date} ${defaults.time || "20:00"}`,
+            "YYYY-MM-DD HH:mm",
+            ev.timezone || TZ,
+          ),
+        )
+      : tribeDate(ev, "start"),
+    endISO: ev.all_day ? null : tribeDate(ev, "end"),
+    address:
+      venue.address ||
+      normalizeWhitespace(
+        [place?.address, place?.city, place?.zip].filter(Boolean).join(", "),
+      ),
+    tickets: ev.website
+      ? [{ label: "Tickets", url: safeNewURL(ev.website, ev.url) }]
+      : [],
+    freeEntry: price.free || isFreeEntry(`${title} ${description}`),
+    priceText: price.text,
+    description,
+    image: ev.image?.url ? safeNewURL(ev.image.url, venue.url) : null,
+    organisers: tribeNames(ev.organizer, "organizer"),
+    categories: tribeNames(ev.categories, "name"),
+  });
+}
+
+/** Events from the API, or null when the site doesn't serve it. */
+async function fetchTribeEvents(venue, TAG) {
+  const { api, maxPages = TRIBE_MAX_PAGES } = venue.options || {};
+  const first = new URL(api || TRIBE_API_PATH, venue.url);
+  first.searchParams.set("per_page", String(TRIBE_PER_PAGE));
+  first.searchParams.set(
+    "start_date",
+    dayjs.tz(now(), TZ).format("YYYY-MM-DD"),
+  );
+
+  const out = [];
+  let next = first.toString();
+  for (let page = 1; next && page <= maxPages; page++) {
+    let body;
+    try {
+      const res = await fetchWithTimeout(next, {
+        headers: { "user-agent": UA, accept: "application/json" },
+        timeoutMs: 15000,
+        retries: 1,
+      });
+      // tribe answers 404 with a JSON error once you page past the end
+      if (!res.ok) {
+        log(`${TAG} API HTTP ${res.status} (page ${page})`);
+        return page === 1 ? null : out;
+      }
+      body = await res.json();
+    } catch (e) {
+      log(`${TAG} API failed (page ${page}): ${e.message}`);
+      return page === 1 ? null : out;
     }
-    const want = names.map(norm);
-    for (let i = 0; i < hs.length; i++) {
-      if (want.some((w) => hs[i].includes(w))) return i;
+    if (!Array.isArray(body?.events)) return page === 1 ? null : out;
+
+    for (const ev of body.events) {
+      const built = eventFromTribe(ev, venue);
+      if (built) out.push(built);
     }
-    return -1;
-  };
+    log(
+      `${TAG} API page ${page}/${body.total_pages || 1}: ${body.events.length}`,
+    );
+    next = body.next_rest_url || null;
+  }
+  return out;
+}
+
+async function scrapeTribeVenue(venue) {
+  const TAG = `[tribe:${venue.id}]`;
+  const events = await fetchTribeEvents(venue, TAG);
+  if (events) {
+    log(`${TAG} done, events: ${events.length}`);
+    return events;
+  }
+  const fallback = venue.options?.fallback;
+  if (!fallback) return [];
+  log(`${TAG} API unavailable, using the ${fallback} adapter`);
+  // adapterTask, not venueTask: this venue's recurrences are added once, by
+  // the venueTask that called us
+  return adapterTask({ ...venue, adapter: fallback })();
+}
+
+/* ----------- iCalendar feed adapter (adapter "ical") ----------- */
+// Google Calendar, Squarespace, WordPress etc. publish .ics feeds that are
+// far steadier than the HTML around them. venues.json:
+//   url                  feed URL (http(s) or webcal://)
+//   options.file         local .ics instead of a URL (relative to the repo)
+//   options.website      link for events whose VEVENT has no URL
+//   options.horizonDays  how far ahead to expand recurring events (default 120)
+//   options.defaults     { time } for all-day events
+const RECURRENCE_HORIZON_DAYS = 120; // also the default for repeating sheet rows
+
+async function readIcalFeed(venue, TAG) {
+  const file = venue.options?.file;
+  if (file) {
+    try {
+      return fs.readFileSync(path.resolve(ROOT_DIR, file), "utf8");
+    } catch (e) {
+      log(`${TAG} read ${file} failed: ${e.message}`);
+      return null;
+    }
+  }
+  const feedUrl = venue.url.replace(/^webcals?:\/\//i, "https://");
+  try {
+    const res = await fetchWithTimeout(feedUrl, {
+      headers: { "user-agent": UA, accept: "text/calendar, */*;q=0.5" },
+      timeoutMs: 15000,
+      retries: 1,
+      robots: false, // a feed the venue publishes for calendar apps
+    });
+    log(`${TAG} HTTP ${res.status}`);
+    return res.ok ? await res.text() : null;
+  } catch (e) {
+    log(`${TAG} fetch failed: ${e.message}`);
+    return null;
+  }
+}
+
+/** Map one expanded VEVENT occurrence onto buildEvent for `venue`. */
+function eventFromIcal(occ, venue) {
+  const title = normalizeWhitespace(occ.summary);
+  if (!title) return null;
+  const defaults = venue.options?.defaults || {};
+  const description = descriptionText(occ.description);
+  const fallbackUrl = venue.options?.website || venue.url;
+
+  return buildEvent({
+    source: venue.name,
+    venue: venue.name,
+    url: safeNewURL(occ.url, fallbackUrl) || fallbackUrl,
+    title,
+    startISO: occ.allDay
+      ? toISO(
+          dayjs.tz(
+            `${occ.date} ${defaults.time || "20:00"}`,
+            "YYYY-MM-DD HH:mm",
+            TZ,
+          ),
+        )
+      : occ.start,
+    endISO: occ.allDay ? null : occ.end,
+    address: venue.address || normalizeWhitespace(occ.location),
+    freeEntry: isFreeEntry(`${title} ${description}`),
+    priceText: extractPriceText(description),
+    description,
+    status: occ.cancelled ? "cancelled" : undefined,
+    series: occ.rrule || undefined,
+  });
+}
+
+async function scrapeIcalVenue(venue) {
+  const TAG = `[ical:${venue.id}]`;
+  const text = await readIcalFeed(venue, TAG);
+  if (!text) return [];
+
+  const calendar = parseICS(text);
+  const horizon = venue.options?.horizonDays ?? RECURRENCE_HORIZON_DAYS;
+  const occurrences = icsOccurrences(calendar, {
+    from: CUTOFF.toISOString(),
+    to: CUTOFF.add(horizon, "day").toISOString(),
+    tz: TZ,
+  });
+  const out = occurrences
+    .map((occ) => eventFromIcal(occ, venue))
+    .filter(Boolean);
+  log(`${TAG} done, VEVENTs: ${calendar.events.length}, events: ${out.length}`);
+  return out;
+}
+
+/* -------------- Skiddle listings adapter (adapter "skiddle") -------------- */
+// Skiddle lists many Hull venues and promoters in one format, with schema.org
+// Event markup on every event page. venues.json:
+//   url               venue page ("/whats-on/Hull/DIVE-HU5/") or promoter page;
+//                     a bare path is taken as relative to skiddle.com
+//   options.maxPages  event pages per run (default 100)
+const SKIDDLE_BASE = "https://www.skiddle.com";
+const SKIDDLE_MAX_PAGES = 100;
+
+// schema.org Offer availability → sale status
+const SKIDDLE_SALE_STATUS = {
+  InStock: "on-sale",
+  LimitedAvailability: "on-sale",
+  OnlineOnly: "on-sale",
+  SoldOut: "sold-out",
+  OutOfStock: "sold-out",
+  PreOrder: "not-yet-on-sale",
+  PreSale: "not-yet-on-sale",
+};
+
+/** Skiddle's event id from /e/123…, /whats-on/…/Name-123… or /events/123…. */
+const skiddleEventId = (url) =>
+  url.match(/(?:\/e\/|-|\/events?\/)(\d{4,})\/?$/)?.[1] || null;
 
-  const readCell = (row, idx) => {
-    if (idx < 0) return "";
-    if (Array.isArray(row)) return row[idx] ?? "";
-    const key = headers[idx];
-    return row[key] ?? "";
+function skiddleOfferStatus(offer) {
+  const status =
+    SKIDDLE_SALE_STATUS[
+      String(offer.availability || "")
+        .split("/")
+        .pop()
+    ];
+  if (status === "sold-out") return status;
+  if (offer.validFrom && dayjs(offer.validFrom).isAfter(now())) {
+    return "not-yet-on-sale";
+  }
+  return status || "on-sale";
+}
+
+/** Price tiers, age restriction and overall sale status from the markup. */
+function skiddleExtras(node) {
+  const offers = []
+    .concat(node.offers || [])
+    .filter((o) => o && typeof o === "object");
+  const priceTiers = offers.map((o) => ({
+    name: normalizeWhitespace(o.name || "Tickets"),
+    price: o.price === "" || o.price == null ? null : Number(o.price),
+    status: skiddleOfferStatus(o),
+  }));
+  const statuses = new Set(priceTiers.map((t) => t.status));
+  const saleStatus = ["on-sale", "not-yet-on-sale", "sold-out"].find((s) =>
+    statuses.has(s),
+  );
+
+  // schema.org writes "18 and over" as "18-"; Skiddle also uses "18+"
+  const age = normalizeWhitespace(String(node.typicalAgeRange || ""));
+  const minAge = age.match(/^(\d{1,2})\s*[+-]?$/)?.[1];
+
+  return {
+    priceTiers,
+    saleStatus,
+    ageRestriction: minAge ? `${minAge}+` : age || undefined,
+    // A sold-out early-bird tier doesn't make the event sold out
+    ...(priceTiers.length && { soldOut: saleStatus === "sold-out" }),
   };
+}
 
-  const findUrls = (text) =>
-    String(text || "").match(/https?:\/\/[^\s,;"]+/gi) || [];
+/** One event page → event; the page text stands in when there's no markup. */
+function eventFromSkiddlePage($$, url, venue) {
+  const node = jsonLdNodes($$).find((n) => isJsonLdEvent(jsonLdTypes(n)));
+  if (node) return eventFromJsonLd(node, url, venue, skiddleExtras(node));
+
+  const title = normalizeWhitespace($$("h1").first().text());
+  if (!title) return null;
+  const text = normalizeWhitespace($$("main, body").first().text());
+  const dateText =
+    text.match(/\b\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]+\s+\d{4}\b/)?.[0] || "";
+  return buildEvent({
+    source: venue.name,
+    venue: venue.name,
+    url,
+    title,
+    dateText: stripOrdinals(dateText),
+    timeText: extractTimeFrom(text.replace(dateText, "")) || "",
+    address: venue.address,
+    soldOut: isSoldOut(text),
+    freeEntry: isFreeEntry(text),
+    priceText: extractPriceText(text),
+  });
+}
 
-  // 💪 more-forgiving header guesses
-  const TIX_HEADERS = [
-    "Optional (tickets/link)",
-    "optional tickets/link",
-    "optional tickets link",
-    "tickets",
-    "ticket_url",
-    "booking",
-    "book",
-  ];
-  const PRICE_HEADERS = [
-    "price",
-    "cost",
-    "admission",
-    "entry",
-    "ticket_price",
-    "price_",
-  ];
-  const TITLE_HEADERS = ["title", "event", "name", "event_name"];
-  const DATE_HEADERS = [
-    "date",
-    "event_date",
-    "when",
-    "date_dd_mm_yyyy_",
-    "event_date_dd_mm_yyyy_",
-    "date_",
-  ];
-  const TIME_HEADERS = [
-    "time",
-    "start_time",
-    "doors",
-    "starts",
-    "start_time_hh_mm_",
-    "event_time",
-    "time_",
-  ];
-  const URL_HEADERS = [
-    "url",
-    "link",
-    "event_link",
-    "page",
-    "website",
-    "facebook_event",
-    "tickets_url",
-  ];
-  const START_HEADERS = [
-    "start",
-    "start_iso",
-    "starttime",
-    "start_time",
-    "datetime",
-    "date_time",
-  ];
-  const END_HEADERS = ["end", "end_iso", "endtime", "end_time"];
+async function scrapeSkiddleVenue(venue) {
+  const TAG = `[skiddle:${venue.id}]`;
+  const listUrl = safeNewURL(venue.url, SKIDDLE_BASE);
+  const { maxPages = SKIDDLE_MAX_PAGES } = venue.options || {};
+  const headers = { "user-agent": UA, "accept-language": ACCEPT_LANG };
 
-  const tixCol = findCol(TIX_HEADERS);
-  if (tixCol === -1) {
-    log(
-      `${TAG} [WARN] tickets column not found (looked for: ${TIX_HEADERS.join(
-        " | ",
-      )})`,
+  let $;
+  try {
+    const res = await fetchWithTimeout(listUrl, {
+      headers,
+      timeoutMs: 15000,
+      retries: 1,
+    });
+    if (!res.ok) {
+      log(`${TAG} list HTTP ${res.status}`);
+      return [];
+    }
+    $ = cheerio.load(await res.text());
+  } catch (e) {
+    log(`${TAG} list fetch failed: ${e.message}`);
+    return [];
+  }
+
+  // Cards, data-eid and ItemList can all name the same event
+  const byId = new Map();
+  for (const url of collectSkiddleEventLinks($, listUrl, SKIDDLE_BASE)) {
+    const id = skiddleEventId(url);
+    if (id && !byId.has(id)) byId.set(id, url);
+  }
+  const links = [...byId.values()].slice(0, maxPages);
+  log(`${TAG} event pages: ${links.length}`);
+
+  const out = [];
+  const BATCH = 6;
+  for (let i = 0; i < links.length; i += BATCH) {
+    const settled = await Promise.allSettled(
+      crawlDetails(links.slice(i, i + BATCH), async (url) => {
+        const r2 = await fetchWithTimeout(url, {
+          headers: { ...headers, referer: listUrl },
+          timeoutMs: 15000,
+          retries: 1,
+          maxAgeMs: DETAIL_CACHE_TTL_MS,
+        });
+        if (!r2.ok) return null;
+        return eventFromSkiddlePage(cheerio.load(await r2.text()), url, venue);
+      }),
     );
-  } else {
-    log(`${TAG} tickets column = ${tixCol + 1}: "${headers[tixCol]}"`);
+    settled.forEach((r, k) => {
+      if (r.status === "fulfilled" && r.value) out.push(r.value);
+      else if (r.status === "rejected") {
+        log(`${TAG} event error:`, r.reason?.message, links[i + k]);
+      }
+    });
+  }
+
+  // Keep undated events; drop the ones already over
+  const upcoming = out.filter(
+    (ev) => !ev.start || !dayjs(ev.start).isBefore(CUTOFF),
+  );
+  log(`${TAG} done, events: ${upcoming.length}`);
+  return upcoming;
+}
+
+/* -------- CSV-driven single-venue scraper (adapter "csv") -------- */
+// Columns are described in lib/sheet-schema.js. Anything the venue should fix
+// in its sheet (unreadable dates, missing years, past rows, unknown headers)
+// goes into a validation report: status.json → public/sheets.html.
+
+/** Hand this venue's sheet report to runVenue (see noteHttpStatus). */
+function noteSheetReport(report) {
+  const run = venueRunContext.getStore();
+  if (run) run.sheet = report;
+}
+
+/**
+ * A sheet's "Repeat" cell → { rule, untilDate } for lib/rrule.js; null when
+ * blank. `date` (YYYY-MM-DD) is the first occurrence. Takes any
+ * lib/recurrence.js phrase ("weekly", "monthly", "last thursday of the
+ * month"…) or an RRULE, with an optional "until <date>". Throws otherwise.
+ */
+function sheetRepeatRule(text, date) {
+  let s = normalizeWhitespace(text).toLowerCase();
+  if (!s || /^(?:no|none|once|one[- ]?off)$/.test(s)) return null;
+
+  let untilDate = null;
+  const until = s.match(/\s*\b(?:until|till)\s+(.+)$/);
+  if (until) {
+    const iso = parseDMYWithTime(inferYearAndTime(until[1]).dateText);
+    if (!iso) throw new Error(`unreadable end date "${until[1]}"`);
+    untilDate = dayjs(iso).tz(TZ).format("YYYY-MM-DD");
+    s = s.slice(0, until.index);
+  }
+
+  let rule;
+  try {
+    rule = recurrenceRule(s, date);
+  } catch (e) {
+    if (/^(?:rrule:)?freq=/.test(s)) throw e;
+    throw new Error(
+      `try weekly, fortnightly, monthly or e.g. "last friday of the month"`,
+    );
+  }
+  const m = rule.until?.match(/^(\d{4})(\d{2})(\d{2})/);
+  return {
+    rule,
+    untilDate: untilDate || (m ? `${m[1]}-${m[2]}-${m[3]}` : null),
+  };
+}
+
+/** "18", "18+", "Over 18s" → "18+"; other text ("All ages") as written. */
+function sheetAge(text) {
+  const age = normalizeWhitespace(text);
+  const m = age.match(/\b(\d{1,2})\b/);
+  return m ? `${m[1]}+` : age || undefined;
+}
+
+/** End text: a full date/time, or a clock time on the start's date (or the next day). */
+function endAfterStart(endRaw, startISO, tz) {
+  if (!endRaw) return null;
+  if (/\d{4}-\d{2}-\d{2}/.test(endRaw)) return toISO(endRaw);
+  const t = to24h(endRaw);
+  if (!t || !startISO) return null;
+  const start = dayjs(startISO).tz(tz);
+  let end = dayjs.tz(
+    `${start.format("YYYY-MM-DD")} ${t}`,
+    "YYYY-MM-DD HH:mm",
+    tz,
+  );
+  if (!end.isAfter(start)) end = end.add(1, "day");
+  return toISO(end);
+}
+
+async function scrapeCsvVenue({
+  name,
+  csvUrl,
+  address,
+  tz = TZ,
+  horizonDays = RECURRENCE_HORIZON_DAYS,
+}) {
+  const TAG = `[csv:${name}]`;
+  const rowLog = (...args) => {
+    if (CSV_DEBUG) log(...args);
+  };
+  log(`${TAG} start: ${csvUrl}`);
+
+  // --- fetch CSV ---
+  let res;
+  try {
+    res = await fetchWithTimeout(csvUrl, {
+      headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
+      timeoutMs: 15000,
+      retries: 1,
+      robots: false, // a feed URL the venue published for us, not a crawl
+    });
+  } catch (e) {
+    log(`${TAG} fetch failed: ${e.message}`);
+    return [];
+  }
+
+  log(`${TAG} HTTP ${res.status}`);
+  if (!res.ok) return [];
+
+  let headers, labels, rows, csvErrors;
+  try {
+    ({ headers, labels, rows, errors: csvErrors } = await readCSV(res));
+  } catch (e) {
+    log(`${TAG} read body failed: ${e.message}`);
+    return [];
   }
 
-  const priceCol = findCol(PRICE_HEADERS);
-  if (priceCol === -1) {
+  const { columns, byHeader, missing } = matchSheetColumns(headers);
+  const report = {
+    url: csvUrl,
+    rows: rows.length,
+    events: 0,
+    headers: labels.map((header, i) => ({ header, column: byHeader[i] })),
+    unrecognised: labels.filter((_, i) => !byHeader[i]),
+    missing,
+    problems: [],
+  };
+  noteSheetReport(report);
+  const problem = (row, issue, message, title) =>
+    report.problems.push({ row, issue, message, ...(title && { title }) });
+
+  for (const err of csvErrors) {
+    log(`${TAG} [WARN] ${err.message}`);
+    problem(err.row, "malformed", err.message);
+  }
+  if (!rows.length) {
+    log(`${TAG} no rows`);
+    return [];
+  }
+  log(`${TAG} headers: ${headers.slice(0, 12).join(", ")}`);
+  if (report.unrecognised.length) {
     log(
-      `${TAG} [WARN] price column not found (looked for: ${PRICE_HEADERS.join(
-        " | ",
-      )})`,
+      `${TAG} [WARN] unrecognised headers: ${report.unrecognised.join(", ")}`,
     );
-  } else {
-    log(`${TAG} price column = ${priceCol + 1}: "${headers[priceCol]}"`);
   }
+  if (missing.length) log(`${TAG} [WARN] no ${missing.join(" / ")} column`);
+
+  // First non-empty cell among the headers feeding `key`
+  const cell = (r, key) => {
+    for (const h of columns[key] || []) {
+      if (r[h] != null && String(r[h]).trim() !== "") return String(r[h]);
+    }
+    return "";
+  };
 
+  const findUrls = (text) =>
+    String(text || "").match(/https?:\/\/[^\s,;"]+/gi) || [];
+
+  const lastDate = CUTOFF.add(horizonDays, "day").format("YYYY-MM-DD");
   const out = [];
   let kept = 0,
     skippedPast = 0,
+    skippedUndated = 0,
     skippedEmpty = 0,
     errors = 0;
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    const rowTag = `${TAG} row ${i + 1}/${rows.length}`;
+    const rowTag = `${TAG} sheet row ${r._row}`;
 
-    const title = normalizeWhitespace(pick(r, TITLE_HEADERS));
-    let dateText = stripOrdinals(pick(r, DATE_HEADERS));
+    const title = normalizeWhitespace(cell(r, "title"));
+    let dateText = stripOrdinals(cell(r, "date"));
 
-    let url = pick(r, URL_HEADERS);
+    let url = cell(r, "url");
 
     if (!dateText) {
-      const dayStr = pick(r, ["day"]);
-      const monthStr = pick(r, ["month"]);
-      const yearStr = pick(r, ["year", "yyyy"]);
-      const combo = [dayStr, monthStr, yearStr].filter(Boolean).join(" ");
+      const combo = [cell(r, "day"), cell(r, "month"), cell(r, "year")]
+        .filter(Boolean)
+        .join(" ");
       if (combo) dateText = combo;
     }
 
-    const timeText = pick(r, TIME_HEADERS);
-    const startRaw = pick(r, START_HEADERS);
-    const endRaw = pick(r, END_HEADERS);
+    const timeText = cell(r, "time");
+    const startRaw = cell(r, "start");
+    const endRaw = cell(r, "end");
+    const repeatText = cell(r, "repeat");
 
     rowLog(
       `${rowTag} | date='${dateText}' time='${timeText}' title='${title}'`,
     );
 
     // 🎟️ Tickets URL(s)
-    let ticketsRaw = readCell(r, tixCol);
+    let ticketsRaw = cell(r, "tickets");
     let ticketUrls = findUrls(ticketsRaw);
 
-    const rowText = normalizeWhitespace(
-      (Array.isArray(r) ? r.join(" ") : Object.values(r).join(" ")) || "",
-    );
+    const rowText = normalizeWhitespace(Object.values(r).join(" "));
 
     // mark sold out / free
     const soldOut = isSoldOut(`${title} ${rowText}`);
@@ -1334,8 +2401,7 @@ async function scrapeCsvVenue({ name, csvUrl, address, tz = TZ }) {
 
     // fallback: scan whole row if needed
     if (!ticketUrls.length) {
-      const whole = Array.isArray(r) ? r.join(" ") : Object.values(r).join(" ");
-      ticketUrls = findUrls(whole);
+      ticketUrls = findUrls(Object.values(r).join(" "));
       if (ticketUrls.length) {
         rowLog(
           `${rowTag} 🎟️ scanned row found URL(s): ${ticketUrls.join(", ")}`,
@@ -1371,10 +2437,15 @@ async function scrapeCsvVenue({ name, csvUrl, address, tz = TZ }) {
         tryParseDateFromText(`${dateWithYear} ${timeWithDefault}`) ||
         null;
 
-      const endISO = toISO(endRaw) || null;
+      const endISO = endAfterStart(endRaw, startISO, tz);
 
       // Extract price from CSV
-      const priceText = normalizeWhitespace(readCell(r, priceCol)) || null;
+      const priceText = normalizeWhitespace(cell(r, "price")) || null;
+      const description = descriptionText(cell(r, "description"));
+      const categories = cell(r, "type")
+        .split(/[,/;]/)
+        .map(normalizeWhitespace)
+        .filter(Boolean);
 
       // Debug: see what we ended up with
       rowLog(
@@ -1382,190 +2453,209 @@ async function scrapeCsvVenue({ name, csvUrl, address, tz = TZ }) {
           startISO || "(null)"
         } from date='${dateWithYear}' time='${timeWithDefault}'`,
       );
-      if (!startISO) rowLog(`${rowTag} [WARN] still undated after inference`);
+      // buildEvent would read a null start as 1970, so undated rows never
+      // made it out; say so instead of reporting them as past
+      if (!startISO) {
+        skippedUndated++;
+        rowLog(`${rowTag} [WARN] still undated after inference -> skip`);
+        if (title) {
+          problem(
+            r._row,
+            "no-date",
+            dateText
+              ? `Couldn't read the date "${dateText}" (use DD/MM/YYYY), row skipped`
+              : "No date, row skipped",
+            title,
+          );
+        }
+        continue;
+      }
+      if (!toISO(startRaw) && !/\b\d{4}\b/.test(dateText)) {
+        problem(
+          r._row,
+          "no-year",
+          `No year in "${dateText}", read as ${dateWithYear}`,
+          title,
+        );
+      }
 
-      const ev = buildEvent({
+      const fields = {
         source: name,
         venue: name,
         url,
         title,
         dateText,
         timeText,
-        startISO,
-        endISO,
         address,
         tickets,
         tz,
         soldOut,
         freeEntry,
         ...(priceText && { priceText }),
-      });
-
-      if (ev.start) {
-        const d = dayjs(ev.start);
-        if (d.isValid() && d.isBefore(CUTOFF)) {
-          skippedPast++;
-          rowLog(`${rowTag} ⏭️ past -> skip`);
-          continue;
+        ...(description && { description }),
+        ...(categories.length && { categories }),
+        ageRestriction: sheetAge(cell(r, "age")),
+      };
+      const ev = buildEvent({ ...fields, startISO, endISO });
+
+      // Repeating rows become one event per date up to the horizon
+      let series = [ev];
+      if (repeatText && ev.start) {
+        const start = dayjs(ev.start).tz(tz);
+        const lengthMs = endISO
+          ? Date.parse(endISO) - Date.parse(startISO)
+          : null;
+        try {
+          const repeat = sheetRepeatRule(
+            repeatText,
+            start.format("YYYY-MM-DD"),
+          );
+          if (repeat) {
+            series = expandRRuleDates(repeat.rule, start.format("YYYY-MM-DD"), {
+              untilDate: repeat.untilDate,
+              toDate: lastDate,
+            }).map((date) => {
+              const at = toISO(
+                dayjs.tz(
+                  `${date} ${start.format("HH:mm")}`,
+                  "YYYY-MM-DD HH:mm",
+                  tz,
+                ),
+              );
+              return buildEvent({
+                ...fields,
+                dateText: dayjs(date).format("D/M/YYYY"),
+                startISO: at,
+                endISO:
+                  lengthMs == null
+                    ? null
+                    : new Date(Date.parse(at) + lengthMs).toISOString(),
+                series: formatRRule(repeat.rule),
+              });
+            });
+          }
+        } catch (e) {
+          problem(
+            r._row,
+            "repeat",
+            `Couldn't read the repeat "${repeatText}" (${e.message}), listed once`,
+            title,
+          );
         }
       }
 
+      const upcoming = series.filter((e) => {
+        const d = e.start ? dayjs(e.start) : null;
+        return !(d?.isValid() && d.isBefore(CUTOFF));
+      });
+      if (!upcoming.length) {
+        skippedPast++;
+        rowLog(`${rowTag} ⏭️ past -> skip`);
+        problem(
+          r._row,
+          "past",
+          `${dayjs(ev.start).tz(tz).format("D/M/YYYY")} has passed, row skipped`,
+          title,
+        );
+        continue;
+      }
+
       if (!ev.title && !ev.url && !ev.start && !ev.venue) {
         skippedEmpty++;
         rowLog(`${rowTag} ⏭️ empty -> skip`);
         continue;
       }
 
-      out.push(ev);
-      kept++;
+      out.push(...upcoming);
+      kept += upcoming.length;
       rowLog(`${rowTag} [OK] kept | ${ev.title?.slice(0, 80) || ""}`);
     } catch (e) {
       errors++;
       log(`${rowTag} [ERR] row-level error: ${e.message}`);
+      problem(r._row, "error", `Couldn't read this row (${e.message})`, title);
       continue;
     }
   }
 
+  report.events = kept;
   log(
-    `${TAG} done: kept=${kept}, skippedPast=${skippedPast}, skippedEmpty=${skippedEmpty}, errors=${errors}`,
+    `${TAG} done: kept=${kept}, skippedPast=${skippedPast}, skippedUndated=${skippedUndated}, skippedEmpty=${skippedEmpty}, errors=${errors}, problems=${report.problems.length}`,
   );
   return out;
 }
 
-/* -------- MR MOODYS — Weekly Sunday Lunch (synthetic) ------------- */
-// Generates Sunday 12:00 events for the next N weeks
-async function synthMrMoodysSundayLunch({ weeks = 15 } = {}) {
-  const TAG = "[moodys]";
-  log(`${TAG} generate for next ${weeks} Sundays`);
+/* ------------- Recurring events from config (adapter "recurring") ------------- */
+// Residencies, quizzes and lunches that never appear on a page. Any venue can
+// list `recurrences` (see lib/recurrence.js); adapter "recurring" has nothing
+// else. Per recurrence:
+//   title, every, time ("HH:mm", default 20:00), end ("HH:mm")
+//   from / until / except / pause   bounds, skipped dates, seasonal breaks
+//   upcoming                        list the next N dates instead of a horizon
+//   url, description, priceText, freeEntry, categories, ageRestriction
+// options.horizonDays bounds the expansion (default 120).
+
+/** Expand `venue.recurrences` into events from today to the horizon. */
+function recurringEvents(venue) {
+  const TAG = `[recurring:${venue.id}]`;
+  const today = CUTOFF.tz(TZ).format("YYYY-MM-DD");
+  const horizon = venue.options?.horizonDays ?? RECURRENCE_HORIZON_DAYS;
+  const to = CUTOFF.add(horizon, "day").tz(TZ).format("YYYY-MM-DD");
 
   const out = [];
-  const titleBase = "Sunday Lunch (Walk-ins Only · Bring Cash · Come Hungry)";
-  const source = "Mr Moody's Tavern"; // ← canonical
-  const venue = "Mr Moody's Tavern"; // ← canonical
-  const address = "6 Newland Ave, Hull HU5 3AF";
-
-  // Start from London start-of-today cutoff
-  let d = dayjs.tz(CUTOFF, TZ); // today 00:00 in London
-
-  // Find the upcoming Sunday (0=Sun in dayjs)
-  const dow = d.day();
-  const addDays = (7 - dow) % 7; // if today is Sun (0), add 0
-  if (addDays > 0) d = d.add(addDays, "day");
-
-  // For k = 0..weeks-1: that Sunday at 12:00
-  for (let k = 0; k < weeks; k++) {
-    const day = d.add(k, "week").hour(12).minute(0).second(0).millisecond(0);
-    const startISO = toISO(day);
-    if (!startISO) continue;
-
-    const ev = buildEvent({
-      source,
-      venue,
-      url: "", // no page; users can still see address & add to calendar
-      title: titleBase,
-      dateText: day.format("D/M/YYYY"),
-      timeText: "12:00",
-      startISO,
-      endISO: null,
-      address,
-      tickets: [],
-      tz: TZ,
-    });
-
-    // Keep only future (>= today in London)
-    if (ev.start) {
-      const t = dayjs(ev.start);
-      if (t.isValid() && !t.isBefore(CUTOFF)) out.push(ev);
+  for (const spec of venue.recurrences || []) {
+    let rec;
+    try {
+      rec = parseRecurrence(spec);
+    } catch (e) {
+      log(`${TAG} [WARN] skipping "${spec?.title}": ${e.message}`);
+      continue;
+    }
+    for (const date of recurrenceDates(rec, { from: today, to })) {
+      const start = dayjs.tz(`${date} ${rec.time}`, "YYYY-MM-DD H:mm", TZ);
+      const ev = buildEvent({
+        source: venue.name,
+        venue: venue.name,
+        url: rec.url || venue.url || "",
+        title: rec.title,
+        dateText: start.format("D/M/YYYY"),
+        timeText: rec.time,
+        startISO: toISO(start),
+        endISO: rec.end ? endAfterStart(rec.end, toISO(start), TZ) : null,
+        address: venue.address,
+        tickets: [],
+        tz: TZ,
+        freeEntry: rec.freeEntry,
+        priceText: rec.priceText,
+        description: rec.description,
+        categories: rec.categories,
+        ageRestriction: rec.ageRestriction,
+        series: rec.rrule,
+      });
+      if (!dayjs(ev.start).isBefore(CUTOFF)) out.push(ev);
     }
   }
-
   log(`${TAG} done, events: ${out.length}`);
   return out;
 }
 
-/* -------- QUEENS HOTEL — Weekly Quiz (synthetic) ------------------ */
-// Generates Wednesday 19:30 events for the next N weeks
-async function synthQueensHotelQuiz({ weeks = 20 } = {}) {
-    const TAG = "[queens]";
-    log(`${TAG} generate for next ${weeks} Wednesdays`);
+/* -------- POLAR BEAR ---------------------------------------------- */
+// Source List: https://www.polarbearmusicclub.co.uk/whatson
+async function scrapePolarBear() {
+  log("[polar] list");
+  const base = "https://www.polarbearmusicclub.co.uk";
+  const listURL = `${base}/whatson`;
+  const baseHost = new URL(base).hostname;
 
-    const out = [];
-    const titleBase = "Quiz Night";
-    const source = "Queens Hotel";
-    const venue = "Queens Hotel";
-    const address = "Queens Hotel, Queens Road, Hull HU5 2RG";
-
-    // Start from London start-of-today cutoff
-    let d = dayjs.tz(CUTOFF, TZ);
-
-    // Find upcoming Wednesday (3 = Wed)
-    const dow = d.day();
-    const addDays = (3 - dow + 7) % 7;
-    if (addDays > 0) d = d.add(addDays, "day");
-
-    // For k = 0..weeks-1: that Wednesday at 19:30
-    for (let k = 0; k < weeks; k++) {
-        const day = d.add(k, "week").hour(19).minute(30).second(0).millisecond(0);
-        const startISO = toISO(day);
-        if (!startISO) continue;
-
-        const ev = buildEvent({
-            source,
-            venue,
-            url: "",
-            title: titleBase,
-            dateText: day.format("D/M/YYYY"),
-            timeText: "19:30",
-            startISO,
-            endISO: null,
-            address,
-            tickets: [],
-            tz: TZ,
-        });
-
-        if (ev.start) {
-            const t = dayjs(ev.start);
-            if (t.isValid() && !t.isBefore(CUTOFF)) out.push(ev);
-        }
-    }
-
-    log(`${TAG} done, events: ${out.length}`);
-    return out;
-}
-
-/* -------- QUEENS HOTEL ------------------------------------------- */
-// Combines live CSV scrape with synthetic quiz generation
-async function scrapeQueensHotel() {
-  const csvEvents = await scrapeCsvVenue({
-    name: "Queens Hotel",
-    csvUrl:
-      "https://docs.google.com/spreadsheets/d/e/2PACX-1vQRXdrydPQ38DcZYNAKRgcM7fJPLHnNmD3bu9k0H1d8ltei3JXmwl3gmaXKS_yeKtmxW-qLZv0OluKK/pub?output=csv",
-    address: "Queens Road, Hull, HU52RG",
-    tz: TZ,
-  });
-
-  const quizEvents = await synthQueensHotelQuiz();
-  return [...csvEvents, ...quizEvents];
-}
-
-/* -------- POLAR BEAR ---------------------------------------------- */
-// Source List: https://www.polarbearmusicclub.co.uk/whatson
-async function scrapePolarBear() {
-  log("[polar] list");
-  const base = "https://www.polarbearmusicclub.co.uk";
-  const listURL = `${base}/whatson`;
-  const baseHost = new URL(base).hostname;
-
-  let html;
-  try {
-    const res = await fetch(listURL, {
-      headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
-    });
-    html = await res.text();
-  } catch (e) {
-    log("[polar] list fetch failed:", e.message);
-    return [];
-  }
+  let html;
+  try {
+    const res = await fetchWithTimeout(listURL, {
+      headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
+    });
+    html = await res.text();
+  } catch (e) {
+    log("[polar] list fetch failed:", e.message);
+    return [];
+  }
 
   const $ = cheerio.load(html);
   const rawLinks = $("a[href]")
@@ -1601,8 +2691,9 @@ async function scrapePolarBear() {
   const out = [];
   for (const url of eventLinks) {
     try {
-      const r2 = await fetch(url, {
+      const r2 = await fetchWithTimeout(url, {
         headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
+        maxAgeMs: DETAIL_CACHE_TTL_MS,
       });
       const html2 = await r2.text();
       const $$ = cheerio.load(html2);
@@ -1724,7 +2815,7 @@ async function scrapeAdelphi() {
 
     let html;
     try {
-        const res = await fetch(listURL, {
+        const res = await fetchWithTimeout(listURL, {
             headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
         });
         html = await res.text();
@@ -1809,69 +2900,75 @@ async function scrapeAdelphi() {
 }
 
 
-/* -------- THE PEOPLE'S REPUBLIC (Untappd) -------------------------- */
-/* Source List: https://untappd.com/v/the-peoples-republic/4588756/events */
-async function scrapeTPR() {
-  log("[tpr] list");
-  const base = "https://untappd.com";
-  const listURL = "https://untappd.com/v/the-peoples-republic/4588756/events";
-  const baseHost = new URL(base).hostname;
+/* --------------- Untappd venue adapter (adapter "untappd") --------------- */
+// Untappd venue event pages (bars list their tap takeovers, quizzes and gigs
+// there). venues.json: options { slug, venueId } from
+// untappd.com/v/<slug>/<venueId>, or the events page as `url`.
+const UNTAPPD_BASE = "https://untappd.com";
+const UNTAPPD_FUTURE_YEARS = 2;
 
-  // -------- helpers --------
-  const NOW = dayjs();
-  const FUTURE_WINDOW_YEARS = 2;
+function untappdListUrl(venue) {
+  const { slug, venueId } = venue.options || {};
+  if (slug && venueId) return `${UNTAPPD_BASE}/v/${slug}/${venueId}/events`;
+  return venue.url;
+}
 
-  const isSaneYear = (iso) => {
-    try {
-      const d = new Date(iso);
-      if (!Number.isFinite(+d)) return false;
-      const y = d.getUTCFullYear();
-      const yearNow = NOW.year();
-      // Keep it relatively tight to avoid 2038 ghosts
-      return y >= 2022 && y <= yearNow + FUTURE_WINDOW_YEARS;
-    } catch {
-      return false;
-    }
-  };
+// Untappd pages carry plenty of stray timestamps; keep it relatively tight to
+// avoid 2038 ghosts
+function isSaneYear(iso) {
+  try {
+    const d = new Date(iso);
+    if (!Number.isFinite(+d)) return false;
+    const y = d.getUTCFullYear();
+    return y >= 2022 && y <= now().year() + UNTAPPD_FUTURE_YEARS;
+  } catch {
+    return false;
+  }
+}
 
-  const VENUE_NAME = "The People's Republic";
+const isWithinFutureWindow = (iso) => {
+  const d = dayjs(iso);
+  return (
+    d.isValid() &&
+    d.isBefore(now().add(UNTAPPD_FUTURE_YEARS, "years").endOf("year"))
+  );
+};
 
-  const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+/** Drop "… hosted by <venue>" / "@ <venue>" that Untappd appends to titles. */
+function cleanUntappdTitle(title = "", venueName = "") {
+  let x = title;
 
-  function cleanTPRTitle(title = "") {
-    let x = title;
+  // remove “… hosted by The People's Republic” (with/without separators)
+  const hostedBy = new RegExp(
+    String.raw`\s*(?:[-–—•|·]\s*)?(?:\(?\s*)?hosted by\s+${escapeRegexForPattern(
+      venueName,
+    )}\s*\)?\s*$`,
+    "i",
+  );
+  x = x.replace(hostedBy, "");
 
-    // remove “… hosted by The People's Republic” (with/without separators)
-    const hostedBy = new RegExp(
-      String.raw`\s*(?:[-–—•|·]\s*)?(?:\(?\s*)?hosted by\s+${escapeRegex(
-        VENUE_NAME,
-      )}\s*\)?\s*$`,
-      "i",
-    );
-    x = x.replace(hostedBy, "");
+  // also remove trailing “@ The People's Republic” or “at The People’s Republic”
+  const atVenue = new RegExp(
+    String.raw`\s*(?:[-–—•|·]\s*)?(?:@|at)\s+${escapeRegexForPattern(venueName)}\s*$`,
+    "i",
+  );
+  x = x.replace(atVenue, "");
 
-    // also remove trailing “@ The People's Republic” or “at The People’s Republic”
-    const atVenue = new RegExp(
-      String.raw`\s*(?:[-–—•|·]\s*)?(?:@|at)\s+${escapeRegex(VENUE_NAME)}\s*$`,
-      "i",
-    );
-    x = x.replace(atVenue, "");
+  // tidy leftover trailing separators/spaces
+  x = x.replace(/\s*(?:[-–—•|·])\s*$/g, "");
+  x = x.replace(/\s{2,}/g, " ").trim();
 
-    // tidy leftover trailing separators/spaces
-    x = x.replace(/\s*(?:[-–—•|·])\s*$/g, "");
-    x = x.replace(/\s{2,}/g, " ").trim();
+  // never return empty
+  return x || title.trim();
+}
 
-    // never return empty
-    return x || title.trim();
-  }
+async function scrapeUntappdVenue(venue) {
+  const TAG = `[untappd:${venue.id}]`;
+  log(`${TAG} list`);
+  const listURL = untappdListUrl(venue);
+  const baseHost = new URL(UNTAPPD_BASE).hostname;
 
-  const isWithinFutureWindow = (iso) => {
-    const d = dayjs(iso);
-    return (
-      d.isValid() &&
-      d.isBefore(NOW.add(FUTURE_WINDOW_YEARS, "years").endOf("year"))
-    );
-  };
+  // -------- helpers --------
 
   const pickTime = (text = "") => {
     const t = normalizeWhitespace(text);
@@ -1968,7 +3065,7 @@ async function scrapeTPR() {
         });
       }
     }
-    log(`[tpr] list hints harvested: ${hints.size}`);
+    log(`${TAG} list hints harvested: ${hints.size}`);
     return hints;
   }
 
@@ -2054,21 +3151,21 @@ async function scrapeTPR() {
       headers: {
         "user-agent": UA,
         "accept-language": ACCEPT_LANG,
-        referer: "https://untappd.com/",
+        referer: `${UNTAPPD_BASE}/`,
       },
       timeoutMs: 15000,
       retries: 1,
     });
     html = await res.text();
-    log("[tpr] fetched list:", listURL);
+    log(`${TAG} fetched list:`, listURL);
   } catch (e) {
-    log("[tpr] list fetch failed:", e.message);
+    log(`${TAG} list fetch failed:`, e.message);
     return [];
   }
 
   const $ = cheerio.load(html);
   const eventLinks = collectEventLinks($, listURL);
-  log(`[tpr] candidate detail links: ${eventLinks.length}`);
+  log(`${TAG} candidate detail links: ${eventLinks.length}`);
   const listHints = harvestListHints($, listURL);
 
   // -------- detail crawl --------
@@ -2079,7 +3176,7 @@ async function scrapeTPR() {
     for (let i = 0; i < links.length; i += BATCH) {
       const batch = links.slice(i, i + BATCH);
       const settled = await Promise.allSettled(
-        batch.map(async (url) => {
+        crawlDetails(batch, async (url) => {
           try {
             const r2 = await fetchWithTimeout(url, {
               headers: {
@@ -2089,6 +3186,7 @@ async function scrapeTPR() {
               },
               timeoutMs: 15000,
               retries: 1,
+              maxAgeMs: DETAIL_CACHE_TTL_MS,
             });
             const html2 = await r2.text();
             const $$ = cheerio.load(html2);
@@ -2109,7 +3207,10 @@ async function scrapeTPR() {
                 .trim() ||
               $$("title").text().trim();
 
-            title = cleanTPRTitle(normalizeWhitespace(title || ""));
+            title = cleanUntappdTitle(
+              normalizeWhitespace(title || ""),
+              venue.name,
+            );
 
             const $h1 = $$(
               "h1, .title, .page-title, [class*='header'] h1",
@@ -2200,11 +3301,14 @@ async function scrapeTPR() {
             }
 
             if (!startISO)
-              log("[tpr] no date found", { url, dateText, timeText });
+              log(`${TAG} no date found`, { url, dateText, timeText });
 
             // Address (fallback map fills if blank)
             const address =
-              fromLD.address || big.match(/\bHU\d\w?\s*\d\w\w\b/i)?.[0] || "";
+              fromLD.address ||
+              big.match(/\bHU\d\w?\s*\d\w\w\b/i)?.[0] ||
+              venue.address ||
+              "";
 
             // Tickets / info
             const tickets = $$("a[href]")
@@ -2224,14 +3328,13 @@ async function scrapeTPR() {
               .filter(Boolean);
 
             // Extract price from page text if available
-            const pageTextTPR = [labeled, near, big].join(" ");
-            const priceTextTPR = extractPriceText(pageTextTPR);
+            const priceText = extractPriceText([labeled, near, big].join(" "));
 
             const ev = buildEvent({
-              source: "The People's Republic",
-              venue: "The People's Republic",
+              source: venue.name,
+              venue: venue.name,
               url,
-              title: normalizeWhitespace(title || "The People's Republic"),
+              title: normalizeWhitespace(title || venue.name),
               dateText,
               timeText,
               startISO,
@@ -2240,7 +3343,7 @@ async function scrapeTPR() {
               tickets,
               soldOut,
               freeEntry,
-              ...(priceTextTPR && { priceText: priceTextTPR }),
+              ...(priceText && { priceText }),
             });
 
             // If undated, still show a correct time; never provide displayDateTime24
@@ -2259,7 +3362,7 @@ async function scrapeTPR() {
               const d = dayjs(ev.start);
               if (d.isValid() && d.year() < 2020) {
                 log(
-                  "[tpr] dropping bogus date <2020",
+                  `${TAG} dropping bogus date <2020`,
                   ev.title || url,
                   "→",
                   ev.start,
@@ -2274,7 +3377,7 @@ async function scrapeTPR() {
                 if (t24) ev.displayTime24 = t24;
               } else if (d.isValid() && d.isBefore(CUTOFF)) {
                 log(
-                  "[tpr] skip past (post-build):",
+                  `${TAG} skip past (post-build):`,
                   ev.title || url,
                   "→",
                   ev.start,
@@ -2285,7 +3388,7 @@ async function scrapeTPR() {
 
             return ev;
           } catch (e) {
-            log("TPR event error:", e.message, url);
+            log(`${TAG} event error:`, e.message, url);
             return null;
           }
         }),
@@ -2295,7 +3398,7 @@ async function scrapeTPR() {
       await sleep(60);
     }
 
-    log(`[tpr] done (detail), events: ${results.length}`);
+    log(`${TAG} done (detail), events: ${results.length}`);
     return results;
   }
 
@@ -2306,10 +3409,10 @@ async function scrapeTPR() {
       ...$("li, .event, .item, .card, [class*='event']").toArray(),
     ];
     if (!cards.length) {
-      log("[tpr] inline: no obvious cards found");
+      log(`${TAG} inline: no obvious cards found`);
       return results;
     }
-    log(`[tpr] inline: probing ${cards.length} candidates`);
+    log(`${TAG} inline: probing ${cards.length} candidates`);
 
     for (const el of cards) {
       const $el = $(el);
@@ -2347,7 +3450,7 @@ async function scrapeTPR() {
         if (startISO && !isSaneYear(startISO)) startISO = null;
         if (startISO && !isWithinFutureWindow(startISO)) startISO = null;
       } else {
-        log("[tpr] inline: no year in date; leaving undated", {
+        log(`${TAG} inline: no year in date; leaving undated`, {
           url,
           dateText,
           timeText,
@@ -2355,8 +3458,8 @@ async function scrapeTPR() {
       }
 
       const ev = buildEvent({
-        source: "The People's Republic",
-        venue: "The People's Republic",
+        source: venue.name,
+        venue: venue.name,
         url,
         title: normalizeWhitespace(title),
         dateText,
@@ -2377,11 +3480,11 @@ async function scrapeTPR() {
         else if (d.isValid() && d.isBefore(CUTOFF)) continue;
       }
 
-      log("[tpr] + inline event:", ev.title);
+      log(`${TAG} + inline event:`, ev.title);
       results.push(ev);
     }
 
-    log(`[tpr] done (inline), events: ${results.length}`);
+    log(`${TAG} done (inline), events: ${results.length}`);
     return results;
   }
 
@@ -2389,7 +3492,7 @@ async function scrapeTPR() {
   if (eventLinks.length > 0) {
     return await crawlDetailPages(eventLinks);
   } else {
-    log("[tpr] no detail links; attempting inline scrape");
+    log(`${TAG} no detail links; attempting inline scrape`);
     return scrapeInlineFromList($, listURL);
   }
 }
@@ -2480,7 +3583,7 @@ async function scrapeWelly() {
   const listHtmls = [];
   for (const listURL of listURLs) {
     try {
-      const res = await fetch(listURL, {
+      const res = await fetchWithTimeout(listURL, {
         headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
       });
       listHtmls.push(await res.text());
@@ -2543,10 +3646,11 @@ async function scrapeWelly() {
   for (let i = 0; i < eventLinks.length; i += BATCH) {
     const batch = eventLinks.slice(i, i + BATCH);
     const settled = await Promise.allSettled(
-      batch.map(async (url) => {
+      crawlDetails(batch, async (url) => {
         try {
-          const r2 = await fetch(url, {
+          const r2 = await fetchWithTimeout(url, {
             headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
+            maxAgeMs: DETAIL_CACHE_TTL_MS,
           });
           const html2 = await r2.text();
           const $$ = cheerio.load(html2);
@@ -2678,7 +3782,7 @@ async function scrapeMollyMangans() {
 
   let html;
   try {
-    const res = await fetch(listURL, {
+    const res = await fetchWithTimeout(listURL, {
       headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
     });
     html = await res.text();
@@ -2726,10 +3830,11 @@ async function scrapeMollyMangans() {
   for (let i = 0; i < eventLinks.length; i += BATCH) {
     const batch = eventLinks.slice(i, i + BATCH);
     const settled = await Promise.allSettled(
-      batch.map(async (url) => {
+      crawlDetails(batch, async (url) => {
         try {
-          const r2 = await fetch(url, {
+          const r2 = await fetchWithTimeout(url, {
             headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
+            maxAgeMs: DETAIL_CACHE_TTL_MS,
           });
           const html2 = await r2.text();
           const $$ = cheerio.load(html2);
@@ -2886,7 +3991,7 @@ async function scrapeUnionMashUp() {
 
   let html;
   try {
-    const res = await fetch(listURL, {
+    const res = await fetchWithTimeout(listURL, {
       headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
     });
     html = await res.text();
@@ -2939,10 +4044,11 @@ async function scrapeUnionMashUp() {
   for (let i = 0; i < deduped.length; i += BATCH) {
     const batch = deduped.slice(i, i + BATCH);
     const settled = await Promise.allSettled(
-      batch.map(async (url) => {
+      crawlDetails(batch, async (url) => {
         try {
-          const r2 = await fetch(url, {
+          const r2 = await fetchWithTimeout(url, {
             headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
+            maxAgeMs: DETAIL_CACHE_TTL_MS,
           });
           const html2 = await r2.text();
           const $$ = cheerio.load(html2);
@@ -3097,265 +4203,6 @@ async function scrapeUnionMashUp() {
   return results;
 }
 
-/* -------- DIVE HU5 (Skiddle) --------------------------------------- */
-// Source List: "https://www.skiddle.com/whats-on/Hull/DIVE-HU5/
-async function scrapeDiveHU5() {
-  log("[dive] list");
-  const base = "https://www.skiddle.com";
-  const listURL = "https://www.skiddle.com/whats-on/Hull/DIVE-HU5/";
-  // Local Hull postcode matcher (kept local to avoid global churn)
-  const HULL_POSTCODE = /\bHU\d{1,2}\s*\d[A-Z]{2}\b/i;
-
-  let html;
-  try {
-    const res = await fetchWithTimeout(listURL, {
-      headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
-      timeoutMs: 15000,
-      retries: 1,
-    });
-    html = await res.text();
-  } catch (e) {
-    log("[dive] list fetch failed:", e.message);
-    return [];
-  }
-
-  const $ = cheerio.load(html);
-
-  // Try multiple ways to discover event links
-  let eventLinks = collectSkiddleEventLinks($, listURL, base);
-
-  // Fallback: sometimes the page is a venue hub without direct details;
-  // widen by also accepting /whats-on/ deep links that end with -digits
-  if (eventLinks.length === 0) {
-    const raw = $("a[href]")
-      .map((_, a) => $(a).attr("href"))
-      .get();
-    eventLinks = [
-      ...new Set(
-        raw
-          .map((h) => safeNewURL(h, base))
-          .filter(Boolean)
-          .filter((u) => /skiddle\.com/i.test(u) && /-\d{4,}\/?$/.test(u))
-          .map((u) => {
-            const x = new URL(u);
-            x.hash = "";
-            x.search = "";
-            return x.toString();
-          }),
-      ),
-    ];
-  }
-
-  const MAX_DETAIL = 200;
-  const toCrawl = eventLinks.slice(0, MAX_DETAIL);
-  log(`[dive] candidate links: ${toCrawl.length}`);
-
-  if (toCrawl.length === 0) return [];
-
-  const out = [];
-  const BATCH = 6;
-
-  for (let i = 0; i < toCrawl.length; i += BATCH) {
-    const batch = toCrawl.slice(i, i + BATCH);
-
-    const settled = await Promise.allSettled(
-      batch.map(async (url) => {
-        try {
-          const r2 = await fetchWithTimeout(url, {
-            headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
-            timeoutMs: 15000,
-            retries: 1,
-          });
-          const html2 = await r2.text();
-          const $$ = cheerio.load(html2);
-
-          // Prefer JSON-LD
-          const fromLD = extractEventFromJSONLD($$, url) || {};
-          const title =
-            fromLD.title ||
-            $$("h1, .event-title, .headline").first().text().trim() ||
-            $$("title").text().trim();
-
-          const $h1 = $$("h1, .event-title, .headline").first();
-          const near = normalizeWhitespace(
-            ($h1.text() || "") + " " + $h1.nextAll().slice(0, 8).text(),
-          );
-          const big = normalizeWhitespace(
-            $$("main, article, .content, .entry-content, body").first().text(),
-          );
-
-          const dateText =
-            near.match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/)?.[0] ||
-            near.match(/\b\d{1,2}(?:st|nd|rd|th)?\s+\w+\s+\d{4}\b/i)?.[0] ||
-            big.match(/\b\d{1,2}\/\d{1,2}\/\d{4}\b/)?.[0] ||
-            big.match(/\b\d{1,2}(?:st|nd|rd|th)?\s+\w+\s+\d{4}\b/i)?.[0] ||
-            "";
-
-          const timeText = extractTimeFrom(near) || extractTimeFrom(big) || "";
-
-          let startISO =
-            fromLD.startISO ||
-            parseDMYWithTime(dateText, timeText) ||
-            tryParseDateFromText(stripOrdinals(`${dateText} ${timeText}`));
-
-          // Filter past (keep undated)
-          if (startISO) {
-            const d = dayjs(startISO);
-            if (d.isValid() && d.isBefore(CUTOFF)) return null;
-          }
-
-          const pageText = [near, big, title].join(" ");
-          const soldOut =
-            isSoldOut(pageText) || offersIndicateSoldOut(fromLD.offers);
-          const freeEntry = isFreeEntry([title, near, big].join(" "));
-
-          const address = fromLD.address || big.match(HULL_POSTCODE)?.[0] || ""; // resolver will finalise
-
-          // Ticket links
-          const tickets = $$("a[href]")
-            .filter((_, a) =>
-              /(skiddle|eventbrite|seetickets|ticketsource|ticketweb|gigantic|eventim|fatsoma)/i.test(
-                $$(a).attr("href") || "",
-              ),
-            )
-            .map((_, a) => {
-              const href = $$(a).attr("href") || "";
-              const u = safeNewURL(href, url);
-              return u
-                ? { label: $$(a).text().trim() || "Tickets", url: u }
-                : null;
-            })
-            .get()
-            .filter(Boolean);
-
-          // Extract price from page text if available
-          const priceText = extractPriceText(pageText);
-
-          const ev = buildEvent({
-            source: "DIVE HU5",
-            venue: "DIVE HU5",
-            url,
-            title,
-            dateText,
-            timeText,
-            startISO,
-            endISO: null,
-            address,
-            tickets,
-            soldOut,
-            freeEntry: !!freeEntry,
-            ...(priceText && { priceText }),
-          });
-
-          await sleep(40);
-          return ev;
-        } catch (e) {
-          log("Dive HU5 event error:", e.message, url);
-          return null;
-        }
-      }),
-    );
-
-    for (const r of settled)
-      if (r.status === "fulfilled" && r.value) out.push(r.value);
-  }
-
-  log(`[dive] done, events: ${out.length}`);
-  return out.filter(Boolean);
-}
-
-function isSundayLunchTitle(s = "") {
-  return /\bsunday\s+lunch\b/i.test(s || "");
-}
-
-function sameLocalDay(aISO, bISO, tz = TZ) {
-  if (!aISO || !bISO) return false;
-  const a = dayjs.tz(aISO, tz);
-  const b = dayjs.tz(bISO, tz);
-  if (!a.isValid() || !b.isValid()) return false;
-  return a.format("YYYY-MM-DD") === b.format("YYYY-MM-DD");
-}
-
-function normalizeCanonName(s = "") {
-  // Force both sources to the same display string
-  return /moody/i.test(s) ? "Mr Moody's Tavern" : s;
-}
-
-/**
- * Merge duplicate "Sunday Lunch" entries for Mr Moody's Tavern (CSV + synthetic).
- * Prefer the CSV-like entry (has URL/tickets). Union tickets and keep best time.
- */
-function mergeMoodysSundayDuplicates(events, tz = TZ) {
-  const CANON = "Mr Moody's Tavern";
-
-  // Only consider Mr Moody's Sunday Lunch with a date
-  const moodys = events.filter(
-    (e) =>
-      normalizeCanonName(e?.venue) === CANON &&
-      isSundayLunchTitle(e?.title || "") &&
-      e?.start,
-  );
-
-  // Group by local date
-  const buckets = new Map(); // YYYY-MM-DD -> event[]
-  for (const ev of moodys) {
-    const d = dayjs.tz(ev.start, tz);
-    if (!d.isValid()) continue;
-    const key = d.format("YYYY-MM-DD");
-    if (!buckets.has(key)) buckets.set(key, []);
-    buckets.get(key).push(ev);
-  }
-
-  const keep = new Set();
-  const drop = new Set();
-
-  for (const arr of buckets.values()) {
-    if (arr.length === 1) {
-      keep.add(arr[0]);
-      continue;
-    }
-
-    // Prefer entry with a URL or tickets (likely from CSV), else first
-    let winner =
-      arr.find(
-        (e) =>
-          (e.url && /^https?:\/\//i.test(e.url)) ||
-          (e.tickets && e.tickets.length),
-      ) || arr[0];
-
-    // Merge ticket URLs
-    const seen = new Set();
-    const mergedTickets = [];
-    for (const e of arr) {
-      for (const t of e.tickets || []) {
-        const u = t?.url?.trim();
-        if (u && !seen.has(u)) {
-          seen.add(u);
-          mergedTickets.push({ label: t.label || "Tickets", url: u });
-        }
-      }
-    }
-
-    // Adopt the best 24h display time if winner lacks one
-    const bestTime =
-      winner.displayTime24 ||
-      arr.map((e) => e.displayTime24).find(Boolean) ||
-      null;
-
-    // Canonicalise + set merged fields
-    winner.venue = CANON;
-    winner.source = CANON;
-    winner.tickets = mergedTickets;
-    if (bestTime && !winner.displayTime24) winner.displayTime24 = bestTime;
-
-    keep.add(winner);
-    for (const e of arr) if (e !== winner) drop.add(e);
-  }
-
-  // Return original list with duplicates removed (winners mutated in place)
-  return events.filter((e) => !drop.has(e));
-}
-
 /* -------- PAVE BAR --------------------------------------- */
 async function scrapePaveBar() {
   log("[pave] start");
@@ -3402,16 +4249,6 @@ async function scrapePaveBar() {
   // Regex: "Fridays 2025" (recurring)
   const RECURRING_RE = new RegExp(`^(${PLURAL_DAYS})\\s+(\\d{4})`, "i");
 
-  const DAY_MAP = {
-    monday: 1,
-    tuesday: 2,
-    wednesday: 3,
-    thursday: 4,
-    friday: 5,
-    saturday: 6,
-    sunday: 0,
-  };
-
   // Collect candidate container elements - look for text nodes that match
   // the date header patterns. We scan all elements and pick the outermost
   // block whose *direct* text (ignoring child elements) contains the pattern.
@@ -3526,11 +4363,9 @@ async function scrapePaveBar() {
           .toISOString();
       }
     } else {
-      // Recurring — find next N occurrences (up to 8 weeks)
+      // Recurring — the next 8 dates within the year the heading names
       const m = RECURRING_RE.exec(rawText);
-      const pluralDay = m[1].toLowerCase().replace(/s$/, ""); // "fridays" → "friday"
-      const targetDay = DAY_MAP[pluralDay];
-      if (targetDay === undefined) return;
+      const year = m[2];
 
       // For the description text extract time if mentioned ("every Friday at 8pm")
       const recurTimeMatch = rawText.match(
@@ -3545,17 +4380,15 @@ async function scrapePaveBar() {
         timeWordy = `${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}`;
       }
 
-      const today = dayjs.tz(CUTOFF, TZ);
-      let d = today.clone();
-      while (d.day() !== targetDay) d = d.add(1, "day");
-
-      for (let i = 0; i < 8; i++) {
-        const eventDate = d
-          .add(i, "week")
-          .hour(hh)
-          .minute(mm)
-          .second(0)
-          .millisecond(0);
+      const rec = parseRecurrence({
+        every: m[1],
+        from: `${year}-01-01`,
+        until: `${year}-12-31`,
+        upcoming: 8,
+      });
+      const today = dayjs.tz(CUTOFF, TZ).format("YYYY-MM-DD");
+      for (const date of recurrenceDates(rec, { from: today })) {
+        const eventDate = dayjs.tz(`${date} ${hh}:${mm}`, "YYYY-MM-DD H:m", TZ);
         const ev = buildEvent({
           source: "Pave Bar",
           venue: "Pave Bar",
@@ -3568,6 +4401,7 @@ async function scrapePaveBar() {
           tickets: [],
           soldOut: false,
           freeEntry: isFreeEntry(rawText),
+          series: rec.rrule,
         });
         if (ev) results.push(ev);
       }
@@ -3618,12 +4452,24 @@ async function scrapePaveBar() {
   return results;
 }
 
-/* -------- GARDENERS ARMS (DesignMyNight) -------------------------- */
-// Source list: https://gardeners-arms.designmynight.com/
-async function scrapeGardenersArms() {
-  log("[gardeners] list");
+/* ------------ DesignMyNight adapter (adapter "designmynight") ------------ */
+// Venues with a <slug>.designmynight.com events site. venues.json:
+//   options.slug       the subdomain (or give the site as `url`)
+//   options.quizTime   "HH:mm" the venue's quizzes really start (pages often
+//                      show the booking window instead)
+//   options.happyHour  "HH:mm-HH:mm" for deals notes that don't say when
+//   options.defaults   { time } for "Every Monday"-style listings (19:00)
+function designMyNightBase(venue) {
+  const slug = venue.options?.slug;
+  return slug ? `https://${slug}.designmynight.com` : new URL(venue.url).origin;
+}
+
+async function scrapeDesignMyNightVenue(venue) {
+  const TAG = `[dmn:${venue.id}]`;
+  log(`${TAG} list`);
 
-  const base = "https://gardeners-arms.designmynight.com";
+  const { quizTime, happyHour, defaults = {} } = venue.options || {};
+  const base = designMyNightBase(venue);
   const listURL = `${base}/`;
   const baseHost = new URL(base).hostname;
 
@@ -3696,9 +4542,9 @@ async function scrapeGardenersArms() {
       else notes.push("Happy hour");
     } else if (
       /happy\s+hour/i.test(folded) ||
-      /selected\s+drinks\s+just\s+£?3\.25/i.test(folded)
+      /selected\s+drinks\s+(?:just|only)\s+£?\d/i.test(folded)
     ) {
-      notes.push("Happy hour 17:00-20:00");
+      notes.push(happyHour ? `Happy hour ${happyHour}` : "Happy hour");
     }
 
     return notes.join(" · ");
@@ -3716,7 +4562,7 @@ async function scrapeGardenersArms() {
     return toISO(local.hour(hh).minute(mm).second(0).millisecond(0));
   };
 
-  const isUsefulGardenersTicket = (href = "", detailUrl = "") => {
+  const isUsefulTicket = (href = "", detailUrl = "") => {
     if (!href) return false;
     try {
       const u = new URL(href, detailUrl || base);
@@ -3758,7 +4604,7 @@ async function scrapeGardenersArms() {
     });
     html = await res.text();
   } catch (e) {
-    log("[gardeners] list fetch failed:", e.message);
+    log(`${TAG} list fetch failed:`, e.message);
     return [];
   }
 
@@ -3807,7 +4653,7 @@ async function scrapeGardenersArms() {
     if (dateText || timeText) hints.set(abs, { dateText, timeText });
   });
 
-  log(`[gardeners] candidate links: ${links.length}`);
+  log(`${TAG} candidate links: ${links.length}`);
   if (!links.length) return [];
 
   const out = [];
@@ -3816,12 +4662,13 @@ async function scrapeGardenersArms() {
   for (let i = 0; i < links.length; i += BATCH) {
     const batch = links.slice(i, i + BATCH);
     const settled = await Promise.allSettled(
-      batch.map(async (url) => {
+      crawlDetails(batch, async (url) => {
         try {
           const r2 = await fetchWithTimeout(url, {
             headers: { "user-agent": UA, "accept-language": ACCEPT_LANG },
             timeoutMs: 15000,
             retries: 1,
+            maxAgeMs: DETAIL_CACHE_TTL_MS,
           });
           const html2 = await r2.text();
           const $$ = cheerio.load(html2);
@@ -3868,7 +4715,7 @@ async function scrapeGardenersArms() {
           const pageTextFolded = foldUnicodeText(pageText);
           const dealsNote = extractDealsNote(pageText);
           const isQuizNight = /\bquiz\b/i.test(foldUnicodeText(title || ""));
-          const quizStart24 = isQuizNight ? "20:00" : null;
+          const quizStart24 = (isQuizNight && quizTime) || null;
 
           let startISO =
             fromLD.startISO ||
@@ -3882,14 +4729,15 @@ async function scrapeGardenersArms() {
           // If this is recurring-only (e.g. "Every Monday") and no concrete date parsed,
           // synthesize the next occurrence.
           if (!startISO && recurringDay) {
-            const t24 = quizStart24 || to24h(timeText || "") || "19:00";
+            const t24 =
+              quizStart24 || to24h(timeText || "") || defaults.time || "19:00";
             const [hh, mm] = t24.split(":").map((n) => parseInt(n, 10));
-            const now = dayjs.tz(dayjs(), TZ);
-            let next = now.startOf("day");
+            const nowLocal = dayjs.tz(now(), TZ);
+            let next = nowLocal.startOf("day");
             const target = dayMap[recurringDay.toLowerCase()];
             while (next.day() !== target) next = next.add(1, "day");
             next = next.hour(hh).minute(mm).second(0).millisecond(0);
-            if (next.isBefore(now)) next = next.add(1, "week");
+            if (next.isBefore(nowLocal)) next = next.add(1, "week");
             startISO = toISO(next);
             if (!dateText) dateText = next.format("D/M/YYYY");
             if (!timeText) timeText = t24;
@@ -3919,9 +4767,7 @@ async function scrapeGardenersArms() {
             /\bno\s+tickets\s+available\b/i.test(pageTextFolded);
 
           const tickets = $$("a[href]")
-            .filter((_, a) =>
-              isUsefulGardenersTicket($$(a).attr("href") || "", url),
-            )
+            .filter((_, a) => isUsefulTicket($$(a).attr("href") || "", url))
             .map((_, a) => {
               const href = $$(a).attr("href") || "";
               const u = safeNewURL(href, url);
@@ -3937,11 +4783,11 @@ async function scrapeGardenersArms() {
           const address =
             fromLD.address ||
             big.match(/\bHU\d\w?\s*\d\w\w\b/i)?.[0] ||
-            "The Gardeners Arms, Hull HU5";
+            venue.address;
 
           const ev = buildEvent({
-            source: "Gardeners Arms",
-            venue: "Gardeners Arms",
+            source: venue.name,
+            venue: venue.name,
             url,
             title,
             dateText,
@@ -3959,7 +4805,7 @@ async function scrapeGardenersArms() {
 
           return ev;
         } catch (e) {
-          log("[gardeners] event error:", e.message, url);
+          log(`${TAG} event error:`, e.message, url);
           return null;
         }
       }),
@@ -3971,305 +4817,1225 @@ async function scrapeGardenersArms() {
     await sleep(50);
   }
 
-  log(`[gardeners] done, events: ${out.length}`);
+  log(`${TAG} done, events: ${out.length}`);
   return out;
 }
 
-/* ============================== MAIN =============================== */
-// - Run venue scrapers concurrently (env toggles skip specific ones)
-// - Keep today+future (dated), include undated
-// - Output *only* JSON to stdout
-function wrapScrape(tag, fn) {
-  return (async () => {
-    const label = String(tag || "scrape");
-    log(`[${label}] start`);
-    try {
-      const res = await fn();
-      log(`[${label}] done, events: ${Array.isArray(res) ? res.length : 0}`);
-      return res || [];
-    } catch (e) {
-      log(`[${label}] [ERR] ${e?.message || e}`);
-      return [];
-    }
-  })();
-}
+/* ========================== VENUE REGISTRY ========================= */
+// venues.json lists every source: { id, venue, adapter, url, enabled }
+//   adapter "custom"    → bespoke scraper from CUSTOM_SCRAPERS (keyed by id)
+//   adapter "csv"       → scrapeCsvVenue() against the published sheet URL
+//   adapter "recurring" → only the venue's `recurrences` (any venue may add some)
+const VENUES_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "venues.json",
+);
+
+const CUSTOM_SCRAPERS = {
+  "polar-bear": scrapePolarBear,
+  adelphi: scrapeAdelphi,
+  welly: scrapeWelly,
+  "molly-mangans": scrapeMollyMangans,
+  umu: scrapeUnionMashUp,
+  "pave-bar": scrapePaveBar,
+};
 
-async function main() {
-  try {
-    log("[start] hull scrapers");
-
-    const skipWelly = process.env.SKIP_WELLY === "1";
-    const skipUMU = process.env.SKIP_UMU === "1";
-    const skipDive = process.env.SKIP_DIVE === "1";
-    const skipTPR = process.env.SKIP_TPR === "1";
-    const skipMoodys = process.env.SKIP_MOODYS === "1";
-    const skipUnderdog = process.env.SKIP_UNDERDOG === "1";
-    const skipPave = process.env.SKIP_PAVE === "1";
-    const onlyNewland = process.env.ONLY_NEWLAND_TAP === "1";
-
-    log("[cfg] SKIP_WELLY =", skipWelly ? "1" : "0");
-    log("[cfg] SKIP_UMU   =", skipUMU ? "1" : "0");
-    log("[cfg] SKIP_DIVE  =", skipDive ? "1" : "0");
-    log("[cfg] SKIP_TPR   =", skipTPR ? "1" : "0");
-    log("[cfg] SKIP_MOODYS =", skipMoodys ? "1" : "0");
-    log("[cfg] SKIP_UNDERDOG =", skipUnderdog ? "1" : "0");
-    log("[cfg] SKIP_PAVE =", skipPave ? "1" : "0");
-    log("[cfg] ONLY_NEWLAND_TAP =", onlyNewland ? "1" : "0");
-
-    let tasks;
-
-    if (onlyNewland) {
-      // Newland Tap-only mode
-      tasks = [
-        wrapScrape("csv:Newland Tap", () =>
-          scrapeCsvVenue({
-            name: "Newland Tap",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vSEVo4GiJ3CczBH1tC4C1jfjGpCzLbJvPeu-FET5bJKFr7TcFtZYihTwtQGviD18KjtwxuhXg7eQf9Q/pub?output=csv",
-            address: "135 Newland Ave, Kingston upon Hull HU5 2ES",
-            tz: TZ,
-          }),
-        ),
-      ];
-    } else {
-      // Normal all-venues mode
-      tasks = [
-        wrapScrape("polar", scrapePolarBear),
-        wrapScrape("adelphi", scrapeAdelphi),
-      ];
-      if (!skipWelly) tasks.push(wrapScrape("welly", scrapeWelly));
-      tasks.push(wrapScrape("molly", scrapeMollyMangans));
-      tasks.push(wrapScrape("gardeners", scrapeGardenersArms));
-      if (!skipUMU) tasks.push(wrapScrape("umu", scrapeUnionMashUp));
-      if (!skipDive) tasks.push(wrapScrape("dive", scrapeDiveHU5));
-      if (!skipTPR) tasks.push(wrapScrape("tpr", scrapeTPR));
-
-      // CSV-driven venues (NOW including Newland Tap too)
-      tasks.push(
-        wrapScrape("csv:Mr Moody's Tavern", () =>
-          scrapeCsvVenue({
-            name: "Mr Moody's Tavern",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vSCS2ie0QkaHd5Z3LMytIIEAEE4QVAKYse7gc7uCgev00omjKv560oSf9V2kPNOWmrO90cpzRISB88C/pub?output=csv",
-            address: "6 Newland Ave, Hull HU5 3AF",
-            tz: TZ,
-          }),
-        ),
-        wrapScrape("csv:Commun'ull", () =>
-          scrapeCsvVenue({
-            name: "Commun'ull",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vTSCD7I-nOLa2eid-RpWpdWpigTRSS0riXKET2IIZyq6NIWpSrKyE3n1AzBsMzNPQDgwtFnPKTgkUg9/pub?output=csv",
-            address: "178 Chanterlands Avenue, Hull HU5 3TR",
-            tz: TZ,
-          }),
-        ),
-        wrapScrape("csv:Späti Bar", () =>
-          scrapeCsvVenue({
-            name: "Späti Bar",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vTiN9k_aWj0tv7KMXFbLbWC3rsxPspA1xAllXr9uQShRSTGw8qDbVH6lOcuyADixNKi3W9IeI1G5aZF/pub?output=csv",
-            address: "27 Newland Ave, Hull HU5 3BE",
-            tz: TZ,
-          }),
-        ),
-        wrapScrape("csv:Hoi", () =>
-          scrapeCsvVenue({
-            name: "Hoi",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vQ0-Kc66mqUugdCaxTW9IPMSrMuRhbiWkkIRvlOY1s1hWMSDdi1FM9C7vrDvENgb6L6jCM_Ji3UUqL0/pub?output=csv",
-            address: "22-24 Princes Ave, Hull HU5 3QA",
-            tz: TZ,
-          }),
-        ),
-        ...(!skipUnderdog
-          ? [
-              wrapScrape("csv:Underdog", () =>
-                scrapeCsvVenue({
-                  name: "Underdog",
-                  csvUrl:
-                    "https://docs.google.com/spreadsheets/d/e/2PACX-1vQDgKYBCow0Z54ZRIAFI4Otzt4jgK9S-fX02ZcX_3VrqGiMlQlujvqL_agFyA5UQR5p50hCy0nQOBx5/pub?output=csv",
-                  address: "12a Princes Ave, Hull HU5 3QA",
-                  tz: TZ,
-                }),
-              ),
-            ]
-          : []),
-        // Newland Tap is also included in normal mode
-        wrapScrape("csv:Newland Tap", () =>
-          scrapeCsvVenue({
-            name: "Newland Tap",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vSEVo4GiJ3CczBH1tC4C1jfjGpCzLbJvPeu-FET5bJKFr7TcFtZYihTwtQGviD18KjtwxuhXg7eQf9Q/pub?output=csv",
-            address: "135 Newland Ave, Kingston upon Hull HU5 2ES",
-            tz: TZ,
-          }),
-        ),
-        wrapScrape("csv:Garbutts Bar", () =>
-          scrapeCsvVenue({
-            name: "Garbutts Bar",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vRP2OJywOwdda4vxMvMT7uBSNav4B_pssfRlQLUCVCsyYXZhWpHWFNMxDu27-lVHpcwkkGwSBK2hmJX/pub?output=csv",
-            address: "50-54 Princes Avenue, Hull, United Kingdom",
-            tz: TZ,
-          }),
-          ),
-        wrapScrape("csv:St John's", () =>
-          scrapeCsvVenue({
-            name: "St John's",
-            csvUrl:
-              "https://docs.google.com/spreadsheets/d/e/2PACX-1vQUQlqmuWQWMj-hVoo4_mXM8qcoBjifehvDX6tj1dxfqpBFuRBsExOOmJBBmLjHJ4Y9PsIKm-FxioA1/pub?output=csv",
-            address: "Queens Rd, Hull HU5 2PY",
-            tz: TZ,
-          }),
-        ),
-      );
+const VENUE_ADAPTERS = new Set([
+  "custom",
+  "csv",
+  "recurring",
+  "jsonld",
+  "tribe",
+  "ical",
+  "skiddle",
+  "untappd",
+  "designmynight",
+]);
+
+// Which source's fields win when two list the same event (higher wins): the
+// venue's own sheet or calendar, then its site, then listing sites, then
+// recurrence rules. A registry entry's `trust` overrides its adapter's.
+const ADAPTER_TRUST = {
+  csv: 6,
+  ical: 6,
+  custom: 5,
+  jsonld: 5,
+  tribe: 5,
+  untappd: 3,
+  designmynight: 3,
+  skiddle: 2,
+  recurring: 1,
+};
 
-      if (!skipMoodys)
-        tasks.push(
-          wrapScrape("moodys", () => synthMrMoodysSundayLunch({ weeks: 15 })),
+function loadVenueRegistry(file = VENUES_PATH) {
+  const list = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(list)) throw new Error(`${file}: expected an array`);
+
+  const ids = new Set();
+  for (const [i, entry] of list.entries()) {
+    // `venue` links the source to public/venue-data.json, which supplies
+    // its name and address unless the entry sets its own
+    const place = entry?.venue != null && VENUES.byId.get(entry.venue);
+    if (entry?.venue != null && !place) {
+      throw new Error(
+        `${file}: ${entry.id} has unknown venue "${entry.venue}" (see ${VENUE_DATA_PATH})`,
+      );
+    }
+    const v = place
+      ? { name: place.name, address: place.address, ...entry }
+      : entry;
+    list[i] = v;
+    if (!v?.id || !v?.name) throw new Error(`${file}: venue missing id/name`);
+    if (ids.has(v.id)) throw new Error(`${file}: duplicate venue id "${v.id}"`);
+    ids.add(v.id);
+    if (!VENUE_ADAPTERS.has(v.adapter)) {
+      throw new Error(`${file}: ${v.id} has unknown adapter "${v.adapter}"`);
+    }
+    const fallback = v.adapter === "tribe" && v.options?.fallback;
+    if (fallback && (fallback === "tribe" || !VENUE_ADAPTERS.has(fallback))) {
+      throw new Error(`${file}: ${v.id} has unknown fallback "${fallback}"`);
+    }
+    if (
+      (v.adapter === "custom" || fallback === "custom") &&
+      !CUSTOM_SCRAPERS[v.id]
+    ) {
+      throw new Error(`${file}: no custom scraper registered for ${v.id}`);
+    }
+    if (["csv", "jsonld", "tribe", "skiddle"].includes(v.adapter) && !v.url) {
+      throw new Error(`${file}: ${v.adapter} venue ${v.id} needs a url`);
+    }
+    if (
+      v.adapter === "skiddle" &&
+      !/^https?:\/\/(www\.)?skiddle\.com\//i.test(
+        safeNewURL(v.url, SKIDDLE_BASE) || "",
+      )
+    ) {
+      throw new Error(`${file}: skiddle venue ${v.id} needs a skiddle.com url`);
+    }
+    if (
+      v.adapter === "untappd" &&
+      !v.url &&
+      !(v.options?.slug && v.options?.venueId)
+    ) {
+      throw new Error(
+        `${file}: untappd venue ${v.id} needs a url or options.slug + venueId`,
+      );
+    }
+    if (v.adapter === "designmynight" && !v.url && !v.options?.slug) {
+      throw new Error(
+        `${file}: designmynight venue ${v.id} needs a url or options.slug`,
+      );
+    }
+    if (v.adapter === "ical" && !v.url && !v.options?.file) {
+      throw new Error(
+        `${file}: ical venue ${v.id} needs a url or options.file`,
+      );
+    }
+    if (
+      (v.adapter === "jsonld" || fallback === "jsonld") &&
+      v.options?.linkPattern != null
+    ) {
+      try {
+        new RegExp(v.options.linkPattern);
+      } catch (e) {
+        throw new Error(
+          `${file}: ${v.id} has a bad linkPattern (${e.message})`,
         );
-      tasks.push(wrapScrape("queens", scrapeQueensHotel));
-      if (!skipPave) tasks.push(wrapScrape("pave", scrapePaveBar));
+      }
     }
+    if (v.adapter === "recurring" && !v.recurrences?.length) {
+      throw new Error(`${file}: recurring venue ${v.id} needs recurrences`);
+    }
+    (v.recurrences || []).forEach((spec, i) => {
+      try {
+        if (!spec?.title) throw new Error("needs a title");
+        parseRecurrence(spec);
+      } catch (e) {
+        throw new Error(`${file}: ${v.id} recurrence ${i + 1}: ${e.message}`);
+      }
+    });
+    if (v.trust != null && !Number.isFinite(v.trust)) {
+      throw new Error(`${file}: ${v.id} trust must be a number`);
+    }
+    const { minEvents, maxDrop } = v.guard || {};
+    if (
+      (minEvents != null && !(Number.isInteger(minEvents) && minEvents >= 0)) ||
+      (maxDrop != null && !(maxDrop > 0 && maxDrop <= 1))
+    ) {
+      throw new Error(
+        `${file}: ${v.id} guard needs minEvents >= 0 and 0 < maxDrop <= 1`,
+      );
+    }
+  }
+  return list;
+}
 
-    const settled = await Promise.allSettled(tasks);
+// Comma lists from --only/--skip (repeatable) → Set of ids
+const toIdSet = (values = []) =>
+  new Set(
+    [values]
+      .flat()
+      .flatMap((v) => String(v || "").split(","))
+      .map((v) => v.trim())
+      .filter(Boolean),
+  );
 
-    let events = [];
-    for (const r of settled) {
-      if (r.status === "fulfilled") events.push(...(r.value || []));
-      else log("[scrape] failed:", r.reason?.message || r.reason);
-    }
+/** An error main() reports with the usage text and exit code 2. */
+const usageError = (message) =>
+  Object.assign(new Error(message), { code: "ERR_USAGE" });
+
+/** Pick venues to run. --only wins (and can name disabled venues); --skip trims. */
+function selectVenues(registry, { only = [], skip = [] } = {}) {
+  const onlySet = toIdSet(only);
+  const skipSet = toIdSet(skip);
+
+  const known = new Set(registry.map((v) => v.id));
+  for (const id of [...onlySet, ...skipSet]) {
+    if (!known.has(id)) throw usageError(`unknown venue id "${id}"`);
+  }
+
+  return registry.filter((v) => {
+    if (skipSet.has(v.id)) return false;
+    if (onlySet.size) return onlySet.has(v.id);
+    return v.enabled !== false;
+  });
+}
+
+/** The venue's scraper, plus any `recurrences` it declares. */
+function venueTask(venue) {
+  const task = adapterTask(venue);
+  if (venue.adapter === "recurring" || !venue.recurrences?.length) return task;
+  return async () => [...(await task()), ...recurringEvents(venue)];
+}
+
+function adapterTask(venue) {
+  switch (venue.adapter) {
+    case "csv":
+      return () =>
+        scrapeCsvVenue({
+          name: venue.name,
+          csvUrl: venue.url,
+          address: venue.address,
+          tz: TZ,
+          horizonDays: venue.options?.horizonDays,
+        });
+    case "recurring":
+      return async () => recurringEvents(venue);
+    case "jsonld":
+      return () => scrapeJsonLdVenue(venue);
+    case "tribe":
+      return () => scrapeTribeVenue(venue);
+    case "ical":
+      return () => scrapeIcalVenue(venue);
+    case "skiddle":
+      return () => scrapeSkiddleVenue(venue);
+    case "untappd":
+      return () => scrapeUntappdVenue(venue);
+    case "designmynight":
+      return () => scrapeDesignMyNightVenue(venue);
+    default:
+      return CUSTOM_SCRAPERS[venue.id];
+  }
+}
 
-    // Add event types and distance info to each event
-    events = events.map((ev) => ({
+/* ============================== MAIN =============================== */
+// - Run selected venue scrapers concurrently (--only / --skip by venue id)
+// - Keep today+future (dated), include undated
+// - Output *only* JSON to stdout
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_JSON_PATH = path.join(ROOT_DIR, "public", "events.json");
+const DEFAULT_CACHE_DIR = path.join(ROOT_DIR, ".cache", "http");
+const DEFAULT_DETAIL_RECORDS_PATH = path.join(
+  ROOT_DIR,
+  ".cache",
+  "detail-pages.json",
+);
+const DEFAULT_GEOCODE_CACHE_PATH = path.join(
+  ROOT_DIR,
+  ".cache",
+  "geocode.json",
+);
+const DEFAULT_ICS_PATH = path.join(ROOT_DIR, "public", "events.ics");
+const STATUS_FILE = "status.json"; // written next to events.json
+const STATUS_HISTORY_RUNS = 7; // per-venue counts kept for the anomaly guard
+
+// Anomaly guard defaults (override per venue with "guard" in venues.json)
+const GUARD_MAX_DROP = 0.5; // fraction below the recent median that counts as a collapse
+const GUARD_MIN_BASELINE = 3; // ignore swings on venues that usually list fewer
+const EXIT_STALE = 3; // run published, but some venues kept stale events
+const CHANGES_FILE = "changes.json"; // rolling change log, next to events.json
+const CHANGES_KEEP_DAYS = 30;
+const ARCHIVE_DIR = "archive"; // past events by month, next to events.json
+
+/** Run one venue's scraper; never throws. Returns its events + a health entry. */
+async function runVenue(venue) {
+  const label = venue.id;
+  const health = {
+    id: venue.id,
+    name: venue.name,
+    adapter: venue.adapter,
+    status: "ok",
+    events: 0,
+    undated: 0,
+    durationMs: 0,
+    http: {},
+    error: null,
+  };
+  const t0 = Date.now();
+  let events = [];
+
+  log(`[${label}] start`);
+  try {
+    const run = { http: health.http };
+    const res = await venueRunContext.run(run, venueTask(venue));
+    if (run.sheet) health.sheet = run.sheet;
+    // Which registry entry listed it (cross-source merging, its audit)
+    events = (Array.isArray(res) ? res : []).map((ev) => ({
       ...ev,
-      type: detectEventType(ev.title || "", ev.description || ""),
-      distance: getDistance(HULL_CENTER, VENUE_COORDS[ev.venue]),
+      sourceId: venue.id,
     }));
+    log(`[${label}] done, events: ${events.length}`);
+  } catch (e) {
+    health.status = "error";
+    health.error = e?.message || String(e);
+    log(`[${label}] [ERR] ${health.error}`);
+  }
 
-    // Force Newland Tap events to be free entry
-    events = events.map((ev) => {
-      const blob = `${ev.venue || ""} ${ev.source || ""}`.toLowerCase();
-      if (blob.includes("newland tap")) {
-        return { ...ev, freeEntry: true };
-      }
-      return ev;
-    });
+  health.durationMs = Date.now() - t0;
+  health.events = events.length;
+  health.undated = events.filter((ev) => !ev.start).length;
+  if (health.status === "ok" && !events.length) health.status = "empty";
+  return { events, health };
+}
 
-    // Merge duplicate Mr Moody's Sunday Lunch (CSV + synthetic)
-    events = mergeMoodysSundayDuplicates(events);
+/** Read a previously written events.json; null when missing/empty/invalid. */
+function readEventsFile(file) {
+  try {
+    if (!fs.existsSync(file)) return null;
+    const raw = fs.readFileSync(file, "utf8").trim();
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    return Array.isArray(data) ? data : null;
+  } catch {
+    return null;
+  }
+}
 
-    // Canonicalise any stray Mr Moody’s naming
-    events = events.map((ev) =>
-      normalizeCanonName(ev.venue) === "Mr Moody's Tavern"
-        ? { ...ev, venue: "Mr Moody's Tavern", source: "Mr Moody's Tavern" }
-        : ev,
-    );
+/** Scrape venues concurrently; returns { events, health } (health in input order). */
+async function scrapeVenues(selected) {
+  const runs = await Promise.all(selected.map(runVenue));
+  return {
+    events: runs.flatMap((r) => r.events),
+    health: runs.map((r) => r.health),
+  };
+}
+
+/**
+ * Status report for this run. Each venue carries the previous run's count and
+ * `zeroSince` (first run of the current zero-event streak) so a source that has
+ * quietly returned nothing for days stands out. Venues not run this time
+ * (--only/--skip) keep their last entry.
+ */
+function buildStatusReport(
+  health,
+  previous,
+  { registry, startedAt, finishedAt, totalEvents, merges = [] },
+) {
+  const prevById = new Map((previous?.venues || []).map((v) => [v.id, v]));
+  const ranById = new Map(
+    health.map((h) => {
+      const prev = prevById.get(h.id);
+      const zeroSince =
+        h.events > 0
+          ? null
+          : prev?.events === 0 && prev.zeroSince
+            ? prev.zeroSince
+            : startedAt;
+      return [
+        h.id,
+        {
+          ...h,
+          previousEvents: prev ? prev.events : null,
+          recentEvents: [...recentCounts(prev), h.events].slice(
+            -STATUS_HISTORY_RUNS,
+          ),
+          zeroSince,
+          checkedAt: finishedAt,
+        },
+      ];
+    }),
+  );
 
-    // Deduplicate events by title + date + venue
-    events = deduplicateEvents(events);
+  return {
+    generatedAt: finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+    totalEvents,
+    stale: health.filter((h) => h.stale).map((h) => h.id),
+    merges,
+    venues: registry
+      .map((v) => ranById.get(v.id) || prevById.get(v.id))
+      .filter(Boolean),
+  };
+}
 
-    // Merge with existing events from previous runs (keeps events we did not re-scrape)
-    // Note: when stdout is redirected to public/events.json, that file can be empty at startup.
-    // We handle this quietly and only merge when valid cached JSON exists.
-    try {
-      const jsonPath = path.join(
-        path.dirname(fileURLToPath(import.meta.url)),
-        "public",
-        "events.json",
+// Counts from earlier runs, oldest first (reports before history just had `events`)
+const recentCounts = (entry) =>
+  !entry ? [] : entry.recentEvents || [entry.events];
+
+function median(nums) {
+  const sorted = [...nums].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Venues whose count fell sharply against their recent median. The baseline is
+ * the real scraped counts, so a venue that genuinely empties stops being
+ * guarded once the zeros become the median (a few runs).
+ */
+function findCollapsedVenues(health, previous, registry) {
+  const prevById = new Map((previous?.venues || []).map((v) => [v.id, v]));
+  const venueById = new Map(registry.map((v) => [v.id, v]));
+
+  return health.flatMap((h) => {
+    const history = recentCounts(prevById.get(h.id));
+    if (!history.length) return [];
+    const baseline = median(history);
+    const { minEvents, maxDrop = GUARD_MAX_DROP } =
+      venueById.get(h.id)?.guard || {};
+    const floor =
+      minEvents ??
+      (baseline >= GUARD_MIN_BASELINE
+        ? Math.ceil(baseline * (1 - maxDrop))
+        : 0);
+    return h.events < floor && baseline >= floor
+      ? [{ id: h.id, events: h.events, baseline, floor }]
+      : [];
+  });
+}
+
+/**
+ * Republish a collapsed venue's previous events (flagged `stale`) in place of
+ * whatever it returned this run. Freshly scraped events never carry the flag.
+ * Events belong to the registry entry that scraped them (`sourceId`), not to
+ * the venue name: two entries can list one venue, and only the collapsed one
+ * is swapped.
+ */
+function keepStaleVenues(events, previousEvents, collapsedVenues, staleSince) {
+  if (!collapsedVenues.length) return events;
+
+  const ids = new Set(collapsedVenues.map((v) => v.id));
+  const isCollapsed = (ev) => ids.has(ev.sourceId);
+  const kept = (previousEvents || []).filter(isCollapsed).map((ev) => ({
+    ...ev,
+    stale: true,
+    staleSince: ev.staleSince || staleSince,
+  }));
+  return [...events.filter((ev) => !isCollapsed(ev)), ...kept];
+}
+
+/* ----------------------------- Change log ---------------------------- */
+// "<venue>-<YYYYMMDD|undated>-<hash>[-n]" → { date, key } where key ignores the
+// date, so a moved event can be paired with its old listing
+function splitEventId(id = "") {
+  const m = String(id).match(/^(.*)-(\d{8}|undated)-([0-9a-f]{8}(?:-\d+)?)$/);
+  return m ? { date: m[2], key: `${m[1]}-${m[3]}` } : null;
+}
+
+const POSTPONED_RE = /\b(postponed|cancell?ed|re-?scheduled)\b/i;
+const isCalledOff = (ev) =>
+  POSTPONED_RE.test(
+    `${ev.title || ""} ${[].concat(ev.badges || []).join(" ")} ${ev.status || ""}`,
+  );
+
+/**
+ * What changed between two published event lists, keyed by event id.
+ * `after` must be the final, deduplicated list that is written out; ids in
+ * it are unique. An older `before` may hold copies of an id: the first wins.
+ * Returns entries of type added | removed | rescheduled | time | price |
+ * soldOut | postponed, each stamped with `at`.
+ */
+function buildChangeLog(before, after, at) {
+  const clashes = duplicateIds(after);
+  if (clashes.length) {
+    throw new Error(`change log: duplicate event ids ${clashes.join(", ")}`);
+  }
+  const prev = new Map();
+  for (const ev of before) if (!prev.has(ev.id)) prev.set(ev.id, ev);
+  const next = new Map(after.map((ev) => [ev.id, ev]));
+  const entry = (type, ev, extra = {}) => ({
+    at,
+    type,
+    id: ev.id,
+    venue: ev.venue || ev.source || null,
+    title: ev.title || null,
+    start: ev.start || null,
+    ...extra,
+  });
+
+  const changes = [];
+  for (const [id, ev] of next) {
+    const old = prev.get(id);
+    if (!old) continue;
+    if ((old.start || null) !== (ev.start || null)) {
+      changes.push(entry("time", ev, { from: old.start, to: ev.start }));
+    }
+    if ((old.priceText || null) !== (ev.priceText || null)) {
+      changes.push(
+        entry("price", ev, { from: old.priceText, to: ev.priceText }),
       );
+    }
+    if (!!old.soldOut !== !!ev.soldOut) {
+      changes.push(
+        entry("soldOut", ev, { from: !!old.soldOut, to: !!ev.soldOut }),
+      );
+    }
+    if (isCalledOff(old) !== isCalledOff(ev)) {
+      changes.push(
+        entry("postponed", ev, { from: isCalledOff(old), to: isCalledOff(ev) }),
+      );
+    }
+  }
 
-      if (fs.existsSync(jsonPath)) {
-        const raw = fs.readFileSync(jsonPath, "utf8").trim();
-        if (raw) {
-          const existingData = JSON.parse(raw);
-          if (Array.isArray(existingData) && existingData.length) {
-            // Create set of URLs from newly scraped events
-            const newEventUrls = new Set(
-              events.map((e) => e.url).filter(Boolean),
-            );
+  // Unmatched on both sides with the same venue + URL/title hash = new date
+  const movedFrom = new Map();
+  for (const [id, ev] of prev) {
+    if (next.has(id)) continue;
+    const key = splitEventId(id)?.key;
+    if (key && !movedFrom.has(key)) movedFrom.set(key, ev);
+    else changes.push(entry("removed", ev));
+  }
+  for (const [id, ev] of next) {
+    if (prev.has(id)) continue;
+    const key = splitEventId(id)?.key;
+    const old = key && movedFrom.get(key);
+    if (old) {
+      movedFrom.delete(key);
+      changes.push(
+        entry("rescheduled", ev, {
+          from: old.start,
+          to: ev.start,
+          was: old.id,
+        }),
+      );
+    } else {
+      changes.push(entry("added", ev));
+    }
+  }
+  for (const ev of movedFrom.values()) changes.push(entry("removed", ev));
 
-            // Add back existing events whose URLs weren't re-scraped
-            const maintainedEvents = existingData.filter(
-              (ev) => !newEventUrls.has(ev.url),
-            );
+  return changes;
+}
 
-            if (maintainedEvents.length) {
-              events = [...events, ...maintainedEvents];
-              log(
-                `[info] Merged ${maintainedEvents.length} cached events with ${events.length - maintainedEvents.length} newly scraped events`,
-              );
+/** Prepend this run's changes to the rolling log, dropping old entries. */
+function appendChangeLog(log, changes, at) {
+  const cutoff = Date.parse(at) - CHANGES_KEEP_DAYS * 24 * 60 * 60 * 1000;
+  const kept = (Array.isArray(log?.changes) ? log.changes : []).filter(
+    (c) => Date.parse(c.at) >= cutoff,
+  );
+  return { generatedAt: at, changes: [...changes, ...kept] };
+}
 
-              // Deduplicate again after merging
-              events = deduplicateEvents(events);
-            }
-          }
-        }
+/* ------------------------------ Archive ----------------------------- */
+// <dir>/YYYY-MM.json = { month, events } (London month of `start`), plus
+// <dir>/index.json = { generatedAt, months: [{ month, count, venues }] }
+const ARCHIVE_MONTH_RE = /^\d{4}-\d{2}$/;
+
+/** Merge passed events into their monthly archive files; returns months touched. */
+function archivePastEvents(events, dir, nowMs = now().valueOf()) {
+  const byMonth = new Map();
+  for (const ev of events) {
+    const t = Date.parse(ev.start || "");
+    // t <= 0: an unparsed date that came out as the epoch
+    if (!Number.isFinite(t) || t <= 0 || t >= nowMs) continue;
+    const { stale, staleSince, ...kept } = ev;
+    const month = dayjs(t).tz(TZ).format("YYYY-MM");
+    byMonth.set(month, [...(byMonth.get(month) || []), kept]);
+  }
+  if (!byMonth.size) return [];
+
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [month, passed] of byMonth) {
+    const file = path.join(dir, `${month}.json`);
+    const merged = new Map(
+      (readJsonFile(file)?.events || []).map((ev) => [
+        ev.id || eventKey(ev),
+        ev,
+      ]),
+    );
+    // Latest scrape wins (e.g. a late "sold out" or corrected title)
+    for (const ev of passed) merged.set(ev.id || eventKey(ev), ev);
+    const list = [...merged.values()].sort(
+      (a, b) => Date.parse(a.start) - Date.parse(b.start),
+    );
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ month, events: list }, null, 2),
+      "utf8",
+    );
+  }
+  writeArchiveIndex(dir, nowMs);
+  return [...byMonth.keys()].sort();
+}
+
+const byVenueName = (a, b) =>
+  (a.venue || a.source || "").localeCompare(b.venue || b.source || "");
+
+function writeArchiveIndex(dir, nowMs = now().valueOf()) {
+  const months = fs
+    .readdirSync(dir)
+    .map((f) => f.replace(/\.json$/, ""))
+    .filter((m) => ARCHIVE_MONTH_RE.test(m))
+    .sort()
+    .reverse()
+    .map((month) => {
+      const events =
+        readJsonFile(path.join(dir, `${month}.json`))?.events || [];
+      const venues = {};
+      for (const ev of [...events].sort(byVenueName)) {
+        const v = ev.venue || ev.source || "Unknown";
+        venues[v] = (venues[v] || 0) + 1;
       }
-    } catch {
-      log("[warn] Skipped cached merge (existing events file not valid JSON)");
+      return { month, count: events.length, venues };
+    });
+  fs.writeFileSync(
+    path.join(dir, "index.json"),
+    JSON.stringify(
+      { generatedAt: new Date(nowMs).toISOString(), months },
+      null,
+      2,
+    ),
+    "utf8",
+  );
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Per-event enrichment + cross-source merging (no cache merge). Options are
+ * passed to deduplicateEvents.
+ */
+function normaliseScraped(events, dedupe = {}) {
+  // Venue dataset: canonical name, venueId, coordinates, free-by-default policy
+  const out = events.map((ev) => {
+    const known = ev.venueId
+      ? VENUES.byId.get(ev.venueId)
+      : VENUES.find(ev.venue, ev.source);
+    const at = eventCoords(ev, known);
+    const unpriced =
+      !ev.priceText &&
+      !ev.priceTiers?.length &&
+      !ev.soldOut &&
+      !(ev.tickets || []).some((t) => !/facebook\.com\//i.test(t.url || ""));
+    return {
+      ...ev,
+      ...(known && { venue: known.name }),
+      venueId: known?.id ?? null,
+      type: detectEventType(ev.title || "", ev.description || ""),
+      lat: at?.lat ?? null,
+      lon: at?.lon ?? null,
+      distance: getDistance(HULL_CENTER, at),
+      ...(known?.defaultFree && unpriced && { freeEntry: true }),
+    };
+  });
+
+  return assignEventIds(deduplicateEvents(out, dedupe));
+}
+
+// Sort: by distance (closer first), then by date (earlier first)
+function compareEvents(a, b) {
+  // Primary: sort by distance (null distances go last)
+  const distA = a.distance ?? Infinity;
+  const distB = b.distance ?? Infinity;
+  if (distA !== distB) return distA - distB;
+
+  // Secondary: sort by date (undated last)
+  const ta = Date.parse(a?.start || "");
+  const tb = Date.parse(b?.start || "");
+  const aValid = Number.isFinite(ta);
+  const bValid = Number.isFinite(tb);
+  if (!aValid && !bValid) return 0;
+  if (!aValid) return 1;
+  if (!bValid) return -1;
+  return ta - tb;
+}
+
+// Keep now-and-future events; preserve undated events
+function keepFuture(events, nowMs = now().valueOf()) {
+  return events.filter((ev) => {
+    const t = Date.parse(ev.start || "");
+    return Number.isNaN(t) ? true : t >= nowMs;
+  });
+}
+
+/* ------------------------------ Commands ---------------------------- */
+async function cmdScrape(opts) {
+  log("[start] hull scrapers");
+  const startedAt = new Date().toISOString();
+
+  const registry = loadVenueRegistry();
+  const selected = selectVenues(registry, opts);
+  log(
+    `[cfg] venues (${selected.length}/${registry.length}):`,
+    selected.map((v) => v.id).join(", "),
+  );
+
+  const scraped = await scrapeVenues(selected);
+  const merges = [];
+  let events = normaliseScraped(scraped.events, { registry, merges });
+  if (merges.length) log(`[info] Merged ${merges.length} duplicate listings`);
+  const unplaced = [
+    ...new Set(
+      events.filter((ev) => ev.lat == null).map((ev) => ev.address || ev.venue),
+    ),
+  ];
+  if (unplaced.length) {
+    log(
+      `[warn] No coordinates for: ${unplaced.join("; ")} (no postcode in public/hu-postcodes.json; see geocode-overrides.json)`,
+    );
+  }
+
+  // Merge with existing events from previous runs (keeps events we did not re-scrape)
+  // We handle a missing/empty file quietly and only merge when valid cached JSON exists.
+  const existingData = readEventsFile(opts.out);
+  const previousStatus = readJsonFile(opts.status);
+  if (existingData === null && fs.existsSync(opts.out)) {
+    log("[warn] Skipped cached merge (existing events file not valid JSON)");
+  }
+  if (existingData?.length) {
+    const fresh = events.length;
+    const merged = mergeCachedEvents(events, existingData, { registry });
+    if (merged.kept) {
+      events = merged.events;
+      log(
+        `[info] Merged ${merged.kept} cached events with ${fresh} newly scraped events`,
+      );
     }
+  }
 
-    // Sort: by distance (closer first), then by date (earlier first)
-    events.sort((a, b) => {
-      // Primary: sort by distance (null distances go last)
-      const distA = a.distance ?? Infinity;
-      const distB = b.distance ?? Infinity;
-      if (distA !== distB) return distA - distB;
-
-      // Secondary: sort by date (undated last)
-      const ta = Date.parse(a?.start || "");
-      const tb = Date.parse(b?.start || "");
-      const aValid = Number.isFinite(ta);
-      const bValid = Number.isFinite(tb);
-      if (!aValid && !bValid) return 0;
-      if (!aValid) return 1;
-      if (!bValid) return -1;
-      return ta - tb;
-    });
+  // Anomaly guard: a venue that collapsed against its recent history keeps its
+  // previous events (marked stale) rather than publishing the shrunken list
+  const collapsed = findCollapsedVenues(
+    scraped.health,
+    previousStatus,
+    registry,
+  );
+  for (const c of collapsed) {
+    log(
+      `[warn] ${c.id}: ${c.events} events vs usual ${c.baseline} — keeping previous events (stale)`,
+    );
+    Object.assign(
+      scraped.health.find((h) => h.id === c.id),
+      { stale: true, baseline: c.baseline },
+    );
+  }
+  events = keepStaleVenues(
+    events,
+    existingData,
+    collapsed.map((c) => registry.find((v) => v.id === c.id)),
+    startedAt,
+  );
+  // Events cached from runs before ids existed
+  events = assignEventIds(events);
+  const clashes = duplicateIds(events);
+  if (clashes.length) {
+    throw new Error(`duplicate event ids: ${clashes.join(", ")}`);
+  }
 
-    // Keep now-and-future events; preserve undated events
-    const nowMs = Date.now();
-    const futureEvents = events.filter((ev) => {
-      const t = Date.parse(ev.start || "");
-      return Number.isNaN(t) ? true : t >= nowMs;
-    });
+  events.sort(compareEvents);
+  const futureEvents = keepFuture(events);
+
+  // Passed events leave events.json here; keep them in the monthly archive
+  const archived = archivePastEvents(events, opts.archive);
+  if (archived.length) {
+    log(
+      `[ok] Archived past events into ${opts.archive} (${archived.join(", ")})`,
+    );
+  }
+
+  // Summary logging
+  const venues = Array.from(new Set(events.map((e) => e.venue))).sort();
+  const datedEvents = events.filter((e) => e.start).length;
+  const undatedEvents = events.length - datedEvents;
+
+  log(`[ok] Processing complete`);
+  log(
+    `[info] Total events: ${events.length} (${datedEvents} dated, ${undatedEvents} undated)`,
+  );
+  log(`[info] Deduped: ${events.length} unique`);
+  log(`[info] Future events: ${futureEvents.length}`);
+  log(`[info] Venues: ${venues.length} unique`);
+  log(`[info] Venue list: ${venues.join(", ")}`);
+
+  // Diff what is about to be published (merged, deduplicated, ids checked)
+  // against what we published last time, ignoring events that have simply
+  // passed, before overwriting it
+  const changedAt = now().toISOString();
+  const changes = existingData
+    ? buildChangeLog(
+        keepFuture(assignEventIds(existingData)),
+        futureEvents,
+        changedAt,
+      )
+    : [];
+  const counts = changes.reduce(
+    (m, c) => ({ ...m, [c.type]: (m[c.type] || 0) + 1 }),
+    {},
+  );
+  log(
+    `[info] Changes since last run: ${
+      Object.entries(counts)
+        .map(([type, n]) => `${type} ${n}`)
+        .join(", ") || "none"
+    }`,
+  );
+
+  // Write outputs with explicit UTF-8 encoding (fixes Windows/PowerShell issues)
+  writeOutputs(futureEvents, opts);
+  fs.writeFileSync(
+    opts.changes,
+    JSON.stringify(
+      appendChangeLog(readJsonFile(opts.changes), changes, changedAt),
+      null,
+      2,
+    ),
+    "utf8",
+  );
+  log(`[ok] Written ${opts.changes}`);
+
+  const status = buildStatusReport(scraped.health, previousStatus, {
+    registry,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    totalEvents: futureEvents.length,
+    merges,
+  });
+  fs.writeFileSync(opts.status, JSON.stringify(status, null, 2), "utf8");
+  log(`[ok] Written ${opts.status}`);
+  for (const h of scraped.health.filter((h) => h.status !== "ok")) {
+    log(`[warn] ${h.id}: ${h.status}${h.error ? ` (${h.error})` : ""}`);
+  }
 
-    // Summary logging
-    const venues = Array.from(new Set(events.map((e) => e.venue))).sort();
-    const datedEvents = events.filter((e) => e.start).length;
-    const undatedEvents = events.length - datedEvents;
+  const pruned = httpCache?.prune(HTTP_CACHE_KEEP_MS);
+  if (pruned) log(`[info] HTTP cache: dropped ${pruned} unused pages`);
+  if (detailRecords) {
+    const { crawled, reused } = detailRecords.stats;
+    detailRecords.save(detailRecordsFile, HTTP_CACHE_KEEP_MS);
+    log(`[info] Detail pages: ${crawled} crawled, ${reused} reused`);
+  }
+  if (geocodeCacheFile) GEOCODER.save(geocodeCacheFile);
 
-    log(`[ok] Processing complete`);
+  // Also output to stdout for server.js compatibility
+  process.stdout.write(JSON.stringify(futureEvents, null, 2));
+
+  if (collapsed.length) {
     log(
-      `[info] Total events: ${events.length} (${datedEvents} dated, ${undatedEvents} undated)`,
+      `[warn] Published with stale venues: ${collapsed.map((c) => c.id).join(", ")}`,
+    );
+    process.exitCode = EXIT_STALE;
+  }
+}
+
+function writeOutputs(events, { out, ics }) {
+  if (out) {
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(events, null, 2), "utf8");
+    log(`[ok] Written ${out}`);
+  }
+  if (ics) {
+    fs.mkdirSync(path.dirname(ics), { recursive: true });
+    fs.writeFileSync(ics, generateCalendarFile(events), "utf8");
+    log(`[ok] Written ${ics}`);
+  }
+}
+
+function cmdListVenues(opts) {
+  const registry = loadVenueRegistry();
+  if (opts.json) {
+    process.stdout.write(JSON.stringify(registry, null, 2) + "\n");
+    return;
+  }
+  const idWidth = Math.max(...registry.map((v) => v.id.length));
+  for (const v of registry) {
+    const flag = v.enabled === false ? "off" : "on ";
+    console.log(
+      `${v.id.padEnd(idWidth)}  ${flag}  ${v.adapter.padEnd(9)}  ${v.name}`,
     );
-    log(`[info] Deduped: ${events.length} unique`);
-    log(`[info] Future events: ${futureEvents.length}`);
-    log(`[info] Venues: ${venues.length} unique`);
-    log(`[info] Venue list: ${venues.join(", ")}`);
+  }
+}
+
+// Identity used to line up a venue's fresh events with the published ones
+const eventKey = (ev) =>
+  ev.url && !/^https?:\/\/[^/]+\/?$/i.test(ev.url)
+    ? `${ev.url}|${ev.start ? dayjs(ev.start).tz(TZ).format("YYYY-MM-DD") : ""}`
+    : `${(ev.title || "").toLowerCase()}|${ev.start || ""}`;
+
+const DIFF_FIELDS = [
+  "title",
+  "start",
+  "end",
+  "priceText",
+  "soldOut",
+  "freeEntry",
+];
+
+function diffEvents(before, after) {
+  const prev = new Map(before.map((ev) => [eventKey(ev), ev]));
+  const next = new Map(after.map((ev) => [eventKey(ev), ev]));
+
+  const added = after.filter((ev) => !prev.has(eventKey(ev)));
+  const removed = before.filter((ev) => !next.has(eventKey(ev)));
+  const changed = [];
+  for (const [key, ev] of next) {
+    const old = prev.get(key);
+    if (!old) continue;
+    const fields = DIFF_FIELDS.filter(
+      (f) => JSON.stringify(old[f] ?? null) !== JSON.stringify(ev[f] ?? null),
+    ).map((f) => ({ field: f, from: old[f] ?? null, to: ev[f] ?? null }));
+    if (fields.length) changed.push({ title: ev.title, url: ev.url, fields });
+  }
+  return { added, removed, changed };
+}
 
-    // Generate calendar file
-    const calendarContent = generateCalendarFile(futureEvents);
+const describeEvent = (ev) =>
+  `${ev.displayDateTime24 || ev.displayTime24 || "undated".padEnd(16)}  ${ev.title}${ev.priceText ? `  [${ev.priceText}]` : ""}`;
 
-    // Write outputs with explicit UTF-8 encoding (fixes Windows/PowerShell issues)
-    const publicDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "public");
-    const eventsJsonPath = path.join(publicDir, "events.json");
-    const eventsIcsPath = path.join(publicDir, "events.ics");
+async function cmdDryRun(opts, [venueId]) {
+  if (!venueId) throw usageError("dry-run needs a venue id (see list-venues)");
+  const registry = loadVenueRegistry();
+  const [venue] = selectVenues(registry, { only: [venueId] });
 
-    fs.writeFileSync(eventsJsonPath, JSON.stringify(futureEvents, null, 2), "utf8");
-    fs.writeFileSync(eventsIcsPath, calendarContent, "utf8");
+  const { events: scraped } = await scrapeVenues([venue]);
+  const events = keepFuture(normaliseScraped(scraped, { registry })).sort(
+    compareEvents,
+  );
+  const published = (readEventsFile(opts.in) || []).filter(
+    (ev) => ev.venue === events[0]?.venue || ev.venue === venue.name,
+  );
+  const diff = diffEvents(published, events);
+
+  if (opts.json) {
+    process.stdout.write(JSON.stringify({ events, diff }, null, 2) + "\n");
+    return;
+  }
+
+  console.log(`${venue.name}: ${events.length} events parsed`);
+  for (const ev of events) console.log(`  ${describeEvent(ev)}`);
+  console.log(
+    `\nvs ${opts.in}: +${diff.added.length} -${diff.removed.length} ~${diff.changed.length}`,
+  );
+  for (const ev of diff.added) console.log(`  + ${describeEvent(ev)}`);
+  for (const ev of diff.removed) console.log(`  - ${describeEvent(ev)}`);
+  for (const c of diff.changed) {
+    console.log(`  ~ ${c.title}`);
+    for (const f of c.fields) {
+      console.log(
+        `      ${f.field}: ${JSON.stringify(f.from)} → ${JSON.stringify(f.to)}`,
+      );
+    }
+  }
+}
+
+/** Structural checks on an events.json; returns { errors, warnings }. */
+function validateEvents(data) {
+  const errors = [];
+  const warnings = [];
+  if (!Array.isArray(data)) {
+    errors.push("top level is not an array");
+    return { errors, warnings };
+  }
+
+  const isISO = (v) => typeof v === "string" && Number.isFinite(Date.parse(v));
+  const seen = new Map();
+  const ids = new Map();
+  const nowMs = now().valueOf();
+
+  data.forEach((ev, i) => {
+    const at = `#${i} ${JSON.stringify(ev?.title ?? "").slice(0, 60)}`;
+    if (!ev || typeof ev !== "object" || Array.isArray(ev)) {
+      errors.push(`${at}: not an object`);
+      return;
+    }
+    if (!normalizeWhitespace(ev.title || "")) errors.push(`${at}: empty title`);
+    if (!normalizeWhitespace(ev.venue || "")) errors.push(`${at}: empty venue`);
+    if (ev.start != null && !isISO(ev.start)) {
+      errors.push(`${at}: start is not a valid date (${ev.start})`);
+    }
+    if (ev.end != null && !isISO(ev.end)) {
+      errors.push(`${at}: end is not a valid date (${ev.end})`);
+    }
+    if (
+      isISO(ev.start) &&
+      isISO(ev.end) &&
+      Date.parse(ev.end) < Date.parse(ev.start)
+    ) {
+      errors.push(`${at}: end is before start`);
+    }
+    if (!Array.isArray(ev.tickets)) {
+      errors.push(`${at}: tickets is not an array`);
+    } else if (ev.tickets.some((t) => !/^https?:\/\//i.test(t?.url || ""))) {
+      errors.push(`${at}: ticket without an http(s) url`);
+    }
+    if (ev.url && !/^https?:\/\//i.test(ev.url)) {
+      warnings.push(`${at}: url is not absolute (${ev.url})`);
+    }
+    if (!ev.start) warnings.push(`${at}: undated`);
+    else if (Date.parse(ev.start) < nowMs - 24 * 3600 * 1000) {
+      warnings.push(`${at}: starts in the past (${ev.start})`);
+    }
+
+    if (ev.id != null && ids.has(ev.id)) {
+      errors.push(`${at}: id ${ev.id} also used by #${ids.get(ev.id)}`);
+    } else if (ev.id != null) ids.set(ev.id, i);
+
+    const key = `${(ev.title || "").toLowerCase()}|${ev.start || ""}|${(ev.venue || "").toLowerCase()}`;
+    if (seen.has(key)) warnings.push(`${at}: duplicate of #${seen.get(key)}`);
+    else seen.set(key, i);
+  });
+
+  return { errors, warnings };
+}
+
+function cmdValidate(opts) {
+  const raw = fs.readFileSync(opts.in, "utf8");
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${opts.in}: invalid JSON (${e.message})`);
+  }
+
+  const { errors, warnings } = validateEvents(data);
+  for (const w of warnings) console.log(`[warn] ${w}`);
+  for (const e of errors) console.log(`[err] ${e}`);
+  console.log(
+    `${opts.in}: ${Array.isArray(data) ? data.length : 0} events, ${errors.length} errors, ${warnings.length} warnings`,
+  );
+  if (errors.length) process.exitCode = 1;
+}
+
+function cmdIcs(opts) {
+  const events = readEventsFile(opts.in);
+  if (!events) throw new Error(`${opts.in}: missing or not an events array`);
+  writeOutputs(events, { ics: opts.ics });
+}
+
+/**
+ * Rebuild public/hu-postcodes.json from an ONS Postcode Directory CSV (the
+ * whole-UK file or its HU part), streamed so the full file fits in memory.
+ */
+async function cmdPostcodes(opts, [file]) {
+  if (!file) {
+    throw new Error("postcodes needs an ONSPD CSV, e.g. ONSPD_NOV_2025_UK.csv");
+  }
+  const parser = createCsvParser();
+  const rows = [];
+  let header = null;
+  const keep = (records) => {
+    for (const r of records) {
+      if (!header) {
+        header = r.map((h) => h.trim().toLowerCase());
+        if (!header.includes("pcds") || !header.includes("lat")) {
+          throw new Error(`${file}: not an ONSPD CSV (no pcds/lat columns)`);
+        }
+        continue;
+      }
+      if (!/^HU\d/i.test(r[header.indexOf("pcds")] || "")) continue;
+      rows.push(Object.fromEntries(header.map((h, i) => [h, r[i]])));
+    }
+  };
+  for await (const chunk of fs.createReadStream(file, "utf8")) {
+    keep(parser.write(chunk));
+  }
+  keep(parser.end());
+
+  const dataset = postcodesFromOnspd(rows, {
+    release: path.basename(file, path.extname(file)),
+  });
+  fs.writeFileSync(GEOCODE_DATA_PATH, JSON.stringify(dataset) + "\n");
+  log(
+    `[ok] Written ${GEOCODE_DATA_PATH} (${Object.keys(dataset.postcodes).length} postcodes, ${dataset.release})`,
+  );
+}
+
+const COMMANDS = {
+  scrape: cmdScrape,
+  "list-venues": cmdListVenues,
+  "dry-run": cmdDryRun,
+  validate: cmdValidate,
+  ics: cmdIcs,
+  postcodes: cmdPostcodes,
+};
+
+const USAGE = `Usage: node scrape-hull-venues.js [command] [options]
+
+Commands:
+  scrape               Scrape venues, write events.json + events.ics (default)
+  list-venues          Show the venue registry
+  dry-run <venue-id>   Scrape one venue, print events + diff vs events.json; writes
+                       nothing (no HTTP cache or detail records either)
+  validate             Check an existing events.json
+  ics                  Regenerate events.ics from events.json
+  postcodes <onspd>    Rebuild public/hu-postcodes.json from an ONSPD CSV
+
+Options:
+  --only <ids>         Comma-separated venue ids to run (scrape)
+  --skip <ids>         Comma-separated venue ids to leave out (scrape)
+  --out <file>         events.json to write (default public/events.json)
+  --ics <file>         events.ics to write (default public/events.ics)
+  --in <file>          events.json to read (default: --out)
+  --status <file>      Run health report to write (default status.json beside --out)
+  --changes <file>     Change log to update (default changes.json beside --out)
+  --archive <dir>      Monthly past-events archive (default archive/ beside --out)
+  --json               Machine-readable output (list-venues, dry-run)
+  --record <dir>       Save every HTTP response to <dir> (keyed by URL)
+  --replay <dir>       Serve HTTP responses from <dir>; no network access
+  --cache <dir>        On-disk HTTP cache (default .cache/http)
+  --no-cache           Fetch everything fresh: no HTTP cache, no reused detail pages
+  -h, --help           Show this help
+
+Exit codes:
+  0  ok
+  1  crashed
+  2  bad usage
+  3  scrape published, but some venues collapsed and kept their previous
+     events (marked "stale"; see status.json)
+`;
+
+async function main(argv = process.argv.slice(2)) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        only: { type: "string", multiple: true },
+        skip: { type: "string", multiple: true },
+        out: { type: "string" },
+        ics: { type: "string" },
+        in: { type: "string" },
+        status: { type: "string" },
+        changes: { type: "string" },
+        archive: { type: "string" },
+        json: { type: "boolean" },
+        record: { type: "string" },
+        replay: { type: "string" },
+        cache: { type: "string" },
+        "no-cache": { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+
+    const [name = "scrape", ...rest] = positionals;
+    const command = COMMANDS[name];
+    if (values.help || !command) {
+      if (!values.help) console.error(`Unknown command: ${name}\n`);
+      process.stdout.write(USAGE);
+      if (!values.help) process.exitCode = 2;
+      return;
+    }
+
+    const out = path.resolve(values.out || DEFAULT_JSON_PATH);
+    const opts = {
+      only: values.only || process.env.ONLY_VENUES,
+      skip: values.skip || process.env.SKIP_VENUES,
+      out,
+      ics: path.resolve(values.ics || DEFAULT_ICS_PATH),
+      in: path.resolve(values.in || out),
+      status: path.resolve(
+        values.status || path.join(path.dirname(out), STATUS_FILE),
+      ),
+      changes: path.resolve(
+        values.changes || path.join(path.dirname(out), CHANGES_FILE),
+      ),
+      archive: path.resolve(
+        values.archive || path.join(path.dirname(out), ARCHIVE_DIR),
+      ),
+      json: !!values.json,
+    };
 
-    log(`[ok] Written ${eventsJsonPath}`);
-    log(`[ok] Written ${eventsIcsPath}`);
+    configureHttpFixtures({
+      record: values.record || process.env.HTTP_RECORD_DIR,
+      replay: values.replay || process.env.HTTP_REPLAY_DIR,
+    });
+    // Only scrape keeps caches: dry-run promises to write nothing (so it crawls
+    // fresh like --no-cache), and the other commands don't crawl
+    const caching =
+      name === "scrape" &&
+      !values["no-cache"] &&
+      !values.record &&
+      !values.replay;
+    configureHttpCache(
+      caching &&
+        (values.cache || process.env.HTTP_CACHE_DIR || DEFAULT_CACHE_DIR),
+    );
+    configureDetailRecords(
+      caching &&
+        (process.env.DETAIL_RECORDS_FILE || DEFAULT_DETAIL_RECORDS_PATH),
+    );
+    configureGeocodeCache(
+      caching && (process.env.GEOCODE_CACHE_FILE || DEFAULT_GEOCODE_CACHE_PATH),
+    );
 
-    // Also output to stdout for server.js compatibility
-    process.stdout.write(JSON.stringify(futureEvents, null, 2));
+    await command(opts, rest);
   } catch (e) {
+    if (e?.code === "ERR_USAGE" || e?.code?.startsWith("ERR_PARSE_ARGS_")) {
+      console.error(`${e.message}\n`);
+      process.stdout.write(USAGE);
+      process.exitCode = 2;
+      return;
+    }
     console.error("[fatal] Scraper crashed:", e.message);
     process.exit(1);
   }
 }
 
-main();
+// Run as a CLI; stay side-effect free when imported (tests, tooling)
+const isEntryPoint =
+  !!process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url);
+if (isEntryPoint) main();
+
+export {
+  main,
+  buildEvent,
+  parseCSV,
+  generateCalendarFile,
+  loadVenueRegistry,
+  selectVenues,
+  venueTask,
+  configureHttpFixtures,
+  configureHttpCache,
+  configureDetailRecords,
+  normaliseScraped,
+  validateEvents,
+  diffEvents,
+  assignEventIds,
+  mergeCachedEvents,
+  buildChangeLog,
+  appendChangeLog,
+  archivePastEvents,
+  scrapeVenues,
+  buildStatusReport,
+  findCollapsedVenues,
+  keepStaleVenues,
+  scrapeCsvVenue,
+  scrapeJsonLdVenue,
+  scrapeTribeVenue,
+  scrapeIcalVenue,
+  scrapeSkiddleVenue,
+  scrapeUntappdVenue,
+  scrapeDesignMyNightVenue,
+  recurringEvents,
+  scrapePolarBear,
+  scrapeAdelphi,
+  scrapeWelly,
+  scrapeMollyMangans,
+  scrapeUnionMashUp,
+  scrapePaveBar,
+};
@@ -47,6 +47,15 @@ const runExecFile = (file, args, options) =>
 
 const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// Scraper exit code: output was published, but some venues kept stale events
+const SCRAPER_EXIT_STALE = 3;
+
+// A cold run (empty HTTP cache, paced per host) can outlast any fixed limit,
+// so the scraper gets a request budget that leaves it time to finish and
+// write its output before execFile kills it
+const SCRAPE_TIMEOUT_MS = 90_000;
+const SCRAPE_BUDGET_MS = SCRAPE_TIMEOUT_MS - 15_000;
+
 // Run scraper with retry logic for resilience
 function runScraper(maxRetries = 2) {
   if (scrapeInFlight) return scrapeInFlight;
@@ -59,11 +68,20 @@ function runScraper(maxRetries = 2) {
           {
             cwd: __dirname,
             windowsHide: true,
-            env: { ...process.env },
+            env: {
+              SCRAPE_BUDGET_MS: String(SCRAPE_BUDGET_MS),
+              ...process.env,
+            },
             maxBuffer: 10 * 1024 * 1024,
-            timeout: 90_000,
+            timeout: SCRAPE_TIMEOUT_MS,
           },
-        );
+        ).catch((failure) => {
+          if (failure?.err?.code !== SCRAPER_EXIT_STALE) throw failure;
+          console.warn(
+            "[scrape] some venues kept stale events (see /api/status)",
+          );
+          return failure;
+        });
 
         if (stderr) console.error("[scrape] stderr:", stderr.trim());
 
@@ -145,7 +163,7 @@ app.use((req, res, next) => {
   res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
   res.setHeader(
     "Permissions-Policy",
-    "geolocation=(), microphone=(), camera=()",
+    "geolocation=(self), microphone=(), camera=()",
   );
   next();
 });
@@ -196,6 +214,69 @@ app.get("/healthz", (_req, res) => {
   });
 });
 
+// Latest scraper run report (per-venue status, counts, HTTP codes, errors)
+app.get("/api/status", async (_req, res) => {
+  const statusPath = path.join(__dirname, "public", "status.json");
+  if (!existsSync(statusPath)) {
+    return res
+      .status(404)
+      .json({ ok: false, error: "no scrape report yet — run the scraper" });
+  }
+  try {
+    const report = JSON.parse(await readFile(statusPath, "utf8"));
+    res.setHeader("Cache-Control", "no-cache");
+    res.json({ ok: true, ...report });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: `status.json: ${e.message}` });
+  }
+});
+
+// Past events, one file per month (written by the scraper as events pass)
+const ARCHIVE_DIR = path.join(__dirname, "public", "archive");
+
+app.get("/api/archive", async (_req, res) => {
+  const indexPath = path.join(ARCHIVE_DIR, "index.json");
+  if (!existsSync(indexPath)) {
+    return res.json({ ok: true, months: [] });
+  }
+  try {
+    res.json({ ok: true, ...JSON.parse(await readFile(indexPath, "utf8")) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: `archive index: ${e.message}` });
+  }
+});
+
+// /api/archive/2026-03?venue=adelphi — venue is a case-insensitive substring
+app.get("/api/archive/:month", async (req, res) => {
+  const { month } = req.params;
+  if (!/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({ ok: false, error: "month must be YYYY-MM" });
+  }
+  const monthPath = path.join(ARCHIVE_DIR, `${month}.json`);
+  if (!existsSync(monthPath)) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `no archive for ${month}` });
+  }
+  try {
+    const { events = [] } = JSON.parse(await readFile(monthPath, "utf8"));
+    const venue = String(req.query.venue || "")
+      .toLowerCase()
+      .trim();
+    const matches = venue
+      ? events.filter((ev) =>
+          `${ev.venue || ""} ${ev.source || ""}`.toLowerCase().includes(venue),
+        )
+      : events;
+    res.setHeader("Cache-Control", "public, max-age=300");
+    res.json({ ok: true, month, count: matches.length, events: matches });
+  } catch (e) {
+    res
+      .status(500)
+      .json({ ok: false, error: `archive ${month}: ${e.message}` });
+  }
+});
+
 // Manual refresh (protected)
 const ADMIN_KEY = process.env.ADMIN_KEY || "";
 app.post("/api/refresh", async (req, res) => {
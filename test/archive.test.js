@@ -0,0 +1,75 @@
+// test/archive.test.js — monthly past-events archive
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+
+process.env.SCRAPE_QUIET = "1";
+
+const { archivePastEvents } = await import("../scrape-hull-venues.js");
+
+const NOW = Date.parse("2026-04-02T12:00:00Z");
+const tmpDirs = [];
+const tmpDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-archive-"));
+  tmpDirs.push(dir);
+  return dir;
+};
+after(() =>
+  tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })),
+);
+
+const read = (dir, name) =>
+  JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+
+describe("archivePastEvents", () => {
+  it("files passed events by London month and indexes them", () => {
+    const dir = tmpDir();
+    const months = archivePastEvents(
+      [
+        // 23:30 UTC on 31 March is 00:30 on 1 April in London
+        { id: "a", venue: "Adelphi", start: "2026-03-31T23:30:00Z" },
+        { id: "b", venue: "Welly", start: "2026-03-14T20:00:00Z", stale: true },
+        { id: "c", venue: "Adelphi", start: "2026-03-06T20:00:00Z" },
+        { id: "future", venue: "Adelphi", start: "2026-04-03T20:00:00Z" },
+        { id: "undated", venue: "Adelphi" },
+        { id: "epoch", venue: "Gardeners", start: "1970-01-01T00:00:00Z" },
+      ],
+      dir,
+      NOW,
+    );
+
+    assert.deepEqual(months, ["2026-03", "2026-04"]);
+    const march = read(dir, "2026-03.json");
+    assert.deepEqual(
+      march.events.map((e) => e.id),
+      ["c", "b"],
+    );
+    assert.equal(march.events[1].stale, undefined);
+    const index = read(dir, "index.json");
+    assert.equal(index.generatedAt, "2026-04-02T12:00:00.000Z");
+    assert.deepEqual(index.months, [
+      { month: "2026-04", count: 1, venues: { Adelphi: 1 } },
+      { month: "2026-03", count: 2, venues: { Adelphi: 1, Welly: 1 } },
+    ]);
+  });
+
+  it("merges with what is already archived; the latest copy wins", () => {
+    const dir = tmpDir();
+    const start = "2026-03-06T20:00:00Z";
+    archivePastEvents([{ id: "c", title: "Old", start }], dir, NOW);
+    archivePastEvents(
+      [
+        { id: "c", title: "New", start },
+        { id: "d", title: "Other", start },
+      ],
+      dir,
+      NOW,
+    );
+    assert.deepEqual(
+      read(dir, "2026-03.json").events.map((e) => `${e.id}:${e.title}`),
+      ["c:New", "d:Other"],
+    );
+  });
+});
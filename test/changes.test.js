@@ -0,0 +1,123 @@
+// test/changes.test.js — change log between runs
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+process.env.SCRAPE_QUIET = "1";
+
+const { appendChangeLog, assignEventIds, buildChangeLog, mergeCachedEvents } =
+  await import("../scrape-hull-venues.js");
+
+const AT = "2026-03-01T06:00:00.000Z";
+const ev = (id, start, extra = {}) => ({
+  id,
+  start,
+  venue: "Adelphi",
+  title: id,
+  ...extra,
+});
+const summary = (changes) =>
+  changes.map((c) => [c.type, c.id, c.from, c.to].filter((x) => x != null));
+
+describe("buildChangeLog", () => {
+  it("reports field transitions on events that kept their id", () => {
+    const before = [
+      ev("adelphi-20260306-aaaaaaaa", "2026-03-06T20:00:00Z", {
+        priceText: "£8",
+      }),
+      ev("adelphi-20260307-bbbbbbbb", "2026-03-07T20:00:00Z"),
+      ev("adelphi-20260308-cccccccc", "2026-03-08T20:00:00Z"),
+    ];
+    const after = [
+      { ...before[0], start: "2026-03-06T19:30:00Z", priceText: "£10" },
+      { ...before[1], soldOut: true },
+      { ...before[2], title: "Roving Crows (POSTPONED)" },
+    ];
+    assert.deepEqual(summary(buildChangeLog(before, after, AT)), [
+      [
+        "time",
+        "adelphi-20260306-aaaaaaaa",
+        "2026-03-06T20:00:00Z",
+        "2026-03-06T19:30:00Z",
+      ],
+      ["price", "adelphi-20260306-aaaaaaaa", "£8", "£10"],
+      ["soldOut", "adelphi-20260307-bbbbbbbb", false, true],
+      ["postponed", "adelphi-20260308-cccccccc", false, true],
+    ]);
+  });
+
+  it("replaces the old entry when a URL-less event changes time", () => {
+    const hoi = (start) => ({
+      source: "Hoi",
+      venue: "Hoi",
+      title: "Hoi Karaoke",
+      start,
+      url: "",
+    });
+    const before = assignEventIds([hoi("2026-03-11T20:00:00.000Z")]);
+    const fresh = assignEventIds([hoi("2026-03-11T21:00:00.000Z")]);
+    const published = assignEventIds(mergeCachedEvents(fresh, before).events);
+
+    assert.deepEqual(
+      published.map((e) => e.start),
+      ["2026-03-11T21:00:00.000Z"],
+    );
+    assert.deepEqual(summary(buildChangeLog(before, published, AT)), [
+      [
+        "time",
+        before[0].id,
+        "2026-03-11T20:00:00.000Z",
+        "2026-03-11T21:00:00.000Z",
+      ],
+    ]);
+    assert.throws(
+      () => buildChangeLog(before, [...published, ...before], AT),
+      /duplicate event ids/,
+    );
+  });
+
+  it("pairs a vanished and a new listing with the same hash as a date change", () => {
+    const before = [
+      ev("adelphi-20260306-aaaaaaaa", "2026-03-06T20:00:00Z"),
+      ev("adelphi-20260310-dddddddd", "2026-03-10T20:00:00Z"),
+    ];
+    const after = [
+      ev("adelphi-20260313-aaaaaaaa", "2026-03-13T20:00:00Z"),
+      ev("adelphi-20260320-eeeeeeee", "2026-03-20T20:00:00Z"),
+    ];
+    const changes = buildChangeLog(before, after, AT);
+    assert.deepEqual(summary(changes), [
+      [
+        "rescheduled",
+        "adelphi-20260313-aaaaaaaa",
+        "2026-03-06T20:00:00Z",
+        "2026-03-13T20:00:00Z",
+      ],
+      ["added", "adelphi-20260320-eeeeeeee"],
+      ["removed", "adelphi-20260310-dddddddd"],
+    ]);
+    assert.equal(changes[0].was, "adelphi-20260306-aaaaaaaa");
+    assert.ok(changes.every((c) => c.at === AT && c.venue === "Adelphi"));
+  });
+});
+
+describe("appendChangeLog", () => {
+  it("puts the newest run first and drops entries older than 30 days", () => {
+    const old = {
+      changes: [
+        { at: "2026-02-20T06:00:00.000Z", type: "added", id: "recent" },
+        { at: "2026-01-20T06:00:00.000Z", type: "added", id: "expired" },
+      ],
+    };
+    const log = appendChangeLog(
+      old,
+      [{ at: AT, type: "removed", id: "x" }],
+      AT,
+    );
+    assert.equal(log.generatedAt, AT);
+    assert.deepEqual(
+      log.changes.map((c) => c.id),
+      ["x", "recent"],
+    );
+    assert.deepEqual(appendChangeLog(null, [], AT).changes, []);
+  });
+});
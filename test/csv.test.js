@@ -0,0 +1,176 @@
+// test/csv.test.js — RFC 4180 sheet parsing (lib/csv.js, adapter "csv")
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { CsvError, createCsvParser, csvTable, parseCsv } from "../lib/csv.js";
+import { matchSheetColumns } from "../lib/sheet-schema.js";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const HTTP_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "http",
+);
+const { configureHttpFixtures, scrapeCsvVenue, scrapeVenues } =
+  await import("../scrape-hull-venues.js");
+
+const SHEET =
+  "\uFEFFDate,Event,Notes\r\n" +
+  '14/03/2026,"Folk, Live","Line-up:\r\nThe Humber Keels\r\nAda ""Al"" Lowe"\r\n' +
+  "21/03/2026,Quiz,\r\n";
+
+describe("createCsvParser", () => {
+  it("keeps quoted commas, quotes and line breaks in one cell", () => {
+    const { records, errors } = parseCsv(SHEET);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(records, [
+      ["Date", "Event", "Notes"],
+      ["14/03/2026", "Folk, Live", 'Line-up:\nThe Humber Keels\nAda "Al" Lowe'],
+      ["21/03/2026", "Quiz", ""],
+    ]);
+  });
+
+  it("gives the same records however the text is chunked", () => {
+    const parser = createCsvParser();
+    const records = [];
+    for (const ch of SHEET) records.push(...parser.write(ch));
+    records.push(...parser.end());
+    assert.deepEqual(records, parseCsv(SHEET).records);
+  });
+
+  it("reports malformed cells by row and column", () => {
+    const text = 'a,b\n1,x"y\n"2",3\n"open,4';
+    const { records, errors } = parseCsv(text);
+    assert.deepEqual(
+      errors.map((e) => [e.row, e.column, e.line]),
+      [
+        [2, 2, 2],
+        [4, 1, 4],
+      ],
+    );
+    assert.match(errors[0].message, /quote inside an unquoted cell/);
+    assert.deepEqual(records[1], ["1", 'x"y']); // kept as text
+    assert.deepEqual(records[3], ["open,4"]);
+
+    assert.throws(
+      () => parseCsv('a\n"b"c', { strict: true }),
+      (e) => e instanceof CsvError && e.row === 2 && e.column === 1,
+    );
+  });
+});
+
+describe("csvTable", () => {
+  it("drops trailing unnamed columns and blank rows, numbers repeats", () => {
+    const { records } = parseCsv(
+      "Date,Time,Date,,\n1/3/2026,20:00,2/3/2026,,\n,,,,\n",
+    );
+    const { headers, rows } = csvTable(records);
+    assert.deepEqual(headers, ["Date", "Time", "Date_2"]);
+    assert.deepEqual(rows, [
+      { Date: "1/3/2026", Time: "20:00", Date_2: "2/3/2026" },
+    ]);
+    assert.equal(rows[0]._row, 2);
+  });
+});
+
+describe("matchSheetColumns", () => {
+  it("reads format hints, loose ticket headers and reports the rest", () => {
+    const { columns, byHeader, missing } = matchSheetColumns([
+      "event_name",
+      "event_date_dd_mm_yyyy_",
+      "start_time_hh_mm_",
+      "optional_tickets_link_",
+      "cost",
+      "host",
+    ]);
+    assert.deepEqual(byHeader, [
+      "title",
+      "date",
+      "time",
+      "tickets",
+      "price",
+      null,
+    ]);
+    assert.deepEqual(columns.date, ["event_date_dd_mm_yyyy_"]);
+    assert.deepEqual(missing, []);
+    assert.deepEqual(matchSheetColumns(["when", "notes"]).missing, ["title"]);
+  });
+});
+
+describe("csv adapter", () => {
+  it("reads multi-line cells without shifting later columns", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const events = await scrapeCsvVenue({
+      name: "Test Sheet Bar",
+      csvUrl: "https://sheets.example/multiline.csv",
+      address: "1 Test Street, Hull HU5 1AA",
+    });
+    assert.deepEqual(
+      events.map((e) => [e.title, e.start, e.tickets.map((t) => t.url)]),
+      [
+        [
+          "Folk Session",
+          "2026-03-14T19:30:00.000Z",
+          ["https://tickets.example/folk"],
+        ],
+        ["Quiz, Curry & Pint", "2026-03-21T20:00:00.000Z", []],
+      ],
+    );
+  });
+
+  it("expands repeats and reports the rows a venue should fix", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const {
+      events,
+      health: [{ sheet }],
+    } = await scrapeVenues([
+      {
+        id: "report",
+        name: "Test Sheet Bar",
+        adapter: "csv",
+        url: "https://sheets.example/report.csv",
+        address: "1 Test Street, Hull HU5 1AA",
+      },
+    ]);
+
+    const mic = events.filter((e) => e.title === "Open Mic");
+    assert.deepEqual(
+      mic.map((e) => [e.start, e.end]),
+      [
+        ["2026-03-12T20:00:00.000Z", "2026-03-12T23:00:00.000Z"],
+        ["2026-03-26T20:00:00.000Z", "2026-03-26T23:00:00.000Z"],
+        ["2026-04-09T19:00:00.000Z", "2026-04-09T22:00:00.000Z"], // BST, until
+      ],
+    );
+    assert.equal(mic[0].ageRestriction, "18+");
+    assert.deepEqual(mic[0].categories, ["Music", "Open mic"]);
+    assert.equal(mic[0].description, "Sign up from 7:30");
+    // Monthly keeps the weekday position: 4th Thursday (first date is past)
+    assert.deepEqual(
+      events.filter((e) => e.title === "Book Club").map((e) => e.start),
+      [
+        "2026-03-26T19:00:00.000Z",
+        "2026-04-23T18:00:00.000Z",
+        "2026-05-28T18:00:00.000Z",
+        "2026-06-25T18:00:00.000Z",
+      ],
+    );
+
+    assert.deepEqual(sheet.unrecognised, ["Host"]);
+    assert.equal(sheet.events, events.length);
+    assert.deepEqual(
+      sheet.problems.map((p) => [p.row, p.issue, p.title]),
+      [
+        [3, "no-date", "Mystery Night"],
+        [4, "no-year", "Vinyl Night"],
+        [5, "past", "Burns Night"],
+        [6, "repeat", "Quiz"],
+      ],
+    );
+    assert.match(sheet.problems[1].message, /read as 20\/3\/2026/);
+  });
+});
@@ -0,0 +1,201 @@
+// test/dedupe.test.js — cross-source duplicate merging (lib/dedupe.js)
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { mergeDuplicateEvents, titleSimilarity } from "../lib/dedupe.js";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const { buildStatusReport, normaliseScraped } =
+  await import("../scrape-hull-venues.js");
+
+const registry = [
+  { id: "polar-bear", name: "Polar Bear Music Club", adapter: "custom" },
+  { id: "polar-skiddle", name: "Polar Bear Music Club", adapter: "skiddle" },
+  { id: "mr-moodys", name: "Mr Moody's Tavern", adapter: "csv" },
+  { id: "moodys-lunch", name: "Mr Moody's Tavern", adapter: "recurring" },
+];
+const ev = (sourceId, title, start, extra = {}) => ({
+  sourceId,
+  source: "Polar Bear Music Club",
+  venue: "Polar Bear Music Club",
+  title,
+  start,
+  end: null,
+  url: "",
+  tickets: [],
+  soldOut: false,
+  freeEntry: false,
+  ...extra,
+});
+
+describe("titleSimilarity", () => {
+  it("sees through abbreviations, venue suffixes and added detail", () => {
+    assert.ok(titleSimilarity("SULCUT Part 2", "Sulcut pt.2") > 0.95);
+    assert.ok(titleSimilarity("Sultcut: Part 2", "Sulcut pt2 - Live") > 0.8);
+    assert.equal(
+      titleSimilarity(
+        "Sunday Lunch",
+        "Sunday Lunch (Walk-ins Only · Bring Cash · Come Hungry)",
+      ),
+      0.9,
+    );
+    assert.ok(titleSimilarity("Wired DJs", "THE SESH") < 0.3);
+  });
+});
+
+describe("cross-source merging", () => {
+  it("merges a venue's listing with Skiddle's, field by field", () => {
+    const merges = [];
+    const out = normaliseScraped(
+      [
+        ev(
+          "polar-skiddle",
+          "Sulcut pt.2 - Polar Bear",
+          "2026-03-28T20:00:00.000Z",
+          {
+            url: "https://www.skiddle.com/e/123",
+            priceText: "£8",
+            tickets: [
+              { label: "Skiddle", url: "https://www.skiddle.com/e/123" },
+            ],
+            description:
+              "Doors 7:30. Support from Ada Lowe and The Humber Keels.",
+            soldOut: true,
+          },
+        ),
+        ev("polar-bear", "SULCUT Part 2", "2026-03-28T19:30:00.000Z", {
+          url: "https://www.polarbearmusicclub.co.uk/whatson/sulcut-part-2",
+          displayTime24: "19:30",
+          description: "Sulcut return.",
+          tickets: [{ label: "Tickets", url: "https://seetickets.com/sulcut" }],
+        }),
+        ev("polar-bear", "Wired DJs", "2026-03-28T22:30:00.000Z"),
+      ],
+      { registry, merges },
+    );
+
+    assert.equal(out.length, 2);
+    const [gig] = out;
+    assert.equal(gig.title, "SULCUT Part 2", "the venue's own site wins");
+    assert.equal(
+      gig.url,
+      "https://www.polarbearmusicclub.co.uk/whatson/sulcut-part-2",
+    );
+    assert.equal(gig.start, "2026-03-28T19:30:00.000Z");
+    assert.equal(gig.priceText, "£8", "the only price");
+    assert.match(gig.description, /Ada Lowe/, "the longest description");
+    assert.deepEqual(
+      gig.tickets.map((t) => t.url),
+      ["https://seetickets.com/sulcut", "https://www.skiddle.com/e/123"],
+    );
+    assert.equal(gig.soldOut, true);
+    assert.deepEqual(merges, [
+      {
+        kept: {
+          title: "SULCUT Part 2",
+          start: "2026-03-28T19:30:00.000Z",
+          source: "polar-bear",
+        },
+        merged: {
+          title: "Sulcut pt.2 - Polar Bear",
+          start: "2026-03-28T20:00:00.000Z",
+          source: "polar-skiddle",
+        },
+        score: 0.92,
+      },
+    ]);
+    assert.deepEqual(
+      buildStatusReport([], null, {
+        registry,
+        startedAt: "2026-03-01T12:00:00.000Z",
+        finishedAt: "2026-03-01T12:01:00.000Z",
+        totalEvents: 2,
+        merges,
+      }).merges,
+      merges,
+    );
+  });
+
+  it("keeps one source's separate shows and other venues apart", () => {
+    const out = normaliseScraped(
+      [
+        ev("polar-bear", "Panto", "2026-03-28T14:00:00.000Z"),
+        ev("polar-bear", "Panto", "2026-03-28T19:00:00.000Z"),
+        ev("polar-bear", "Panto", "2026-03-28T19:00:00.000Z"), // listed twice
+        ev("mr-moodys", "Panto", "2026-03-28T19:00:00.000Z", {
+          venue: "Mr Moody's Tavern",
+        }),
+      ],
+      { registry },
+    );
+    assert.deepEqual(
+      out.map((e) => [e.venue, e.start]),
+      [
+        ["Polar Bear Music Club", "2026-03-28T14:00:00.000Z"],
+        ["Polar Bear Music Club", "2026-03-28T19:00:00.000Z"],
+        ["Mr Moody's Tavern", "2026-03-28T19:00:00.000Z"],
+      ],
+    );
+  });
+
+  it("replaces a source's cached copy with its re-timed fresh listing", () => {
+    const fresh = ev("hoi", "Hoi Karaoke", "2026-03-11T21:00:00.000Z", {
+      description: "New start time",
+    });
+    const cached = ev("hoi", "Hoi Karaoke", "2026-03-11T20:00:00.000Z", {
+      description: "Karaoke every Wednesday, songbook on the bar",
+      priceText: "£2",
+    });
+    const merge = (isCached) =>
+      mergeDuplicateEvents([fresh, cached], {
+        venueKey: () => "hoi",
+        sourceOf: (e) => e.sourceId,
+        isCached,
+      });
+
+    assert.equal(merge(() => false).events.length, 2, "two fresh shows");
+    const { events, merges } = merge((e) => e === cached);
+    assert.deepEqual(events, [fresh], "nothing carried over from the cache");
+    assert.deepEqual(merges, [
+      {
+        kept: {
+          title: "Hoi Karaoke",
+          start: "2026-03-11T21:00:00.000Z",
+          source: "hoi",
+        },
+        merged: {
+          title: "Hoi Karaoke",
+          start: "2026-03-11T20:00:00.000Z",
+          source: "hoi",
+        },
+        score: 0.97,
+      },
+    ]);
+  });
+
+  it("folds the recurring Sunday lunch into the venue sheet's row", () => {
+    const moodys = (sourceId, title, extra) =>
+      ev(sourceId, title, "2026-03-08T12:00:00.000Z", {
+        source: "Mr Moody's Tavern",
+        venue: "Mr Moody's Tavern",
+        ...extra,
+      });
+    const out = normaliseScraped(
+      [
+        moodys(
+          "moodys-lunch",
+          "Sunday Lunch (Walk-ins Only · Bring Cash · Come Hungry)",
+        ),
+        moodys("mr-moodys", "Sunday Lunch", {
+          url: "https://docs.google.com/sheet",
+        }),
+      ],
+      { registry },
+    );
+    assert.equal(out.length, 1);
+    assert.equal(out[0].title, "Sunday Lunch");
+    assert.equal(out[0].url, "https://docs.google.com/sheet");
+  });
+});
@@ -0,0 +1,49 @@
+// test/designmynight.test.js — DesignMyNight venue sites (adapter "designmynight")
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z"; // a Sunday
+process.env.SCRAPE_QUIET = "1";
+
+const HTTP_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "http",
+);
+const { configureHttpFixtures, venueTask } =
+  await import("../scrape-hull-venues.js");
+
+const venue = {
+  id: "test-bar",
+  name: "Test Bar",
+  adapter: "designmynight",
+  address: "Test Bar, Hull HU5",
+  options: { slug: "test-bar", quizTime: "19:30", defaults: { time: "18:00" } },
+};
+
+describe("designmynight adapter", () => {
+  it("reads the event pages on the venue's subdomain", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const events = await venueTask(venue)();
+    assert.deepEqual(
+      events.map((e) => [e.title, e.start]),
+      [
+        // the markup has the booking window; the venue's quiz time wins
+        ["Pub Quiz", "2026-03-12T19:30:00.000Z"],
+        // "Every Tuesday" → the next Tuesday at the default time
+        ["Open Mic", "2026-03-03T18:00:00.000Z"],
+      ],
+    );
+    const [quiz, openMic] = events;
+    assert.equal(quiz.freeEntry, true);
+    assert.deepEqual(quiz.tickets, []); // share links aren't tickets
+    assert.deepEqual(
+      openMic.tickets.map((t) => t.label),
+      ["Book a table"],
+    );
+    assert.equal(openMic.address, venue.address);
+    assert.equal(openMic.notes, "Happy hour"); // no options.happyHour
+  });
+});
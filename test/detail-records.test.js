@@ -0,0 +1,73 @@
+// test/detail-records.test.js — incremental detail-page crawling
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+
+import { createDetailRecords } from "../lib/detail-records.js";
+
+const DAY = 86_400_000;
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-detail-records-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+describe("createDetailRecords", () => {
+  let clock = Date.parse("2026-03-01T06:00:00Z");
+  const records = createDetailRecords({
+    refreshMs: 3 * DAY,
+    nearMs: 2 * DAY,
+    now: () => clock,
+  });
+  const fetched = [];
+  const parse = records.wrap(async (url) => {
+    fetched.push(url);
+    if (url.endsWith("/broken")) return null;
+    const start = url.endsWith("/soon")
+      ? "2026-03-03T19:30:00.000Z"
+      : "2026-04-01T19:30:00.000Z";
+    return { url, title: `Gig ${fetched.length}`, start };
+  });
+
+  it("crawls new pages and reuses unchanged ones", async () => {
+    await parse("https://venue.test/later");
+    await parse("https://venue.test/soon");
+    await parse("https://venue.test/broken");
+    fetched.length = 0;
+
+    clock += DAY;
+    const later = await parse("https://venue.test/later");
+    await parse("https://venue.test/soon");
+    await parse("https://venue.test/broken");
+
+    assert.equal(later.title, "Gig 1"); // previous extraction, not refetched
+    assert.deepEqual(fetched, [
+      "https://venue.test/soon", // starts within two days
+      "https://venue.test/broken", // null results are never recorded
+    ]);
+    assert.equal(records.crawlReason("https://venue.test/new"), "new");
+  });
+
+  it("hands out copies so callers can't change the record", async () => {
+    const a = await parse("https://venue.test/later");
+    a.title = "edited";
+    assert.equal((await parse("https://venue.test/later")).title, "Gig 1");
+  });
+
+  it("refetches once the record passes the refresh interval", async () => {
+    clock += 2 * DAY;
+    assert.equal(records.crawlReason("https://venue.test/later"), "stale");
+  });
+
+  it("saves recently seen records and loads them back", async () => {
+    const file = path.join(tmp, "detail-pages.json");
+    assert.equal(records.save(file, 10 * DAY), 2);
+
+    clock += 20 * DAY;
+    assert.equal(records.save(file, 10 * DAY), 0);
+
+    const fresh = createDetailRecords({ refreshMs: DAY, nearMs: DAY });
+    assert.equal(fresh.load(path.join(tmp, "missing.json")), 0);
+    fs.writeFileSync(file, JSON.stringify({ version: 0, pages: { x: {} } }));
+    assert.equal(fresh.load(file), 0, "unknown versions are ignored");
+  });
+});
@@ -0,0 +1,113 @@
+// test/event-ids.test.js — stable event ids
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+process.env.SCRAPE_QUIET = "1";
+
+const { assignEventIds, generateCalendarFile, mergeCachedEvents } =
+  await import("../scrape-hull-venues.js");
+
+const ev = (title, start, url, venue = "Mr Moody's Tavern") => ({
+  title,
+  start,
+  url,
+  venue,
+});
+const idOf = (events, i = 0) => assignEventIds(events)[i].id;
+
+describe("assignEventIds", () => {
+  it("builds <venue>-<local date>-<hash>", () => {
+    // 23:30 UTC on 29 March is 00:30 on the 30th in London (BST)
+    const id = idOf([ev("Open Mic", "2026-03-29T23:30:00.000Z")]);
+    assert.match(id, /^mr-moodys-tavern-20260330-[0-9a-f]{8}$/);
+  });
+
+  it("survives reordering, title edits on event pages and tracking params", () => {
+    const a = ev(
+      "Lowlands",
+      "2026-03-27T20:00:00Z",
+      "https://x.test/e/lowlands",
+    );
+    const b = ev("Quiz", "2026-03-28T20:00:00Z", "https://x.test/e/quiz");
+    const before = idOf([a, b]);
+    const after = assignEventIds([
+      b,
+      { ...a, title: "LOWLANDS + support (SOLD OUT)", url: `${a.url}?ref=ig` },
+    ])[1].id;
+    assert.equal(after, before);
+  });
+
+  it("falls back to the title when the URL is shared by several events", () => {
+    const home = "https://www.pavebar.co.uk/";
+    const jazz = ev("Jazz Jam", "2026-03-18T19:30:00Z", home, "Pave Bar");
+    const soul = ev("Northern Soul", "2026-03-18T21:00:00Z", home, "Pave Bar");
+    const [j, s] = assignEventIds([jazz, soul]);
+    assert.notEqual(j.id, s.id);
+    assert.equal(
+      idOf([{ ...jazz, title: "Jazz Jam!", url: undefined }]),
+      j.id,
+      "small title edits keep the id",
+    );
+  });
+
+  it("picks the basis per event, whatever else is in the batch", () => {
+    const a = ev("Lowlands", "2026-03-27T20:00:00Z", "https://x.test/e/1");
+    const b = ev("Quiz", "2026-03-27T21:00:00Z", "https://x.test/e/1");
+    assert.equal(idOf([a]), idOf([a, b]));
+    assert.equal(
+      idOf([ev("Open Mic", "2026-03-12T20:00:00Z", "https://x.test/e/om")]),
+      idOf([ev("Open Mic!", "2026-03-12T20:00:00Z", "https://x.test/e/om")]),
+    );
+    // A venue's listings page says nothing about the event
+    const polar = (title) =>
+      ev(
+        title,
+        "2026-03-12T20:00:00Z",
+        "https://www.polarbearmusicclub.co.uk/whatson/",
+        "Polar Bear Music Club",
+      );
+    assert.notEqual(idOf([polar("Sulcut")]), idOf([polar("Wired DJs")]));
+  });
+
+  it("keeps existing ids and never hands out duplicates", () => {
+    const out = assignEventIds([
+      { ...ev("A", "2026-03-01T20:00:00Z"), id: "kept" },
+      ev("Sunday Lunch", "2026-03-01T12:00:00Z"),
+      ev("Sunday lunch", "2026-03-01T12:00:00Z"),
+    ]);
+    assert.equal(out[0].id, "kept");
+    assert.equal(new Set(out.map((e) => e.id)).size, 3);
+    assert.equal(out[2].id, `${out[1].id}-2`);
+  });
+
+  it("is used as the ICS UID", () => {
+    const [e] = assignEventIds([ev("Open Mic", "2026-03-08T20:00:00Z")]);
+    assert.match(
+      generateCalendarFile([e]),
+      new RegExp(`UID:${e.id}@findhu5.events`),
+    );
+  });
+});
+
+describe("mergeCachedEvents", () => {
+  it("drops a cached URL-less event once it is re-scraped at a new time", () => {
+    const hoi = (start) => ({
+      ...ev("Hoi Karaoke", start, "", "Hoi"),
+      source: "Hoi",
+    });
+    const [old] = assignEventIds([hoi("2026-03-11T20:00:00.000Z")]);
+    const [moved] = assignEventIds([hoi("2026-03-11T21:00:00.000Z")]);
+    assert.equal(moved.id, old.id, "same day and title, same id");
+
+    const other = { ...old, id: "hoi-other", title: "Hoi Quiz" };
+    const { events, kept } = mergeCachedEvents([moved], [old, other]);
+    assert.equal(kept, 1);
+    assert.deepEqual(
+      events.map((e) => [e.title, e.start]),
+      [
+        ["Hoi Karaoke", "2026-03-11T21:00:00.000Z"],
+        ["Hoi Quiz", "2026-03-11T20:00:00.000Z"],
+      ],
+    );
+  });
+});
@@ -0,0 +1,160 @@
+// test/geocode.test.js — offline postcode geocoding (lib/geocode.js)
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import {
+  createGeocoder,
+  normalisePostcode,
+  postcodesFromOnspd,
+} from "../lib/geocode.js";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const { normaliseScraped } = await import("../scrape-hull-venues.js");
+
+// Made-up points: the tests only care which table answered
+const dataset = {
+  release: "TEST_2026",
+  postcodes: { "HU5 2RD": [53.1, -0.1] },
+  sectors: { "HU5 2": [53.2, -0.2] },
+  districts: { HU5: [53.3, -0.3] },
+};
+
+describe("geocoder", () => {
+  const geocoder = createGeocoder({
+    dataset,
+    overrides: [
+      { address: "Hull Minster", lat: 53.4, lon: -0.4, source: "test" },
+      { address: "NamJam Tattoo", postcode: "HU5 2RD" },
+    ],
+  });
+
+  it("reads postcodes written any which way", () => {
+    assert.equal(normalisePostcode("Queens Road, Hull, HU52RG"), "HU5 2RG");
+    assert.equal(normalisePostcode("hu5  2rd"), "HU5 2RD");
+    assert.equal(normalisePostcode("The Gardeners Arms, Hull HU5"), null);
+  });
+
+  it("places a postcode, else its sector, and never a bare district", () => {
+    assert.deepEqual(geocoder.locate("34 Prince's Rd, Hull HU52RD"), {
+      lat: 53.1,
+      lon: -0.1,
+      postcode: "HU5 2RD",
+      via: "postcode",
+    });
+    assert.equal(geocoder.locate("Queens Road, Hull HU5 2RG").via, "sector");
+    assert.equal(geocoder.locate("Queens Road, Hull", "HU5 2RG").lat, 53.2);
+    assert.equal(geocoder.locate("Somewhere, Hull HU5"), null, "no guessing");
+    assert.equal(geocoder.locate("1 Unknown Street, Hull HU9 9ZZ"), null);
+  });
+
+  it("looks up typed districts and sectors", () => {
+    assert.equal(geocoder.lookupPostcode("hu5").via, "district");
+    assert.equal(geocoder.lookupPostcode("HU5 2").via, "sector");
+    assert.equal(geocoder.lookupPostcode("HU9"), null);
+  });
+
+  it("applies overrides before the postcode", () => {
+    assert.equal(geocoder.locate("Hull Minster, Trinity Square").lat, 53.4);
+    assert.equal(geocoder.locate("Hull Minster").via, "override");
+    assert.equal(geocoder.locate("NamJam Tattoo, Hull").via, "postcode");
+  });
+
+  it("rejects overrides it can't place or can't trace", () => {
+    assert.throws(
+      () => createGeocoder({ overrides: [{ address: "Nowhere" }] }),
+      /needs lat\/lon or a postcode/,
+    );
+    assert.throws(
+      () =>
+        createGeocoder({
+          overrides: [{ address: "Hull Minster", lat: 53.4, lon: -0.4 }],
+        }),
+      /say where lat\/lon came from/,
+    );
+  });
+
+  it("keeps a saved cache until the dataset changes", () => {
+    const file = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "geocode-")),
+      "geocode.json",
+    );
+    geocoder.save(file);
+    assert.equal(createGeocoder({ dataset }).load(file), 0, "other overrides");
+
+    const first = createGeocoder({ dataset });
+    first.locate("Queens Road, Hull HU5 2RG");
+    first.save(file);
+    assert.equal(createGeocoder({ dataset }).load(file), 1);
+
+    const next = { ...dataset, release: "TEST_2027" };
+    assert.equal(createGeocoder({ dataset: next }).load(file), 0);
+  });
+});
+
+describe("ONSPD import", () => {
+  const rows = [
+    { pcds: "HU5 2RD", doterm: "", lat: "53.770000", long: "-0.360000" },
+    { pcds: "HU5 2RG", doterm: "", lat: "53.772000", long: "-0.362000" },
+    { pcds: "HU5 2ZZ", doterm: "202001", lat: "53.9", long: "-0.9" },
+    { pcds: "HU5 3AA", doterm: "", lat: "99.999999", long: "0.000000" },
+    { pcds: "HU17 0AA", doterm: "", lat: "53.84", long: "-0.43" },
+    { pcds: "HX1 1AA", doterm: "", lat: "53.72", long: "-1.86" },
+  ];
+
+  it("keeps live HU postcodes and averages sectors and districts", () => {
+    const data = postcodesFromOnspd(rows, { release: "ONSPD_NOV_2025_UK" });
+    assert.deepEqual(Object.keys(data.postcodes), [
+      "HU17 0AA",
+      "HU5 2RD",
+      "HU5 2RG",
+    ]);
+    assert.deepEqual(data.sectors["HU5 2"], [53.771, -0.361]);
+    assert.deepEqual(data.districts.HU5, [53.771, -0.361]);
+    assert.equal(data.sectors["HU5 3"], undefined);
+    assert.match(data.licence, /Open Government Licence v3\.0/);
+    assert.match(data.attribution[0], /Crown copyright.* 2025$/);
+  });
+
+  it("wants to know which release it came from", () => {
+    assert.throws(
+      () => postcodesFromOnspd(rows, { release: "latest" }),
+      /names no year/,
+    );
+  });
+});
+
+describe("event coordinates", () => {
+  it("uses the venue's point, and the postcode data for the rest", () => {
+    const ev = (venue, address) => ({
+      source: venue,
+      venue,
+      address,
+      title: `${venue} Night`,
+      start: "2026-03-12T12:00:00.000Z",
+      url: "",
+      tickets: [],
+      soldOut: false,
+      freeEntry: false,
+    });
+    const [adelphi, queens, unknown] = normaliseScraped([
+      ev("The Adelphi Club", "89 De Grey Street, Hull, HU5 2RU"),
+      ev("Queens Hotel", "Queens Road, Hull, HU52RG"),
+      ev("Tattoo Parlour", "1 Unknown Street, Hull HU5"),
+    ]);
+    assert.deepEqual([adelphi.lat, adelphi.lon], [53.7762, -0.3406]);
+    assert.ok(adelphi.distance > 0);
+    assert.equal(queens.venueId, "queens-hotel");
+    // Placed from public/hu-postcodes.json, and only from there
+    const bundled = JSON.parse(
+      fs.readFileSync(new URL("../public/hu-postcodes.json", import.meta.url)),
+    );
+    const point = bundled.postcodes["HU5 2RG"] || bundled.sectors["HU5 2"];
+    assert.deepEqual([queens.lat, queens.lon], point || [null, null]);
+    assert.deepEqual([unknown.lat, unknown.distance], [null, null]);
+  });
+});
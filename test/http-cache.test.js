@@ -0,0 +1,84 @@
+// test/http-cache.test.js — on-disk conditional HTTP cache
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, describe, it } from "node:test";
+
+import { createHttpCache } from "../lib/http-cache.js";
+
+const HOUR = 3_600_000;
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-http-cache-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+describe("createHttpCache", () => {
+  let clock = Date.parse("2026-03-01T06:00:00Z");
+  const cache = createHttpCache(tmp, { now: () => clock });
+  const url = "https://venue.test/events/42?ref=list";
+
+  it("stores 200 bodies with their validators", async () => {
+    const res = await cache.store(
+      url,
+      new Response("<h1>Gig</h1>", {
+        headers: {
+          "content-type": "text/html",
+          etag: '"v1"',
+          "last-modified": "Sat, 28 Feb 2026 10:00:00 GMT",
+          "set-cookie": "session=secret",
+        },
+      }),
+    );
+    assert.equal(await res.text(), "<h1>Gig</h1>");
+    assert.equal(res.url, url);
+
+    const entry = cache.lookup(url);
+    assert.deepEqual(entry.headers, {
+      "content-type": "text/html",
+      etag: '"v1"',
+      "last-modified": "Sat, 28 Feb 2026 10:00:00 GMT",
+    });
+    assert.deepEqual(cache.conditionalHeaders(entry), {
+      "if-none-match": '"v1"',
+      "if-modified-since": "Sat, 28 Feb 2026 10:00:00 GMT",
+    });
+  });
+
+  it("is fresh only within the TTL, and never with a zero TTL", () => {
+    const entry = cache.lookup(url);
+    assert.equal(cache.isFresh(entry, 12 * HOUR), true);
+    assert.equal(cache.isFresh(entry, 0), false);
+    clock += 13 * HOUR;
+    assert.equal(cache.isFresh(entry, 12 * HOUR), false);
+    assert.equal(cache.isFresh(null, 12 * HOUR), false);
+  });
+
+  it("serves the saved body on 304 and restarts the TTL", async () => {
+    const res = cache.revalidated(
+      url,
+      cache.lookup(url),
+      new Response(null, { status: 304, headers: { etag: '"v2"' } }),
+    );
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), "<h1>Gig</h1>");
+
+    const entry = cache.lookup(url);
+    assert.equal(entry.headers.etag, '"v2"');
+    assert.equal(entry.fetchedAt, "2026-03-01T06:00:00.000Z");
+    assert.equal(entry.checkedAt, "2026-03-01T19:00:00.000Z");
+    assert.equal(cache.isFresh(entry, 12 * HOUR), true);
+  });
+
+  it("prunes entries that have not been checked recently", async () => {
+    await cache.store(
+      "https://venue.test/old",
+      new Response("old", { headers: { "content-type": "text/html" } }),
+    );
+    clock += 20 * 24 * HOUR;
+    await cache.store("https://venue.test/new", new Response("new"));
+
+    assert.equal(cache.prune(10 * 24 * HOUR), 2);
+    assert.equal(cache.lookup(url), null);
+    assert.equal(cache.lookup("https://venue.test/old"), null);
+    assert.equal(cache.lookup("https://venue.test/new").body, "new");
+  });
+});
@@ -0,0 +1,167 @@
+// test/ical.test.js — iCalendar feeds and lines (lib/ical.js, lib/rrule.js, adapter "ical")
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  contentLine,
+  escapeText,
+  icsOccurrences,
+  parseICS,
+} from "../lib/ical.js";
+import { expandRRuleDates, parseRRule } from "../lib/rrule.js";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const { venueTask } = await import("../scrape-hull-venues.js");
+
+const expand = (rrule, start, toDate = "2026-12-31") =>
+  expandRRuleDates(parseRRule(rrule), start, { toDate });
+
+describe("expandRRuleDates", () => {
+  it("handles weekly, ordinal monthly and BYSETPOS rules", () => {
+    assert.deepEqual(
+      expand("FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;COUNT=4", "2026-03-03"),
+      ["2026-03-03", "2026-03-05", "2026-03-17", "2026-03-19"],
+    );
+    assert.deepEqual(
+      expand("FREQ=MONTHLY;BYDAY=-1FR", "2026-01-30", "2026-04-30"),
+      ["2026-01-30", "2026-02-27", "2026-03-27", "2026-04-24"],
+    );
+    // Last weekday of the month
+    assert.deepEqual(
+      expand(
+        "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=2",
+        "2026-05-01",
+      ),
+      ["2026-05-29", "2026-06-30"],
+    );
+  });
+
+  it("skips months without the day and stops at UNTIL", () => {
+    assert.deepEqual(expand("FREQ=MONTHLY;COUNT=3", "2026-01-31"), [
+      "2026-01-31",
+      "2026-03-31",
+      "2026-05-31",
+    ]);
+    assert.deepEqual(
+      expandRRuleDates(parseRRule("FREQ=DAILY"), "2026-03-01", {
+        untilDate: "2026-03-03",
+        toDate: "2026-12-31",
+      }),
+      ["2026-03-01", "2026-03-02", "2026-03-03"],
+    );
+    assert.throws(() => parseRRule("FREQ=HOURLY"), /unsupported/);
+  });
+});
+
+describe("icsOccurrences", () => {
+  it("keeps wall-clock times across DST and applies EXDATE", () => {
+    const calendar = parseICS(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "UID:a",
+        "DTSTART;TZID=Europe/London:20260322T193000",
+        "DURATION:PT2H",
+        "RRULE:FREQ=DAILY;COUNT=10",
+        "EXDATE;TZID=Europe/London:20260324T193000,20260331T183000Z",
+        "SUMMARY:Late Bar",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n"),
+    );
+    const occ = icsOccurrences(calendar, {
+      from: "2026-03-27T00:00:00Z",
+      to: "2026-03-30T23:59:59Z",
+    });
+    assert.deepEqual(
+      occ.map((o) => [o.start, o.end]),
+      [
+        ["2026-03-27T19:30:00.000Z", "2026-03-27T21:30:00.000Z"],
+        ["2026-03-28T19:30:00.000Z", "2026-03-28T21:30:00.000Z"],
+        ["2026-03-29T18:30:00.000Z", "2026-03-29T20:30:00.000Z"], // BST
+        ["2026-03-30T18:30:00.000Z", "2026-03-30T20:30:00.000Z"],
+      ],
+    );
+
+    const all = icsOccurrences(calendar, {
+      from: "2026-03-01T00:00:00Z",
+      to: "2026-04-30T00:00:00Z",
+    });
+    assert.equal(all.length, 8, "two dates excluded");
+  });
+});
+
+describe("ical adapter", () => {
+  const venue = {
+    id: "ical-test",
+    name: "Test Bar",
+    adapter: "ical",
+    url: "https://test.example/",
+    options: {
+      file: "test/fixtures/ical/test-bar.ics",
+      horizonDays: 60,
+      defaults: { time: "10:00" },
+    },
+  };
+
+  it("expands the feed inside the horizon and maps it through buildEvent", async () => {
+    const events = await venueTask(venue)();
+    assert.deepEqual(
+      events.map((e) => [e.start, e.title, e.status ?? null]),
+      [
+        ["2026-03-05T20:00:00.000Z", "Pub Quiz", null],
+        ["2026-03-07T14:00:00.000Z", "Craft Market", null], // floating time
+        ["2026-03-12T20:00:00.000Z", "Pub Quiz", null],
+        ["2026-03-14T19:30:00.000Z", "The Humber Keels", "cancelled"],
+        // 19 March is an EXDATE; 26 March moved to the Friday
+        ["2026-03-27T20:30:00.000Z", "Pub Quiz (Friday this week)", null],
+        ["2026-04-02T19:00:00.000Z", "Pub Quiz", "cancelled"],
+        ["2026-04-04T13:00:00.000Z", "Craft Market", null],
+        ["2026-04-09T19:00:00.000Z", "Pub Quiz", null], // last before UNTIL
+        ["2026-04-11T09:00:00.000Z", "Record Fair", null], // all-day
+      ],
+    );
+
+    const gig = events[3];
+    assert.equal(gig.end, "2026-03-14T23:00:00.000Z");
+    assert.equal(gig.url, "https://test.example/gigs/humber-keels");
+    assert.equal(gig.address, "Test Bar, 1 Test Street, Hull HU5 1AA");
+    assert.equal(
+      gig.description,
+      "Sadly called off. Tickets £8 will be refunded automatically.",
+    );
+    assert.equal(events[0].url, venue.url);
+    assert.equal(events[0].freeEntry, true);
+    assert.equal(events[5].end, "2026-04-02T21:00:00.000Z"); // master's length
+  });
+});
+
+describe("contentLine", () => {
+  it("escapes, folds at 75 octets and reads back", () => {
+    const summary = "Café Quiz; teams of 4, prizes\nDoors 7pm ".repeat(4);
+    const line = contentLine("SUMMARY", escapeText(summary));
+    const parts = line.split("\r\n");
+    assert.ok(parts.length > 1);
+    assert.ok(parts.every((p) => Buffer.byteLength(p) <= 75));
+    assert.ok(parts.slice(1).every((p) => p.startsWith(" ")));
+    assert.equal(
+      contentLine("DTSTART", "20260304T193000", { TZID: "Europe/London" }),
+      "DTSTART;TZID=Europe/London:20260304T193000",
+    );
+
+    const [ev] = parseICS(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "UID:a",
+        "DTSTART:20260304T193000Z",
+        line,
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n"),
+    ).events;
+    assert.equal(ev.summary, summary);
+  });
+});
@@ -0,0 +1,90 @@
+// test/jsonld.test.js — generic schema.org Event adapter (adapter "jsonld")
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const HTTP_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "http",
+);
+const { configureHttpFixtures, loadVenueRegistry, venueTask } =
+  await import("../scrape-hull-venues.js");
+
+const venue = {
+  id: "jsonld-test",
+  name: "Test Venue",
+  adapter: "jsonld",
+  url: "https://jsonld.example/whats-on/",
+  address: "1 Test Street, Hull HU5 1AA",
+  options: { linkPattern: "/event/[^/]+/?$", defaults: { time: "19:00" } },
+};
+
+describe("jsonld adapter", () => {
+  it("reads the list page and its detail pages into events", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const events = await venueTask(venue)();
+    const [openMic, folk, comedy] = events;
+
+    assert.deepEqual(
+      events.map((e) => [e.title, e.start]),
+      [
+        ["Open Mic & Jam", "2026-03-05T19:00:00.000Z"], // date-only: default time
+        ["Folk Night", "2026-03-12T19:30:00.000Z"], // local time, no offset
+        ["Comedy Club", "2026-03-20T20:00:00.000Z"],
+      ],
+    );
+    assert.equal(openMic.freeEntry, true);
+    assert.equal(openMic.end, null);
+    assert.deepEqual(openMic.tickets, []);
+
+    // The detail page replaced the list page's summary of the same event
+    assert.equal(folk.end, "2026-03-12T23:00:00.000Z");
+    assert.equal(folk.priceText, "£8 / £10.50");
+    assert.equal(folk.status, "postponed");
+    assert.equal(folk.image, "https://jsonld.example/img/folk.jpg");
+    assert.deepEqual(folk.performers, ["The Humber Keels", "Ada Lowe"]);
+    assert.equal(
+      folk.description,
+      "An evening of traditional tunes. Bring an instrument.",
+    );
+    assert.deepEqual(folk.tickets, [
+      { label: "Advance", url: "https://tickets.example/folk" },
+    ]);
+
+    assert.equal(comedy.soldOut, true);
+    assert.equal(comedy.priceText, "£12");
+    assert.equal(comedy.address, venue.address);
+  });
+
+  it("only reads the list page without a linkPattern", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const events = await venueTask({ ...venue, options: {} })();
+    assert.deepEqual(
+      events.map((e) => e.title),
+      ["Open Mic & Jam", "Folk Night"],
+    );
+  });
+
+  it("rejects registry entries without a url or with a bad linkPattern", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-jsonld-"));
+    const file = path.join(dir, "venues.json");
+    try {
+      const { url, ...noUrl } = venue;
+      fs.writeFileSync(file, JSON.stringify([noUrl]));
+      assert.throws(() => loadVenueRegistry(file), /needs a url/);
+
+      const bad = { ...venue, options: { linkPattern: "(" } };
+      fs.writeFileSync(file, JSON.stringify([bad]));
+      assert.throws(() => loadVenueRegistry(file), /bad linkPattern/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,60 @@
+// test/near.test.js — the page's walking-time filter and sort (public/near.js)
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+await import("../public/near.js");
+const { lookupPostcode, walkMinutes, withinWalk, byWalk } = globalThis.HU5Near;
+
+// Made-up points about 0.5 km apart along a meridian
+const dataset = {
+  postcodes: { "HU5 2RD": [53.77, -0.36] },
+  sectors: { "HU5 2": [53.775, -0.36] },
+  districts: { HU5: [53.78, -0.36] },
+};
+
+describe("near", () => {
+  it("looks typed postcodes up in the bundled data, falling back to coarser areas", () => {
+    assert.deepEqual(lookupPostcode(dataset, "hu52rd"), {
+      lat: 53.77,
+      lon: -0.36,
+    });
+    assert.equal(lookupPostcode(dataset, "HU5 2ZZ").lat, 53.775, "sector");
+    assert.equal(lookupPostcode(dataset, " hu5 ").lat, 53.78, "district");
+    assert.equal(lookupPostcode(dataset, "HU9 1AA"), null);
+    assert.throws(() => lookupPostcode(dataset, "LS1 1AA"), /Hull postcode/);
+  });
+
+  it("keeps events within the walk and sorts them nearest first", () => {
+    const origin = { lat: 53.77, lon: -0.36 };
+    const at = (lat, start) => ({
+      lat,
+      lon: -0.36,
+      _startEff: new Date(start),
+    });
+    const events = [
+      at(53.79, "2026-03-02"), // ~2.2 km
+      at(53.775, "2026-03-03"), // ~0.6 km
+      at(53.775, "2026-03-01"), // same place, sooner
+      { lat: null, lon: null, _startEff: new Date("2026-03-01") }, // unknown
+    ];
+    const coords = (e) => (e.lat == null ? null : e);
+
+    assert.equal(walkMinutes(origin, events[1]), 9);
+    assert.equal(walkMinutes(null, events[1]), null);
+
+    const near = withinWalk(events, origin, 15, coords);
+    assert.deepEqual(
+      near.map((e) => e._walkMin),
+      [9, 9],
+    );
+    assert.equal(events[0]._walkMin, 36);
+    assert.equal(events[3]._walkMin, null);
+
+    assert.equal(withinWalk(events, null, 15, coords).length, 4, "no origin");
+    assert.equal(withinWalk(events, origin, 0, coords).length, 4, "no limit");
+
+    const [far, close, sooner, unknown] = events;
+    const sorted = withinWalk([...events], origin, 0, coords).sort(byWalk);
+    assert.deepEqual(sorted, [sooner, close, far, unknown]);
+  });
+});
@@ -0,0 +1,158 @@
+// test/polite-fetch.test.js — per-host pacing and robots.txt rules
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  createHostLimiter,
+  createRobotsCache,
+  parseRobots,
+} from "../lib/polite-fetch.js";
+
+describe("parseRobots", () => {
+  const text = `
+# comment
+User-agent: *
+Disallow: /private
+Allow: /private/events
+Crawl-delay: 2
+
+User-agent: BadBot
+User-agent: hu5-events
+Disallow: /admin
+Disallow: /*.pdf$
+`;
+
+  it("uses the group naming our token over the * group", () => {
+    const rules = parseRobots(text, "hu5-events");
+    assert.equal(rules.allows("/private/x"), true);
+    assert.equal(rules.allows("/admin/users"), false);
+    assert.equal(rules.allows("/flyer.pdf"), false);
+    assert.equal(rules.allows("/flyer.pdf?v=2"), true);
+    assert.equal(rules.crawlDelayMs, 0);
+  });
+
+  it("falls back to * with longest match winning", () => {
+    const rules = parseRobots(text, "someone-else");
+    assert.equal(rules.allows("/private/x"), false);
+    assert.equal(rules.allows("/private/events/123"), true);
+    assert.equal(rules.allows("/whats-on"), true);
+    assert.equal(rules.crawlDelayMs, 2000);
+  });
+
+  it("matches the product token whole, in any case", () => {
+    const rules = (agents) =>
+      parseRobots(`User-agent: ${agents}\nDisallow: /\n`, "hu5-events");
+    assert.equal(rules("HU5-Events").allows("/x"), false);
+    assert.equal(rules("hu5").allows("/x"), true, "a prefix isn't our token");
+    assert.equal(rules("hu5-events-beta").allows("/x"), true);
+  });
+
+  it("allows everything for an empty file", () => {
+    assert.equal(parseRobots("", "hu5-events").allows("/anything"), true);
+  });
+});
+
+describe("createRobotsCache", () => {
+  const response = (status, body = "") => ({
+    ok: status >= 200 && status < 300,
+    status,
+    text: async () => body,
+  });
+
+  it("fetches once per origin and maps 4xx to allow", async () => {
+    const fetched = [];
+    const robots = createRobotsCache({
+      agent: "hu5-events",
+      fetchRobots: async (url) => {
+        fetched.push(url);
+        if (url.startsWith("https://gone.test")) return response(404);
+        return response(200, "User-agent: *\nDisallow: /cart");
+      },
+    });
+
+    const ok = await robots.rulesFor("https://venue.test/events");
+    await robots.rulesFor("https://venue.test/other");
+    assert.equal(ok.allows("/cart"), false);
+    assert.equal(ok.unavailable, undefined);
+    assert.equal(
+      (await robots.rulesFor("https://gone.test/")).allows("/"),
+      true,
+    );
+    assert.deepEqual(fetched, [
+      "https://venue.test/robots.txt",
+      "https://gone.test/robots.txt",
+    ]);
+  });
+
+  it("retries a 5xx or unreachable file, then marks the host unavailable", async () => {
+    const fetched = [];
+    const told = [];
+    let flaky = 0;
+    const robots = createRobotsCache({
+      agent: "hu5-events",
+      retryDelayMs: 0,
+      onUnavailable: (origin, reason) => told.push([origin, reason]),
+      fetchRobots: async (url) => {
+        fetched.push(url);
+        if (url.startsWith("https://down.test")) return response(503);
+        if (url.startsWith("https://dns.test")) throw new Error("ENOTFOUND");
+        return ++flaky === 1 ? response(502) : response(200, "");
+      },
+    });
+
+    const down = await robots.rulesFor("https://down.test/");
+    assert.equal(down.unavailable, "HTTP 503");
+    assert.equal(down.allows("/"), false);
+    assert.equal(
+      (await robots.rulesFor("https://dns.test/")).unavailable,
+      "ENOTFOUND",
+    );
+    const flakyRules = await robots.rulesFor("https://flaky.test/");
+    assert.equal(flakyRules.unavailable, undefined, "the retry got through");
+    assert.equal(flakyRules.allows("/"), true);
+    await robots.rulesFor("https://down.test/again");
+
+    assert.deepEqual(told, [
+      ["https://down.test", "HTTP 503"],
+      ["https://dns.test", "ENOTFOUND"],
+    ]);
+    assert.deepEqual(fetched, [
+      "https://down.test/robots.txt",
+      "https://down.test/robots.txt",
+      "https://dns.test/robots.txt",
+      "https://dns.test/robots.txt",
+      "https://flaky.test/robots.txt",
+      "https://flaky.test/robots.txt",
+    ]);
+  });
+});
+
+describe("createHostLimiter", () => {
+  it("caps in-flight requests and spaces starts per host", async () => {
+    const limiter = createHostLimiter({ intervalMs: 20, concurrency: 2 });
+    const starts = [];
+    let active = 0;
+    let peak = 0;
+    const job = (url) =>
+      limiter.run(url, async () => {
+        starts.push({ host: new URL(url).host, at: Date.now() });
+        peak = Math.max(peak, ++active);
+        await new Promise((r) => setTimeout(r, 30));
+        active--;
+      });
+
+    const t0 = Date.now();
+    await Promise.all([
+      job("https://a.test/1"),
+      job("https://a.test/2"),
+      job("https://a.test/3"),
+      job("https://b.test/1"),
+    ]);
+
+    const a = starts.filter((s) => s.host === "a.test").map((s) => s.at);
+    const b = starts.find((s) => s.host === "b.test");
+    assert.equal(peak, 3); // two on a.test plus b.test
+    for (let i = 1; i < a.length; i++) assert.ok(a[i] - a[i - 1] >= 18);
+    assert.ok(b.at - t0 < 15, "other hosts are not held up");
+  });
+});
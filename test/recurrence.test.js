@@ -0,0 +1,268 @@
+// test/recurrence.test.js — recurring events (lib/recurrence.js, adapter "recurring", events.ics series)
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { icsOccurrences, parseICS } from "../lib/ical.js";
+import { parseRecurrence, recurrenceDates } from "../lib/recurrence.js";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const { generateCalendarFile, loadVenueRegistry, venueTask } =
+  await import("../scrape-hull-venues.js");
+
+const dates = (spec, from = "2026-03-01", to = "2026-05-31") =>
+  recurrenceDates(parseRecurrence(spec), { from, to });
+
+describe("recurrence phrases", () => {
+  it("reads weekday, every-other and week-of-the-month phrases", () => {
+    assert.deepEqual(
+      dates(
+        { every: "every tuesday and thursday" },
+        "2026-03-01",
+        "2026-03-08",
+      ),
+      ["2026-03-03", "2026-03-05"],
+    );
+    assert.deepEqual(dates({ every: "last thursday of the month" }), [
+      "2026-03-26",
+      "2026-04-30",
+      "2026-05-28",
+    ]);
+    assert.deepEqual(
+      dates(
+        { every: "first and third monday of the month" },
+        "2026-03-01",
+        "2026-03-31",
+      ),
+      ["2026-03-02", "2026-03-16"],
+    );
+    assert.deepEqual(
+      dates(
+        { every: "every other friday", from: "2026-03-13" },
+        "2026-03-01",
+        "2026-04-10",
+      ),
+      ["2026-03-13", "2026-03-27", "2026-04-10"],
+    );
+    assert.deepEqual(
+      dates(
+        { every: "monthly", from: "2026-01-08" },
+        "2026-03-01",
+        "2026-04-30",
+      ),
+      ["2026-03-12", "2026-04-09"],
+      "2nd Thursday stays the 2nd Thursday",
+    );
+  });
+
+  it("skips exceptions and pauses, and stops at until", () => {
+    assert.deepEqual(
+      dates({
+        every: "sundays",
+        except: "2026-03-08",
+        pause: [{ from: "03-20", to: "04-10" }],
+        until: "2026-04-20",
+      }),
+      ["2026-03-01", "2026-03-15", "2026-04-12", "2026-04-19"],
+    );
+    assert.equal(
+      dates({ every: "wednesdays", upcoming: 20 }, "2026-03-01", "2026-03-02")
+        .length,
+      20,
+      "upcoming ignores the horizon",
+    );
+  });
+
+  it("rejects phrases it can't place", () => {
+    assert.throws(
+      () => parseRecurrence({ every: "now and then" }),
+      /unknown recurrence/,
+    );
+    assert.throws(
+      () => parseRecurrence({ every: "fortnightly" }),
+      /needs a start date/,
+    );
+    assert.throws(
+      () => parseRecurrence({ every: "every other friday" }),
+      /needs "from"/,
+    );
+    assert.throws(
+      () => parseRecurrence({ every: "thursdays of the month" }),
+      /which week/,
+    );
+    assert.throws(
+      () => parseRecurrence({ every: "sundays", time: "noon" }),
+      /HH:mm/,
+    );
+    assert.throws(
+      () => parseRecurrence({ every: "sundays", pause: [{ from: "07-20" }] }),
+      /pause needs/,
+    );
+  });
+});
+
+describe("recurring adapter", () => {
+  const venue = {
+    id: "hoi-open-mic",
+    name: "Hoi Polloi",
+    adapter: "recurring",
+    address: "Hoi Polloi, Princes Ave, Hull",
+    recurrences: [
+      {
+        title: "Open Mic",
+        every: "last thursday of the month",
+        time: "19:30",
+        end: "23:00",
+        freeEntry: true,
+        categories: ["Music"],
+      },
+    ],
+    options: { horizonDays: 60 },
+  };
+
+  it("builds events on local wall-clock time across the clocks change", async () => {
+    const events = await venueTask(venue)();
+    assert.deepEqual(
+      events.map((e) => [e.start, e.end]),
+      [
+        ["2026-03-26T19:30:00.000Z", "2026-03-26T23:00:00.000Z"],
+        ["2026-04-30T18:30:00.000Z", "2026-04-30T22:00:00.000Z"],
+      ],
+    );
+    assert.equal(events[0].venue, "Hoi Polloi");
+    assert.equal(events[0].freeEntry, true);
+    assert.deepEqual(events[0].categories, ["Music"]);
+  });
+
+  it("validates recurrences when the registry loads", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-recurring-"));
+    const file = path.join(dir, "venues.json");
+    try {
+      fs.writeFileSync(
+        file,
+        JSON.stringify([
+          {
+            ...venue,
+            recurrences: [{ title: "Open Mic", every: "sometimes" }],
+          },
+        ]),
+      );
+      assert.throws(
+        () => loadVenueRegistry(file),
+        /hoi-open-mic recurrence 1: unknown recurrence "sometimes"/,
+      );
+      fs.writeFileSync(file, JSON.stringify([{ ...venue, recurrences: [] }]));
+      assert.throws(() => loadVenueRegistry(file), /needs recurrences/);
+      fs.writeFileSync(file, JSON.stringify([venue]));
+      assert.equal(loadVenueRegistry(file).length, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("events.ics series", () => {
+  // { NAME: value } per VEVENT, with NAME;TZID=… keyed as NAME and its TZID
+  // under NAME_TZID
+  const vevents = (ics) =>
+    ics
+      .split("BEGIN:VEVENT")
+      .slice(1)
+      .map((block) =>
+        Object.fromEntries(
+          block
+            .split("\r\n")
+            .map((l) => l.match(/^([A-Z-]+)(?:;TZID=([^:]+))?:(.*)$/))
+            .filter(Boolean)
+            .flatMap((m) => [
+              [m[1], m[3]],
+              ...(m[2] ? [[`${m[1]}_TZID`, m[2]]] : []),
+            ]),
+        ),
+      );
+  const tuesday = (date, time = "20:30", extra = {}) => ({
+    title: "THE SESH",
+    venue: "Polar Bear Music Club",
+    start: new Date(`${date}T${time}:00Z`).toISOString(),
+    ...extra,
+  });
+
+  it("writes a declared series as one VEVENT on London wall-clock time", async () => {
+    const events = await venueTask({
+      id: "queens-hotel-quiz",
+      name: "Queens Hotel",
+      adapter: "recurring",
+      recurrences: [
+        {
+          title: "Quiz Night",
+          every: "wednesdays",
+          time: "19:30",
+          upcoming: 8,
+        },
+      ],
+    })();
+    const ics = generateCalendarFile(events);
+    const [quiz, ...rest] = vevents(ics);
+    assert.equal(rest.length, 0);
+    assert.equal(quiz.DTSTART, "20260304T193000");
+    assert.equal(quiz.DTSTART_TZID, "Europe/London");
+    assert.equal(quiz.DTEND, "20260304T213000", "2 hours when there's no end");
+    assert.equal(quiz.DTEND_TZID, "Europe/London");
+    // 19:30 BST on the last date, in UTC
+    assert.equal(quiz.RRULE, "FREQ=WEEKLY;BYDAY=WE;UNTIL=20260422T183000Z");
+    assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:Europe\/London\r\n/);
+    assert.doesNotMatch(ics, /X-WR-TIMEZONE/);
+
+    // Read back, every date is 19:30 London: 19:30Z in March, 18:30Z in BST
+    const starts = icsOccurrences(parseICS(ics), {
+      from: "2026-03-01",
+      to: "2026-05-31",
+    }).map((o) => o.start);
+    assert.equal(starts.length, 8);
+    assert.equal(starts[0], "2026-03-04T19:30:00.000Z");
+    assert.equal(starts.at(-1), "2026-04-22T18:30:00.000Z");
+  });
+
+  it("spots weekly runs and writes skipped, moved and cancelled dates", () => {
+    const [series, moved, cancelled, ...rest] = vevents(
+      generateCalendarFile([
+        tuesday("2026-03-03"),
+        tuesday("2026-03-10", "21:30"), // 21:30 in the feed's UTC = 21:30 GMT
+        // 2026-03-17 not listed
+        tuesday("2026-03-24", "20:30", { status: "cancelled" }),
+        tuesday("2026-03-31", "19:30"), // BST: still 20:30 locally
+      ]),
+    );
+    assert.equal(rest.length, 0);
+    assert.equal(series.RRULE, "FREQ=WEEKLY;BYDAY=TU;UNTIL=20260331T193000Z");
+    assert.equal(series.EXDATE, "20260317T203000");
+    assert.equal(series.EXDATE_TZID, "Europe/London");
+    assert.equal(moved.UID, series.UID);
+    assert.equal(moved["RECURRENCE-ID"], "20260310T203000");
+    assert.equal(moved["RECURRENCE-ID_TZID"], "Europe/London");
+    assert.equal(moved.DTSTART, "20260310T213000");
+    assert.equal(cancelled["RECURRENCE-ID"], "20260324T203000");
+    assert.equal(cancelled.STATUS, "CANCELLED");
+  });
+
+  it("leaves irregular dates as one-offs", () => {
+    const out = vevents(
+      generateCalendarFile([
+        tuesday("2026-03-03"),
+        tuesday("2026-03-10"),
+        tuesday("2026-04-28"),
+      ]),
+    );
+    assert.equal(out.length, 3);
+    assert.ok(out.every((e) => !e.RRULE && e.DTSTART_TZID === "Europe/London"));
+    assert.deepEqual(
+      out.map((e) => e.DTSTART),
+      ["20260303T203000", "20260310T203000", "20260428T213000"],
+      "London time: 20:30Z is 21:30 BST",
+    );
+  });
+});
@@ -0,0 +1,113 @@
+// test/scrapers.test.js — golden-file regression tests for every venue scraper
+//
+// Each venue in venues.json is run against HTTP fixtures (test/fixtures/http:
+// synthetic pages modelled on each site's markup, not recordings) with a
+// pinned clock, and its output is compared to
+// test/fixtures/golden/<id>.json. Regenerate after an intended change with:
+//   UPDATE_GOLDEN=1 npm test
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const HTTP_DIR = path.join(HERE, "fixtures", "http");
+const GOLDEN_DIR = path.join(HERE, "fixtures", "golden");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+// Must be set before the scraper module evaluates (CUTOFF, year inference)
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+process.env.TZ = "UTC";
+
+const scraper = await import("../scrape-hull-venues.js");
+scraper.configureHttpFixtures({ replay: HTTP_DIR });
+
+// scrapedAt is the (pinned) run time; keep goldens readable without it
+const stable = (events) => events.map(({ scrapedAt, ...rest }) => rest);
+
+const label = (ev) => `"${ev.title}" ${ev.start || "undated"}`;
+
+/**
+ * Every difference from the golden, one line each: events added or removed,
+ * and each changed field of the events in both. Events are paired on title +
+ * start, then title, then start, so one edited field doesn't read as a
+ * removal plus an addition.
+ */
+function goldenDiff(actual, expected) {
+  const left = actual.map((ev, i) => ({ ev, i }));
+  const right = expected.map((ev, i) => ({ ev, i }));
+  const pairs = [];
+  for (const key of [
+    (ev) => `${ev.title}|${ev.start}`,
+    (ev) => ev.title,
+    (ev) => ev.start,
+  ]) {
+    for (const a of [...left]) {
+      const j = right.findIndex((e) => key(e.ev) === key(a.ev));
+      if (j < 0) continue;
+      pairs.push([a, right.splice(j, 1)[0]]);
+      left.splice(left.indexOf(a), 1);
+    }
+  }
+
+  const lines = [];
+  for (const [a, e] of pairs.sort((x, y) => x[1].i - y[1].i)) {
+    const keys = new Set([...Object.keys(a.ev), ...Object.keys(e.ev)]);
+    for (const k of keys) {
+      const got = JSON.stringify(a.ev[k]);
+      const want = JSON.stringify(e.ev[k]);
+      if (got !== want) {
+        lines.push(`changed ${label(e.ev)} .${k}: ${got}, golden ${want}`);
+      }
+    }
+  }
+  for (const a of left) lines.push(`added   event[${a.i}] ${label(a.ev)}`);
+  for (const e of right) lines.push(`removed ${label(e.ev)}`);
+  if (!lines.length && pairs.some(([a, e]) => a.i !== e.i)) {
+    lines.push("same events in a different order");
+  }
+  return lines;
+}
+
+describe("HTTP fixtures", () => {
+  it("say whether they were recorded or written by hand", () => {
+    const metas = fs
+      .readdirSync(HTTP_DIR, { recursive: true })
+      .filter((f) => f.endsWith(".json") && !f.endsWith(".body.json"));
+    assert.ok(metas.length);
+    for (const f of metas) {
+      const meta = JSON.parse(fs.readFileSync(path.join(HTTP_DIR, f), "utf8"));
+      assert.ok(
+        (meta.synthetic === true) !== Boolean(meta.recordedAt),
+        `${f}: needs exactly one of "synthetic": true or recordedAt`,
+      );
+    }
+  });
+});
+
+describe("venue scrapers (golden files)", () => {
+  for (const venue of scraper.loadVenueRegistry()) {
+    it(venue.id, async () => {
+      const events = stable(await scraper.venueTask(venue)());
+      const file = path.join(GOLDEN_DIR, `${venue.id}.json`);
+
+      if (UPDATE) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(events, null, 2) + "\n");
+        return;
+      }
+      assert.ok(
+        fs.existsSync(file),
+        `missing golden ${path.relative(process.cwd(), file)} — run UPDATE_GOLDEN=1 npm test`,
+      );
+      const expected = JSON.parse(fs.readFileSync(file, "utf8"));
+      const diff = goldenDiff(events, expected);
+      assert.ok(
+        !diff.length,
+        `${venue.id}: ${diff.length} difference(s) from the golden\n  ${diff.join("\n  ")}`,
+      );
+    });
+  }
+});
@@ -0,0 +1,68 @@
+// test/skiddle.test.js — Skiddle venue / promoter listings (adapter "skiddle")
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const HTTP_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "http",
+);
+const { configureHttpFixtures, loadVenueRegistry, venueTask } =
+  await import("../scrape-hull-venues.js");
+
+const venue = {
+  id: "folk-collective",
+  name: "Hull Folk Collective",
+  adapter: "skiddle",
+  url: "/promoter/Hull-Folk-Collective/98765/",
+};
+
+describe("skiddle adapter", () => {
+  it("reads a promoter page into events with tiers, age and line-up", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const events = await venueTask(venue)();
+    assert.equal(
+      events.length,
+      1,
+      "one page per event id; past events dropped",
+    );
+
+    const [folk] = events;
+    assert.equal(folk.title, "Spring Folk Weekender");
+    assert.equal(folk.start, "2026-04-18T18:30:00.000Z");
+    assert.equal(folk.address, "89 De Grey Street, Hull, HU5 2RU");
+    assert.deepEqual(folk.performers, ["The Humber Keels", "Ada Lowe"]);
+    assert.equal(folk.ageRestriction, "18+");
+    assert.equal(folk.priceText, "£6 / £8.50 / £10");
+    assert.deepEqual(folk.priceTiers, [
+      { name: "Early Bird", price: 6, status: "sold-out" },
+      { name: "Standard", price: 8.5, status: "on-sale" },
+      { name: "Final Release", price: 10, status: "not-yet-on-sale" },
+    ]);
+    assert.equal(folk.saleStatus, "on-sale");
+    assert.equal(folk.soldOut, false);
+  });
+
+  it("needs a skiddle.com url in the registry", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-skiddle-"));
+    const file = path.join(dir, "venues.json");
+    try {
+      fs.writeFileSync(
+        file,
+        JSON.stringify([{ ...venue, url: "https://example.com/events/" }]),
+      );
+      assert.throws(() => loadVenueRegistry(file), /skiddle\.com url/);
+      fs.writeFileSync(file, JSON.stringify([venue]));
+      assert.equal(loadVenueRegistry(file).length, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,223 @@
+// test/status.test.js — per-venue health report
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const HTTP_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "http",
+);
+const {
+  buildStatusReport,
+  configureHttpFixtures,
+  findCollapsedVenues,
+  keepStaleVenues,
+  scrapeVenues,
+} = await import("../scrape-hull-venues.js");
+
+const registry = [
+  { id: "a", name: "A", adapter: "custom" },
+  { id: "b", name: "B", adapter: "csv" },
+  { id: "c", name: "C", adapter: "csv" },
+];
+const health = (id, events, extra = {}) => ({
+  id,
+  status: events ? "ok" : "empty",
+  events,
+  undated: 0,
+  durationMs: 1,
+  http: {},
+  error: null,
+  ...extra,
+});
+
+describe("buildStatusReport", () => {
+  const times = (day) => ({
+    registry,
+    startedAt: `2026-03-0${day}T06:00:00.000Z`,
+    finishedAt: `2026-03-0${day}T06:01:00.000Z`,
+    totalEvents: 0,
+  });
+
+  it("records the previous count and how long a venue has been empty", () => {
+    const day1 = buildStatusReport(
+      [health("a", 4), health("b", 0)],
+      null,
+      times(1),
+    );
+    assert.equal(day1.durationMs, 60_000);
+    assert.deepEqual(
+      day1.venues.map((v) => [v.id, v.previousEvents, v.zeroSince]),
+      [
+        ["a", null, null],
+        ["b", null, "2026-03-01T06:00:00.000Z"],
+      ],
+    );
+
+    const day3 = buildStatusReport(
+      [health("a", 0), health("b", 0)],
+      buildStatusReport([health("a", 4), health("b", 0)], day1, times(2)),
+      times(3),
+    );
+    const [a, b] = day3.venues;
+    assert.deepEqual(
+      [a.previousEvents, a.zeroSince],
+      [4, "2026-03-03T06:00:00.000Z"],
+    );
+    assert.deepEqual(
+      [b.previousEvents, b.zeroSince],
+      [0, "2026-03-01T06:00:00.000Z"],
+    );
+  });
+
+  it("keeps the last entry for venues skipped this run, in registry order", () => {
+    const prev = buildStatusReport(
+      [health("c", 2), health("a", 1)],
+      null,
+      times(1),
+    );
+    const next = buildStatusReport([health("a", 3)], prev, times(2));
+    assert.deepEqual(
+      next.venues.map((v) => [v.id, v.events, v.checkedAt]),
+      [
+        ["a", 3, "2026-03-02T06:01:00.000Z"],
+        ["c", 2, "2026-03-01T06:01:00.000Z"],
+      ],
+    );
+  });
+});
+
+describe("scrapeVenues health", () => {
+  it("attributes HTTP statuses and errors to the venue that made them", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const {
+      health: [ok, broken],
+    } = await scrapeVenues([
+      {
+        id: "underdog",
+        name: "Underdog",
+        adapter: "csv",
+        url: "https://docs.google.com/spreadsheets/d/e/2PACX-1vQDgKYBCow0Z54ZRIAFI4Otzt4jgK9S-fX02ZcX_3VrqGiMlQlujvqL_agFyA5UQR5p50hCy0nQOBx5/pub?output=csv",
+      },
+      {
+        id: "missing",
+        name: "Missing",
+        adapter: "csv",
+        url: "https://example.invalid/sheet.csv",
+      },
+    ]);
+    assert.deepEqual([ok.status, ok.events, ok.http], ["ok", 1, { 200: 1 }]);
+    assert.equal(broken.events, 0);
+    assert.ok(broken.http.error >= 1, JSON.stringify(broken.http));
+  });
+});
+
+describe("anomaly guard", () => {
+  const previous = {
+    venues: [
+      { id: "a", recentEvents: [10, 12, 11] },
+      { id: "b", recentEvents: [2, 2, 1] },
+      { id: "c", events: 8 }, // report written before history was kept
+    ],
+  };
+
+  it("flags venues that fell below half their recent median", () => {
+    const collapsed = findCollapsedVenues(
+      [health("a", 3), health("b", 0), health("c", 4)],
+      previous,
+      registry,
+    );
+    assert.deepEqual(collapsed, [
+      { id: "a", events: 3, baseline: 11, floor: 6 },
+    ]);
+  });
+
+  it("honours per-venue minEvents / maxDrop from the registry", () => {
+    const tuned = [
+      { ...registry[0], guard: { maxDrop: 0.8 } },
+      { ...registry[1], guard: { minEvents: 1 } },
+      registry[2],
+    ];
+    const collapsed = findCollapsedVenues(
+      [health("a", 3), health("b", 0), health("c", 3)],
+      previous,
+      tuned,
+    );
+    assert.deepEqual(
+      collapsed.map((c) => c.id),
+      ["b", "c"],
+    );
+  });
+
+  it("does nothing without history", () => {
+    assert.deepEqual(findCollapsedVenues([health("a", 0)], null, registry), []);
+  });
+
+  it("swaps a collapsed venue's events for its previous ones, marked stale", () => {
+    const events = [
+      { sourceId: "a", venue: "A", title: "new" },
+      { sourceId: "b", venue: "B", title: "b" },
+    ];
+    const before = [
+      { sourceId: "a", venue: "A", title: "old 1" },
+      {
+        sourceId: "a",
+        venue: "A",
+        title: "old 2",
+        stale: true,
+        staleSince: "2026-02-27",
+      },
+      { sourceId: "b", venue: "B", title: "b" },
+    ];
+    const out = keepStaleVenues(events, before, [registry[0]], "2026-03-01");
+    assert.deepEqual(out, [
+      { sourceId: "b", venue: "B", title: "b" },
+      {
+        sourceId: "a",
+        venue: "A",
+        title: "old 1",
+        stale: true,
+        staleSince: "2026-03-01",
+      },
+      {
+        sourceId: "a",
+        venue: "A",
+        title: "old 2",
+        stale: true,
+        staleSince: "2026-02-27",
+      },
+    ]);
+  });
+
+  it("leaves a healthy source on the same venue alone", () => {
+    // queens-hotel (sheet) collapsed; queens-hotel-quiz lists the same pub
+    const queens = { id: "queens-hotel", name: "Queens Hotel" };
+    const ev = (sourceId, title, start) => ({
+      sourceId,
+      source: "Queens Hotel",
+      venue: "Queens Hotel",
+      title,
+      start,
+    });
+    const events = [
+      ev("queens-hotel-quiz", "Quiz Night", "2026-03-04T19:30:00.000Z"),
+    ];
+    const before = [
+      ev("queens-hotel", "Open Mic", "2026-03-06T20:00:00.000Z"),
+      ev("queens-hotel-quiz", "Quiz Night", "2026-02-25T19:30:00.000Z"),
+    ];
+    const out = keepStaleVenues(events, before, [queens], "2026-03-01");
+    assert.deepEqual(
+      out.map((e) => [e.sourceId, e.start, !!e.stale]),
+      [
+        ["queens-hotel-quiz", "2026-03-04T19:30:00.000Z", false],
+        ["queens-hotel", "2026-03-06T20:00:00.000Z", true],
+      ],
+    );
+  });
+});
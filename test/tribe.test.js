@@ -0,0 +1,73 @@
+// test/tribe.test.js — The Events Calendar REST adapter (adapter "tribe")
+import assert from "node:assert/strict";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const HTTP_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "http",
+);
+const { configureHttpFixtures, venueTask } =
+  await import("../scrape-hull-venues.js");
+
+const venue = {
+  id: "tribe-test",
+  name: "Tribe Venue",
+  adapter: "tribe",
+  url: "https://tribe.example/whats-on/",
+};
+
+describe("tribe adapter", () => {
+  it("follows API pages and maps dates, cost, venue and taxonomy", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const [quiz, gig, festival, ...rest] = await venueTask(venue)();
+    assert.equal(rest.length, 0);
+
+    assert.equal(quiz.title, "Quiz Night – Spring Special");
+    assert.equal(quiz.freeEntry, true);
+    assert.deepEqual(quiz.organisers, ["Hull Quiz League"]);
+    assert.deepEqual(quiz.categories, ["Quiz"]);
+
+    // BST: the API's UTC copy is used, so 19:30 local is 18:30Z
+    assert.equal(gig.start, "2026-04-10T18:30:00.000Z");
+    assert.equal(gig.end, "2026-04-10T22:00:00.000Z");
+    assert.equal(gig.displayTime24, "19:30");
+    assert.equal(gig.priceText, "£8 / £10");
+    assert.equal(gig.address, "9 Sample Road, Hull, HU5 2ZZ");
+    assert.equal(
+      gig.image,
+      "https://tribe.example/wp-content/uploads/spring.jpg",
+    );
+    assert.equal(gig.description, "Three bands, one night.");
+    assert.deepEqual(gig.tickets, [
+      { label: "Tickets", url: "https://tickets.example/spring-gig" },
+    ]);
+
+    // All-day: default time on the local date, no end
+    assert.equal(festival.displayDateTime24, "2026-05-02 20:00");
+    assert.equal(festival.end, null);
+    assert.equal(festival.priceText, "£5");
+  });
+
+  it("falls back to the configured adapter when the API is off", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const events = await venueTask({
+      ...venue,
+      url: "https://jsonld.example/whats-on/", // API answers 404
+      options: { fallback: "jsonld" },
+      recurrences: [
+        { title: "Pub Quiz", every: "tuesdays", time: "20:00", upcoming: 2 },
+      ],
+    })();
+    assert.deepEqual(
+      events.map((e) => e.title),
+      ["Open Mic & Jam", "Folk Night", "Pub Quiz", "Pub Quiz"],
+      "recurrences are added once, not again by the fallback",
+    );
+  });
+});
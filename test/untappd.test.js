@@ -0,0 +1,64 @@
+// test/untappd.test.js — Untappd venue event pages (adapter "untappd")
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const HTTP_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+  "http",
+);
+const { configureHttpFixtures, loadVenueRegistry, venueTask } =
+  await import("../scrape-hull-venues.js");
+
+const venue = {
+  id: "hop-and-vine",
+  name: "Hop & Vine",
+  adapter: "untappd",
+  address: "1 Test Street, Hull HU5 1AA",
+  options: { slug: "hop-and-vine", venueId: 9900001 },
+};
+
+describe("untappd adapter", () => {
+  it("builds the events page from slug + id and reads each event", async () => {
+    configureHttpFixtures({ replay: HTTP_DIR });
+    const [takeover, vinyl, ...rest] = await venueTask(venue)();
+    assert.equal(rest.length, 0);
+
+    // "hosted by <venue>" is Untappd's, not the event's
+    assert.equal(takeover.title, "Tap Takeover");
+    assert.equal(takeover.url, "https://untappd.com/event/2000001");
+    // event_start_time wins over the page's other timestamps
+    assert.equal(takeover.start, "2026-03-20T19:00:00.000Z");
+    assert.equal(takeover.priceText, "£5");
+    assert.deepEqual(takeover.tickets, [
+      {
+        label: "Tickets",
+        url: "https://www.eventbrite.co.uk/e/tap-takeover-4000001",
+      },
+    ]);
+    assert.equal(takeover.address, venue.address);
+
+    // A 2099 <time> is ignored; the list card's dated hint is used instead
+    assert.equal(vinyl.title, "Vinyl Night");
+    assert.equal(vinyl.start, "2026-03-28T20:00:00.000Z");
+  });
+
+  it("needs a url or slug + venueId in the registry", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-untappd-"));
+    const file = path.join(dir, "venues.json");
+    try {
+      const bad = { ...venue, options: { slug: "hop-and-vine" } };
+      fs.writeFileSync(file, JSON.stringify([bad]));
+      assert.throws(() => loadVenueRegistry(file), /slug \+ venueId/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,127 @@
+// test/venues.test.js — the shared venue dataset (lib/venues.js, public/venue-data.json)
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { indexVenues } from "../lib/venues.js";
+
+process.env.SCRAPE_NOW = "2026-03-01T12:00:00Z";
+process.env.SCRAPE_QUIET = "1";
+
+const { loadVenueRegistry, main, normaliseScraped, selectVenues } =
+  await import("../scrape-hull-venues.js");
+
+const data = JSON.parse(
+  fs.readFileSync(new URL("../public/venue-data.json", import.meta.url)),
+);
+
+describe("venue dataset", () => {
+  const venues = indexVenues(data);
+
+  it("finds a venue by name, alias or a name inside a longer one", () => {
+    assert.equal(venues.find("Mr Moody’s Tavern").id, "mr-moodys");
+    assert.equal(venues.find("SPATI").id, "spati");
+    assert.equal(venues.find("The Adelphi Club in Hull").id, "adelphi");
+    assert.equal(venues.find("", "TPR").id, "tpr");
+    assert.equal(venues.find("Somewhere Else"), null);
+  });
+
+  it("rejects a name two venues share", () => {
+    assert.throws(
+      () =>
+        indexVenues([
+          { id: "a", name: "The Vaults" },
+          { id: "b", name: "Vaults Bar", aliases: ["The Vaults"] },
+        ]),
+      /"The Vaults" names both a and b/,
+    );
+  });
+
+  it("fills registry entries from their venue", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hu5-venues-"));
+    const file = path.join(dir, "venues.json");
+    const entry = {
+      id: "spati-quiz",
+      venue: "spati",
+      adapter: "recurring",
+      recurrences: [{ title: "Quiz", every: "mondays" }],
+    };
+    try {
+      fs.writeFileSync(file, JSON.stringify([entry]));
+      const [v] = loadVenueRegistry(file);
+      assert.equal(v.name, "Späti Bar");
+      assert.equal(v.address, "27 Newland Ave, Hull HU5 3BE");
+
+      fs.writeFileSync(file, JSON.stringify([{ ...entry, venue: "nowhere" }]));
+      assert.throws(() => loadVenueRegistry(file), /unknown venue "nowhere"/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("venue stamping", () => {
+  const ev = (venue, extra = {}) => ({
+    source: venue,
+    venue,
+    title: "Open Mic",
+    start: "2026-03-12T20:00:00.000Z",
+    url: "",
+    tickets: [],
+    soldOut: false,
+    freeEntry: false,
+    ...extra,
+  });
+
+  it("stamps venueId and the dataset's name and free-entry policy", () => {
+    const [moodys, paid, elsewhere] = normaliseScraped([
+      ev("Mr Moodys Tavern"),
+      ev("Mr Moody's Tavern", { title: "Gig", priceText: "£5" }),
+      ev("Somewhere Else"),
+    ]);
+    assert.equal(moodys.venueId, "mr-moodys");
+    assert.equal(moodys.venue, "Mr Moody's Tavern");
+    assert.equal(moodys.freeEntry, true, "free unless a price is listed");
+    assert.ok(moodys.distance > 0);
+    assert.equal(paid.freeEntry, false);
+    assert.equal(elsewhere.venueId, null);
+    assert.equal(elsewhere.distance, null);
+  });
+});
+
+describe("venue selection", () => {
+  const registry = loadVenueRegistry();
+
+  it("runs enabled venues, or just --only, less --skip", () => {
+    const all = selectVenues(registry).map((v) => v.id);
+    assert.ok(all.includes("adelphi"));
+    assert.deepEqual(
+      selectVenues(registry, { only: "adelphi,umu", skip: ["umu"] }).map(
+        (v) => v.id,
+      ),
+      ["adelphi"],
+    );
+  });
+
+  it("treats an unknown venue id as a usage error (exit 2)", async () => {
+    assert.throws(() => selectVenues(registry, { skip: "nowhere" }), {
+      code: "ERR_USAGE",
+      message: 'unknown venue id "nowhere"',
+    });
+
+    const { write } = process.stdout;
+    const { error } = console;
+    process.stdout.write = () => true;
+    console.error = () => {};
+    try {
+      await main(["dry-run", "nowhere"]);
+      assert.equal(process.exitCode, 2);
+    } finally {
+      process.stdout.write = write;
+      console.error = error;
+      process.exitCode = 0;
+    }
+  });
+});